@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+// Load environment variables before the settings are read
+import 'dotenv/config';
+import { resolve } from 'path';
+import { getSources } from './src/catalog.js';
+import { settings, snapshotPath } from './src/config.js';
+import { startHttpServer } from './src/http.js';
+import { startStdioServer } from './src/server.js';
+
+/**
+ * Main entry point
+ */
+async function main() {
+  let sources;
+  try {
+    sources = getSources();
+  } catch (error) {
+    console.error(`Error: invalid MODEL_SOURCES: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (sources.length === 0) {
+    console.error('Error: MODEL_SOURCES does not name any catalog source');
+    process.exit(1);
+  }
+
+  if (!settings.openRouterApiKey && !settings.offline && sources.some(s => s.requiresApiKey)) {
+    console.error('Error: OPENROUTER_API_KEY environment variable is required');
+    process.exit(1);
+  }
+
+  if (settings.offline) {
+    console.error(`Offline mode: network sources are served from ${settings.snapshotFile ? resolve(settings.snapshotFile) : snapshotPath()}`);
+  }
+
+  const transport = process.env.MCP_TRANSPORT || 'stdio';
+
+  if (transport === 'http') {
+    try {
+      await startHttpServer();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    await startStdioServer();
+  }
+}
+
+main();
@@ -0,0 +1,361 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { settings, snapshotPath } from './config.js';
+import { loadEndpoints, resetEndpoints } from './endpoints.js';
+import { appendHistory, diffCatalogs } from './history.js';
+import { loadPolicy, resetPolicy } from './policy.js';
+import { startProgress } from './progress.js';
+import { loadQuality, resetQuality } from './quality.js';
+import { indexCatalog } from './search.js';
+import { normalizeModel, parseSourceSpecs } from './sources.js';
+
+// Cache for model data
+let modelsCache = {
+  data: null,
+  timestamp: null,
+  sources: [],
+  snapshotId: null,
+};
+
+// Configured catalog sources (parsed from settings on first use)
+let configuredSources = null;
+
+// Listeners called with the change events of every catalog refresh
+const catalogListeners = new Set();
+
+// Pending catalog refresh, shared by concurrent callers
+let refreshInFlight = null;
+
+/**
+ * Catalog source adapters, parsed from settings.sources unless given as adapters
+ */
+export function getSources() {
+  if (!configuredSources) {
+    configuredSources = typeof settings.sources === 'string' ?
+      parseSourceSpecs(settings.sources) :
+      settings.sources;
+  }
+  return configuredSources;
+}
+
+/**
+ * Override settings (sources, data directory, offline mode, API keys...) and drop the cache
+ *
+ * `sources` is a MODEL_SOURCES-style string or an array of source adapters;
+ * `qualitySources` is a MODEL_QUALITY_FILES-style string or an array of quality adapters.
+ */
+export function configure(options = {}) {
+  for (const key of Object.keys(options)) {
+    if (!(key in settings)) {
+      throw new Error(`Unknown setting: ${key} (expected one of ${Object.keys(settings).join(', ')})`);
+    }
+  }
+
+  Object.assign(settings, options);
+  configuredSources = null;
+  modelsCache = { data: null, timestamp: null, sources: [], snapshotId: null };
+  resetQuality();
+  resetEndpoints();
+  resetPolicy();
+  return settings;
+}
+
+/**
+ * Call a listener with the change events of every catalog refresh
+ */
+export function onCatalogChange(listener) {
+  catalogListeners.add(listener);
+  return () => catalogListeners.delete(listener);
+}
+
+/**
+ * Load the catalog snapshot used as a fallback when sources are unreachable
+ *
+ * MODEL_SCOUT_SNAPSHOT_FILE takes priority over the persisted snapshot. It may be
+ * a persisted snapshot or a raw catalog (`{ data: [...] }` or an array), in which
+ * case its models are attributed to the first network source.
+ */
+async function loadSnapshot() {
+  const path = settings.snapshotFile ? resolve(settings.snapshotFile) : snapshotPath();
+
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !settings.snapshotFile) {
+      return null;
+    }
+    console.error(`Warning: could not read catalog snapshot ${path}: ${error.message}`);
+    return null;
+  }
+
+  if (data && Array.isArray(data.models) && data.saved_at) {
+    return {
+      path,
+      saved_at: data.saved_at,
+      sources: data.sources || [],
+      models: data.models,
+    };
+  }
+
+  // Raw catalog: attribute to the first network source
+  const sources = getSources();
+  const source = sources.find(s => s.network) || sources[0];
+  if (!source) {
+    throw new Error('No catalog source configured to attribute MODEL_SCOUT_SNAPSHOT_FILE to');
+  }
+  const entries = Array.isArray(data) ? data : (data?.data || []);
+  const { mtimeMs } = await stat(path);
+  const savedAt = Math.floor(mtimeMs);
+
+  return {
+    path,
+    saved_at: savedAt,
+    sources: [{ name: source.name, type: source.type, fetched_at: savedAt }],
+    models: entries.filter(m => m && m.id).map(m => normalizeModel(m, source)),
+  };
+}
+
+/**
+ * Persist the current catalog to disk so restarts and outages can reuse it
+ */
+async function saveSnapshot(models, sourceStatus, savedAt) {
+  const snapshot = {
+    version: 1,
+    saved_at: savedAt,
+    sources: sourceStatus
+      .filter(s => s.fetched_at)
+      .map(({ name, type, fetched_at, model_count }) => ({ name, type, fetched_at, model_count })),
+    models,
+  };
+
+  const path = snapshotPath();
+  try {
+    await mkdir(settings.dataDir, { recursive: true });
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(snapshot));
+    await rename(tmpPath, path);
+  } catch (error) {
+    console.error(`Warning: could not write catalog snapshot ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Identify a catalog by its content: the same models give the same ID, across
+ * refreshes and restarts, and any change to them gives a new one
+ */
+export function catalogSnapshotId(models) {
+  return createHash('sha256').update(JSON.stringify(models)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Summarize how fresh the catalog data is
+ */
+export function describeFreshness(sourceStatus, now = Date.now()) {
+  const loaded = sourceStatus.filter(s => s.fetched_at);
+  if (loaded.length === 0) {
+    return undefined;
+  }
+
+  const oldest = Math.min(...loaded.map(s => s.fetched_at));
+  const origins = new Set(loaded.map(s => s.origin));
+  const age = Math.max(0, now - oldest);
+
+  return {
+    origin: origins.size === 1 ? [...origins][0] : 'mixed',
+    offline_mode: settings.offline || undefined,
+    fetched_at: new Date(oldest).toISOString(),
+    age_seconds: Math.floor(age / 1000),
+    stale: age >= settings.cacheDurationMs,
+  };
+}
+
+/**
+ * Fetch models from every configured catalog source, with quality data and the
+ * team model policy loaded
+ */
+export async function fetchModels(forceRefresh = false) {
+  await loadPolicy();
+  const result = await loadCatalog(forceRefresh);
+  await loadQuality(result.models);
+  return result;
+}
+
+/**
+ * Load per-host endpoint details (providers, prices, quantization, uptime) for
+ * catalog models from their sources; read them with getEndpoints()
+ */
+export async function fetchEndpoints(models, forceRefresh = false) {
+  return loadEndpoints(models, getSources(), forceRefresh);
+}
+
+/**
+ * Return the cached catalog, or refresh it when stale
+ */
+async function loadCatalog(forceRefresh) {
+  const now = Date.now();
+
+  // Return cached data if valid
+  if (!forceRefresh && modelsCache.data && modelsCache.timestamp) {
+    const age = now - modelsCache.timestamp;
+    if (age < settings.cacheDurationMs) {
+      return {
+        models: modelsCache.data,
+        cache_age: Math.floor(age / 1000),
+        cached: true,
+        sources: modelsCache.sources,
+        freshness: describeFreshness(modelsCache.sources, now),
+        snapshot_id: modelsCache.snapshotId,
+      };
+    }
+  }
+
+  // Concurrent callers share one refresh
+  if (!refreshInFlight) {
+    refreshInFlight = refreshModels(forceRefresh, now).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Load the catalog from every source (or a recent snapshot) and update the cache
+ */
+async function refreshModels(forceRefresh, now) {
+  const sources = getSources();
+  let snapshot;
+  const getSnapshot = async () => {
+    if (snapshot === undefined) {
+      snapshot = await loadSnapshot();
+    }
+    return snapshot;
+  };
+
+  // Start from a recent on-disk snapshot instead of refetching after a restart
+  if (!modelsCache.data && !forceRefresh && !settings.offline) {
+    const saved = await getSnapshot();
+    const covered = saved && sources.every(s => saved.sources.some(ss => ss.name === s.name));
+    if (covered && now - saved.saved_at < settings.cacheDurationMs) {
+      const sourceStatus = sources.map(source => {
+        const entry = saved.sources.find(ss => ss.name === source.name);
+        return {
+          name: source.name,
+          type: source.type,
+          model_count: saved.models.filter(m => m.source.name === source.name).length,
+          origin: 'snapshot',
+          fetched_at: entry.fetched_at,
+        };
+      });
+
+      modelsCache.data = saved.models.filter(m => sources.some(s => s.name === m.source.name));
+      modelsCache.timestamp = saved.saved_at;
+      modelsCache.sources = sourceStatus;
+      modelsCache.snapshotId = catalogSnapshotId(modelsCache.data);
+      indexCatalog(modelsCache.data);
+
+      return {
+        models: modelsCache.data,
+        cache_age: Math.floor((now - saved.saved_at) / 1000),
+        cached: true,
+        sources: sourceStatus,
+        freshness: describeFreshness(sourceStatus, now),
+        snapshot_id: modelsCache.snapshotId,
+      };
+    }
+  }
+
+  // Fetch fresh data from all sources in parallel (offline mode skips network sources)
+  const sourceFetched = startProgress('Fetched catalog source', sources.length);
+  const results = await Promise.allSettled(sources.map(source =>
+    (settings.offline && source.network ? Promise.resolve(null) : source.fetchCatalog())
+      .finally(() => sourceFetched(source.name))
+  ));
+
+  const models = [];
+  const sourceStatus = [];
+  for (const [i, result] of results.entries()) {
+    const source = sources[i];
+
+    if (result.status === 'fulfilled' && result.value) {
+      const normalized = result.value.filter(m => m && m.id).map(m => normalizeModel(m, source));
+      models.push(...normalized);
+      sourceStatus.push({
+        name: source.name,
+        type: source.type,
+        model_count: normalized.length,
+        origin: 'live',
+        fetched_at: now,
+      });
+      continue;
+    }
+
+    // Fall back to the snapshot for this source
+    const error = result.status === 'rejected' ? result.reason.message : undefined;
+    const saved = await getSnapshot();
+    const fallback = saved ? saved.models.filter(m => m.source.name === source.name) : [];
+
+    if (fallback.length > 0) {
+      const entry = saved.sources.find(ss => ss.name === source.name);
+      models.push(...fallback);
+      sourceStatus.push({
+        name: source.name,
+        type: source.type,
+        model_count: fallback.length,
+        origin: 'snapshot',
+        fetched_at: entry?.fetched_at || saved.saved_at,
+        error,
+      });
+    } else {
+      sourceStatus.push({
+        name: source.name,
+        type: source.type,
+        error: error || 'offline mode: no snapshot available for this source',
+      });
+    }
+  }
+
+  if (sourceStatus.every(s => s.error && !s.fetched_at)) {
+    throw new Error(sourceStatus.map(s => s.error).join('; '));
+  }
+
+  // Record what changed in every freshly fetched source
+  const events = [];
+  if (!settings.offline && sourceStatus.some(s => s.origin === 'live')) {
+    const previous = modelsCache.data || (await getSnapshot())?.models || [];
+    for (const status of sourceStatus.filter(s => s.origin === 'live')) {
+      events.push(...diffCatalogs(
+        previous.filter(m => m.source.name === status.name),
+        models.filter(m => m.source.name === status.name),
+        status.name,
+        now
+      ));
+    }
+    await appendHistory(events);
+  }
+
+  // Update cache
+  modelsCache.data = models;
+  modelsCache.timestamp = now;
+  modelsCache.sources = sourceStatus;
+  modelsCache.snapshotId = catalogSnapshotId(models);
+  indexCatalog(models);
+
+  if (!settings.offline && sourceStatus.some(s => s.origin === 'live')) {
+    await saveSnapshot(models, sourceStatus, now);
+  }
+
+  for (const listener of catalogListeners) {
+    await listener(events);
+  }
+
+  return {
+    models,
+    cache_age: 0,
+    cached: false,
+    sources: sourceStatus,
+    freshness: describeFreshness(sourceStatus, now),
+    snapshot_id: modelsCache.snapshotId,
+  };
+}
@@ -0,0 +1,64 @@
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+
+export const SERVER_INFO = {
+  name: 'model-scout-mcp',
+  version: '0.2.0',
+};
+
+/**
+ * Interpret a boolean-ish environment variable
+ */
+export function isEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+// Runtime settings: defaults come from the environment, configure() overrides them
+export const settings = {
+  openRouterApiKey: process.env.OPENROUTER_API_KEY,
+  openRouterApiUrl: process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1/models',
+  openAICompatApiKey: process.env.OPENAI_COMPAT_API_KEY,
+  sources: process.env.MODEL_SOURCES || 'openrouter',
+  cacheDurationMs: 10 * 60 * 1000, // 10 minutes
+  dataDir: resolve(process.env.MODEL_SCOUT_DATA_DIR || join(homedir(), '.model-scout-mcp')),
+  snapshotFile: process.env.MODEL_SCOUT_SNAPSHOT_FILE,
+  offline: isEnabled(process.env.MODEL_SCOUT_OFFLINE),
+  qualitySources: process.env.MODEL_QUALITY_FILES || '',
+  policyFile: process.env.MODEL_POLICY_FILE || '',
+  fileRoots: process.env.MODEL_SCOUT_FILE_ROOTS,
+};
+
+/**
+ * Where the catalog snapshot is persisted
+ */
+export function snapshotPath() {
+  return join(settings.dataDir, 'catalog-snapshot.json');
+}
+
+/**
+ * Where catalog change events are appended
+ */
+export function historyPath() {
+  return join(settings.dataDir, 'history.jsonl');
+}
+
+/**
+ * Where the watched model list is stored
+ */
+export function watchlistPath() {
+  return join(settings.dataDir, 'watchlist.json');
+}
+
+/**
+ * Where usage profiles are stored
+ */
+export function profilesPath() {
+  return join(settings.dataDir, 'profiles.json');
+}
+
+/**
+ * Where saved shortlists are stored
+ */
+export function shortlistsPath() {
+  return join(settings.dataDir, 'shortlists.json');
+}
@@ -0,0 +1,125 @@
+import { parsePrice } from './models.js';
+
+const DAYS_PER_MONTH = 30;
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Validate a 0-1 ratio from a workload
+ */
+function checkRatio(workload, key) {
+  const value = workload[key];
+  if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+    throw new Error(`workload.${key} must be a number between 0 and 1`);
+  }
+  return value || 0;
+}
+
+/**
+ * Calculate cost for workload
+ *
+ * Token, image and web search counts are per request. Request volume
+ * (requests_per_day and/or requests_per_month) scales the per-request cost into
+ * daily, monthly and annual projections; without it the workload is one request.
+ */
+export function calculateCost(model, workload) {
+  const pricing = model.pricing;
+  const notes = [];
+  if (pricing.available === false) {
+    notes.push('No pricing listed for this model; token costs are shown as zero');
+  }
+
+  const promptTokens = workload.prompt_tokens || 0;
+  const completionTokens = workload.completion_tokens || 0;
+  const cacheHitRatio = checkRatio(workload, 'cache_hit_ratio');
+  const cacheWriteRatio = checkRatio(workload, 'cache_write_ratio');
+  if (cacheHitRatio + cacheWriteRatio > 1) {
+    throw new Error('workload.cache_hit_ratio + workload.cache_write_ratio cannot exceed 1');
+  }
+
+  const promptPrice = parsePrice(pricing.prompt);
+  const completionPrice = parsePrice(pricing.completion);
+  const cacheReadPrice = pricing.cache_read_per_1m !== undefined ? pricing.cache_read_per_1m / 1_000_000 : undefined;
+  const cacheWritePrice = pricing.cache_write_per_1m !== undefined ? pricing.cache_write_per_1m / 1_000_000 : undefined;
+
+  // Split prompt tokens into uncached, cache reads and cache writes
+  const cachedTokens = promptTokens * cacheHitRatio;
+  const cacheWriteTokens = promptTokens * cacheWriteRatio;
+  const uncachedTokens = promptTokens - cachedTokens - cacheWriteTokens;
+  if (cacheHitRatio > 0 && cacheReadPrice === undefined) {
+    notes.push('No cache read price listed; cached prompt tokens are billed at the prompt price');
+  }
+  if (cacheWriteRatio > 0 && cacheWritePrice === undefined) {
+    notes.push('No cache write price listed; cache writes are billed at the prompt price');
+  }
+
+  // Reasoning tokens: explicit count, or a multiple of completion tokens
+  const reasoningTokens = workload.reasoning_tokens ??
+    (workload.reasoning_multiplier ? completionTokens * workload.reasoning_multiplier : 0);
+  const reasoningPrice = pricing.internal_reasoning ?? completionPrice;
+  if (reasoningTokens > 0 && pricing.internal_reasoning === undefined) {
+    notes.push('No separate reasoning price listed; reasoning tokens are billed at the completion price');
+  }
+
+  const webSearchCalls = workload.web_search_calls || 0;
+  if (webSearchCalls > 0 && !pricing.web_search) {
+    notes.push('No web search price listed for this model');
+  }
+  const images = workload.images || 0;
+  if (images > 0 && !pricing.image) {
+    notes.push('No per-image price listed for this model');
+  }
+
+  // Itemized per-request cost by pricing component
+  const components = {
+    prompt: { quantity: uncachedTokens, unit: 'tokens', unit_price: promptPrice },
+    cache_read: { quantity: cachedTokens, unit: 'tokens', unit_price: cacheReadPrice ?? promptPrice },
+    cache_write: { quantity: cacheWriteTokens, unit: 'tokens', unit_price: cacheWritePrice ?? promptPrice },
+    completion: { quantity: completionTokens, unit: 'tokens', unit_price: completionPrice },
+    reasoning: { quantity: reasoningTokens, unit: 'tokens', unit_price: reasoningPrice },
+    web_search: { quantity: webSearchCalls, unit: 'calls', unit_price: pricing.web_search || 0 },
+    images: { quantity: images, unit: 'images', unit_price: pricing.image || 0 },
+    request_fee: { quantity: 1, unit: 'requests', unit_price: pricing.request || 0 },
+  };
+
+  // Request volume; when both are given each projection uses its own figure
+  const hasVolume = Boolean(workload.requests_per_day || workload.requests_per_month);
+  const dailyRequests = workload.requests_per_day ?? (workload.requests_per_month ? workload.requests_per_month / DAYS_PER_MONTH : undefined);
+  const monthlyRequests = workload.requests_per_month ?? (workload.requests_per_day ? workload.requests_per_day * DAYS_PER_MONTH : undefined);
+  if (workload.requests_per_day && workload.requests_per_month &&
+      Math.abs(workload.requests_per_day * DAYS_PER_MONTH - workload.requests_per_month) > 0.01 * workload.requests_per_month) {
+    notes.push(`requests_per_day × ${DAYS_PER_MONTH} does not match requests_per_month; daily uses requests_per_day, monthly and annual use requests_per_month`);
+  }
+
+  const breakdown = {};
+  let perRequest = 0;
+  for (const [name, item] of Object.entries(components)) {
+    const cost = item.quantity * item.unit_price;
+    if (item.quantity === 0 || (cost === 0 && name === 'request_fee')) {
+      continue;
+    }
+    perRequest += cost;
+    breakdown[name] = {
+      quantity: item.quantity,
+      unit: item.unit,
+      unit_price: item.unit_price,
+      per_request: cost,
+      daily: dailyRequests !== undefined ? cost * dailyRequests : undefined,
+      monthly: monthlyRequests !== undefined ? cost * monthlyRequests : undefined,
+      annual: monthlyRequests !== undefined ? cost * monthlyRequests * MONTHS_PER_YEAR : undefined,
+    };
+  }
+
+  const monthly = monthlyRequests !== undefined ? perRequest * monthlyRequests : undefined;
+
+  return {
+    // Headline figure: monthly spend when request volume is known, else one request
+    total: hasVolume ? monthly : perRequest,
+    basis: hasVolume ? 'monthly' : 'per_request',
+    per_request: perRequest,
+    daily: dailyRequests !== undefined ? perRequest * dailyRequests : undefined,
+    monthly,
+    annual: monthly !== undefined ? monthly * MONTHS_PER_YEAR : undefined,
+    breakdown,
+    notes: notes.length > 0 ? notes : undefined,
+  };
+}
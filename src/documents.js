@@ -0,0 +1,105 @@
+import { open, readdir, readFile, stat } from 'fs/promises';
+import { extname, join, relative } from 'path';
+import { isAllowedPath, resolveAllowedPath } from './file-access.js';
+
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024; // 50 MB across all files
+const MAX_FILES = 5000;
+const BINARY_PROBE_BYTES = 8192;
+const SKIPPED_DIRECTORIES = ['node_modules', '__pycache__', 'dist', 'build', 'target', 'vendor'];
+
+/**
+ * Whether a file looks binary (a NUL byte in its first few KB)
+ */
+async function isBinary(path) {
+  const handle = await open(path, 'r');
+  try {
+    const buffer = Buffer.alloc(BINARY_PROBE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, BINARY_PROBE_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Collect the text files under the given files and directories
+ *
+ * Directories are walked recursively, skipping hidden entries, dependency and
+ * build directories, symlinked directories, symlinks leading outside the allowed
+ * file roots and binary files. With `extensions`,
+ * only files with one of those extensions are read from directories; files named
+ * directly are always read. Returns the files with their sizes, the combined
+ * text (each file under a `=== path ===` header, as it would be pasted into a
+ * prompt), and the paths that were skipped with the reason.
+ */
+export async function collectDocuments(paths, { extensions } = {}) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new Error('paths must be a non-empty array of files or directories');
+  }
+  const wanted = extensions?.map(e => (e.startsWith('.') ? e : `.${e}`).toLowerCase());
+  const base = process.cwd();
+  const files = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  const addFile = async (path, size) => {
+    if (files.length >= MAX_FILES) {
+      throw new Error(`More than ${MAX_FILES} files; narrow the paths or extensions`);
+    }
+    totalBytes += size;
+    if (totalBytes > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Documents are larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB in total; narrow the paths or extensions`);
+    }
+    if (size > 0 && await isBinary(path)) {
+      skipped.push({ path: relative(base, path), reason: 'binary file (extract its text first)' });
+      totalBytes -= size;
+      return;
+    }
+    files.push({ path: relative(base, path), bytes: size, text: await readFile(path, 'utf8') });
+  };
+
+  const walk = async (dir) => {
+    const entries = (await readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.includes(entry.name)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        await walk(path);
+      } else if (entry.isSymbolicLink()) {
+        const target = await stat(path).catch(() => null);
+        if (target && !await isAllowedPath(path)) {
+          skipped.push({ path: relative(base, path), reason: 'symlink outside the allowed file roots' });
+        } else if (target?.isFile() && (!wanted || wanted.includes(extname(path).toLowerCase()))) {
+          await addFile(path, target.size);
+        } else if (target?.isDirectory()) {
+          skipped.push({ path: relative(base, path), reason: 'symlinked directory' });
+        }
+      } else if (entry.isFile() && (!wanted || wanted.includes(extname(path).toLowerCase()))) {
+        await addFile(path, (await stat(path)).size);
+      }
+    }
+  };
+
+  for (const given of paths) {
+    const path = await resolveAllowedPath(given, 'paths');
+    let info;
+    try {
+      info = await stat(path);
+    } catch {
+      throw new Error(`No such file or directory: ${given}`);
+    }
+    if (info.isDirectory()) {
+      await walk(path);
+    } else {
+      await addFile(path, info.size);
+    }
+  }
+
+  return {
+    files: files.map(({ path, bytes, text }) => ({ path, bytes, characters: text.length })),
+    text: files.map(f => `=== ${f.path} ===\n${f.text}`).join('\n\n'),
+    skipped,
+  };
+}
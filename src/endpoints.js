@@ -0,0 +1,151 @@
+import { settings } from './config.js';
+import { parsePrice } from './models.js';
+import { startProgress } from './progress.js';
+
+// Endpoint lookups by source and model ID: { fetched_at, endpoints } or { fetched_at, error }
+let endpointCache = new Map();
+
+// Pending lookups, shared by concurrent callers
+const lookupsInFlight = new Map();
+
+const LOOKUP_CONCURRENCY = 4; // endpoint requests in flight at once
+
+/**
+ * Cache key for a model's endpoints
+ */
+function cacheKey(model) {
+  return `${model.source.name}\u0000${model.id}`;
+}
+
+/**
+ * Normalize a raw endpoint entry (OpenRouter /models/{id}/endpoints shape)
+ */
+export function normalizeEndpoint(raw) {
+  const pricing = raw.pricing || {};
+  const prompt = parsePrice(pricing.prompt);
+  const completion = parsePrice(pricing.completion);
+
+  return {
+    provider: raw.provider_name || raw.provider || raw.name,
+    name: raw.name,
+    tag: raw.tag || undefined,
+    quantization: raw.quantization ? String(raw.quantization).toLowerCase() : undefined,
+    context_length: raw.context_length || undefined,
+    max_completion_tokens: raw.max_completion_tokens || undefined,
+    max_prompt_tokens: raw.max_prompt_tokens || undefined,
+    pricing: {
+      prompt_per_1m: prompt * 1_000_000,
+      completion_per_1m: completion * 1_000_000,
+      total_per_1m: (prompt + completion) * 1_000_000,
+      cache_read_per_1m: pricing.input_cache_read ? parsePrice(pricing.input_cache_read) * 1_000_000 : undefined,
+      request: parsePrice(pricing.request) || undefined,
+    },
+    uptime_last_30m: typeof raw.uptime_last_30m === 'number' ? raw.uptime_last_30m : undefined,
+    status: typeof raw.status === 'number' ? raw.status : undefined,
+    supported_parameters: raw.supported_parameters || undefined,
+  };
+}
+
+/**
+ * Look up one model's endpoints from its source, caching the result (or the error)
+ */
+async function lookupEndpoints(model, source, now) {
+  let entry;
+  try {
+    if (!source?.fetchEndpoints) {
+      throw new Error(`source "${model.source.name}" does not list endpoints`);
+    }
+    if (settings.offline && source.network) {
+      throw new Error('offline mode: endpoints are not fetched');
+    }
+    const raw = await source.fetchEndpoints(model);
+    if (!raw) {
+      throw new Error(`source "${model.source.name}" has no endpoint data for ${model.id}`);
+    }
+    entry = {
+      fetched_at: now,
+      endpoints: raw.map(normalizeEndpoint).sort((a, b) => a.pricing.total_per_1m - b.pricing.total_per_1m),
+    };
+  } catch (error) {
+    entry = { fetched_at: now, error: error.message };
+  }
+  endpointCache.set(cacheKey(model), entry);
+  return entry;
+}
+
+/**
+ * Load endpoint details for models, reusing lookups younger than the catalog cache.
+ * `sources` are the catalog source adapters; failures are recorded per model, not thrown
+ */
+export async function loadEndpoints(models, sources, forceRefresh = false) {
+  const now = Date.now();
+  const pending = models.filter(model => {
+    const cached = endpointCache.get(cacheKey(model));
+    return forceRefresh || !cached || now - cached.fetched_at >= settings.cacheDurationMs;
+  });
+
+  // A few lookups at a time, so large listings do not flood the source
+  const lookedUp = startProgress('Looked up hosting endpoints', pending.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const model = pending[next++];
+      const key = cacheKey(model);
+      if (!lookupsInFlight.has(key)) {
+        const source = sources.find(s => s.name === model.source.name);
+        lookupsInFlight.set(key, lookupEndpoints(model, source, now).finally(() => lookupsInFlight.delete(key)));
+      }
+      await lookupsInFlight.get(key);
+      lookedUp(model.id);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, pending.length) }, worker));
+
+  return models.map(model => endpointCache.get(cacheKey(model)));
+}
+
+/**
+ * Loaded endpoints for a model (cheapest first), or undefined when they have not
+ * been loaded or the lookup failed
+ */
+export function getEndpoints(model) {
+  return endpointCache.get(cacheKey(model))?.endpoints;
+}
+
+/**
+ * Why a model's endpoints are unavailable, if the lookup failed
+ */
+export function endpointsError(model) {
+  return endpointCache.get(cacheKey(model))?.error;
+}
+
+/**
+ * Drop cached endpoint lookups
+ */
+export function resetEndpoints() {
+  endpointCache = new Map();
+}
+
+/**
+ * Distinct hosting providers in an endpoint list
+ */
+export function providerNames(endpoints) {
+  return [...new Set(endpoints.map(e => e.provider).filter(Boolean))];
+}
+
+/**
+ * Provider count, quantizations and the cheapest and largest-context hosts of an endpoint list
+ */
+export function summarizeEndpoints(endpoints) {
+  const quantizations = [...new Set(endpoints.map(e => e.quantization).filter(Boolean))].sort();
+  const withContext = endpoints.filter(e => e.context_length);
+
+  return {
+    provider_count: providerNames(endpoints).length,
+    quantizations,
+    cheapest_provider: endpoints[0]?.provider,
+    largest_context_provider: withContext.length > 0 ?
+      withContext.reduce((max, e) => e.context_length > max.context_length ? e : max).provider :
+      undefined,
+  };
+}
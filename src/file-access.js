@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { realpath } from 'fs/promises';
+import { resolve, sep } from 'path';
+import { settings } from './config.js';
+
+// File roots of the server handling the current tool call, when it sets its own
+const rootsContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with file parameters limited to `roots` (same forms as
+ * settings.fileRoots) instead of the process-wide setting; undefined keeps it
+ */
+export function withFileRoots(roots, fn) {
+  return roots === undefined ? fn() : rootsContext.run({ roots }, fn);
+}
+
+/**
+ * Directories file parameters may read from: null when unrestricted, an empty
+ * list when file parameters are disabled
+ *
+ * Roots come from withFileRoots() (a server's own fileRoots option), else
+ * settings.fileRoots: a comma-separated MODEL_SCOUT_FILE_ROOTS string or an
+ * array, where unset means no restriction.
+ */
+export function fileRoots() {
+  const context = rootsContext.getStore();
+  const roots = context ? context.roots : settings.fileRoots;
+  if (roots === undefined || roots === null) {
+    return null;
+  }
+  const list = Array.isArray(roots) ? roots : String(roots).split(',');
+  return list.map(r => r.trim()).filter(Boolean).map(r => resolve(r));
+}
+
+/**
+ * A path with symlinks resolved, or as given when it does not exist
+ */
+async function realPath(path) {
+  try {
+    return await realpath(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Whether a path (after resolving symlinks) lies inside the allowed roots
+ */
+export async function isAllowedPath(path) {
+  const roots = fileRoots();
+  if (!roots) return true;
+  const real = await realPath(resolve(path));
+  for (const root of roots) {
+    const realRoot = await realPath(root);
+    if (real === realRoot || real.startsWith(realRoot.endsWith(sep) ? realRoot : realRoot + sep)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Resolve a file parameter, rejecting it when file parameters are disabled or
+ * the path lies outside the allowed roots
+ */
+export async function resolveAllowedPath(given, parameter) {
+  const roots = fileRoots();
+  if (roots?.length === 0) {
+    throw new Error(`${parameter} is disabled on this server; set MODEL_SCOUT_FILE_ROOTS to the directories file parameters may read`);
+  }
+  if (!await isAllowedPath(given)) {
+    throw new Error(`${parameter} is outside the allowed file roots (${roots.join(', ')}): ${given}`);
+  }
+  return resolve(given);
+}
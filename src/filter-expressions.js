@@ -0,0 +1,226 @@
+import { parseSince } from './history.js';
+import { formatModelData } from './models.js';
+
+/**
+ * Fields a filter expression can test, with their type and how to read them
+ * from a formatted model. Prices are undefined for models without pricing, so
+ * price conditions never match them.
+ */
+const FIELDS = {
+  'id': { type: 'string', get: m => m.id },
+  'name': { type: 'string', get: m => m.name },
+  'canonical_slug': { type: 'string', get: m => m.canonical_slug },
+  'provider': { type: 'string', get: m => m.provider },
+  'source': { type: 'string', get: m => m.source },
+  'modality': { type: 'string', get: m => m.modality },
+  'tokenizer': { type: 'string', get: (m, model) => model.architecture?.tokenizer },
+  'context_length': { type: 'number', get: m => m.context_length },
+  'max_completion_tokens': { type: 'number', get: m => m.max_completion_tokens },
+  'created': { type: 'date', get: m => m.created },
+  'input_modalities': { type: 'list', get: m => m.input_modalities },
+  'output_modalities': { type: 'list', get: m => m.output_modalities },
+  'supported_parameters': { type: 'list', get: m => m.supported_parameters },
+  'is_moderated': { type: 'boolean', get: m => m.is_moderated },
+  'is_free': { type: 'boolean', get: m => m.is_free },
+  'pricing.prompt_per_1m': { type: 'number', get: m => price(m, m.pricing.prompt_per_1m) },
+  'pricing.completion_per_1m': { type: 'number', get: m => price(m, m.pricing.completion_per_1m) },
+  'pricing.total_per_1m': { type: 'number', get: m => price(m, m.pricing.total_per_1m) },
+  'pricing.request': { type: 'number', get: m => price(m, m.pricing.request ?? 0) },
+  'pricing.image': { type: 'number', get: m => price(m, m.pricing.image ?? 0) },
+  'pricing.web_search': { type: 'number', get: m => price(m, m.pricing.web_search ?? 0) },
+  'pricing.internal_reasoning': { type: 'number', get: m => price(m, m.pricing.internal_reasoning ?? 0) },
+  'pricing.has_caching': { type: 'boolean', get: m => m.pricing.has_caching },
+  'pricing.cache_read_per_1m': { type: 'number', get: m => m.pricing.cache_read_per_1m },
+  'pricing.cache_write_per_1m': { type: 'number', get: m => m.pricing.cache_write_per_1m },
+  'lifecycle.status': { type: 'string', get: m => m.lifecycle.status },
+  'lifecycle.expiration_date': { type: 'date', get: m => m.lifecycle.expiration_date },
+  'quality.score': { type: 'number', get: m => m.quality?.score },
+};
+
+/**
+ * Operators allowed on each field type
+ */
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'not_in', 'contains', 'exists'],
+  number: ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'not_in', 'exists'],
+  boolean: ['eq', 'ne', 'exists'],
+  date: ['lt', 'lte', 'gt', 'gte', 'exists'],
+  list: ['contains', 'contains_all', 'contains_any', 'exists'],
+};
+
+const COMBINATORS = ['all', 'any', 'not'];
+
+export const EXPRESSION_FIELDS = Object.keys(FIELDS);
+export const EXPRESSION_OPERATORS = [...new Set(Object.values(OPERATORS).flat())];
+
+/**
+ * A price, or undefined when the model lists no pricing
+ */
+function price(formatted, value) {
+  return formatted.pricing.available ? value : undefined;
+}
+
+/**
+ * Lowercase strings so text comparisons ignore case
+ */
+function fold(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * Check and normalize a condition's value for its field type and operator;
+ * durations are counted back from `now`
+ */
+function conditionValue(field, op, value, path, now) {
+  const { type } = FIELDS[field];
+  const fail = (expected) => {
+    throw new Error(`${path}: ${field} ${op} needs ${expected}`);
+  };
+
+  if (op === 'exists') {
+    if (typeof value !== 'boolean') fail('true or false');
+    return value;
+  }
+  if (op === 'in' || op === 'not_in' || op === 'contains_all' || op === 'contains_any') {
+    const item = type === 'number' ? 'number' : 'string';
+    if (!Array.isArray(value) || value.length === 0 || value.some(v => typeof v !== item)) {
+      fail(`a non-empty array of ${item}s`);
+    }
+    return value.map(fold);
+  }
+  if (type === 'date') {
+    if (typeof value !== 'string' && typeof value !== 'number') fail('an ISO date or a duration like "90d"');
+    try {
+      return typeof value === 'number' ? value * 1000 : parseSince(value, now);
+    } catch (error) {
+      throw new Error(`${path}: ${error.message}`);
+    }
+  }
+  const expected = type === 'list' ? 'string' : type;
+  if (typeof value !== expected) fail(`a ${expected}`);
+  return fold(value);
+}
+
+/**
+ * Compile one `{field, op, value}` condition into a test on a formatted model
+ */
+function compileCondition(expr, path, now) {
+  const { field, op, value } = expr;
+  const extra = Object.keys(expr).filter(k => !['field', 'op', 'value'].includes(k));
+  if (extra.length > 0) {
+    throw new Error(`${path}: unexpected key(s) ${extra.join(', ')} in a condition`);
+  }
+  if (!FIELDS[field]) {
+    throw new Error(`${path}: unknown field "${field}" (fields: ${EXPRESSION_FIELDS.join(', ')})`);
+  }
+  const { type, get } = FIELDS[field];
+  if (!OPERATORS[type].includes(op)) {
+    throw new Error(`${path}: operator "${op}" does not apply to ${type} field ${field} (use ${OPERATORS[type].join(', ')})`);
+  }
+  const expected = conditionValue(field, op, value, path, now);
+
+  return (formatted, model) => {
+    let actual = get(formatted, model);
+    if (op === 'exists') {
+      const present = actual !== undefined && actual !== null && !(Array.isArray(actual) && actual.length === 0);
+      return present === expected;
+    }
+    // Conditions on a missing value never match; wrap them in `not` to keep those models
+    if (actual === undefined || actual === null) return false;
+    if (type === 'date') actual = new Date(actual).getTime();
+    actual = Array.isArray(actual) ? actual.map(fold) : fold(actual);
+
+    switch (op) {
+      case 'eq': return actual === expected;
+      case 'ne': return actual !== expected;
+      case 'lt': return actual < expected;
+      case 'lte': return actual <= expected;
+      case 'gt': return actual > expected;
+      case 'gte': return actual >= expected;
+      case 'in': return expected.includes(actual);
+      case 'not_in': return !expected.includes(actual);
+      case 'contains': return actual.includes(expected);
+      case 'contains_all': return expected.every(v => actual.includes(v));
+      case 'contains_any': return expected.some(v => actual.includes(v));
+    }
+  };
+}
+
+/**
+ * Compile an expression node: a condition, or an `all`/`any`/`not` combinator
+ */
+function compileNode(expr, path, now) {
+  if (!expr || typeof expr !== 'object' || Array.isArray(expr)) {
+    throw new Error(`${path}: expected an object with field/op/value, all, any or not`);
+  }
+  const combinators = COMBINATORS.filter(c => c in expr);
+  if (combinators.length === 0) {
+    return compileCondition(expr, path, now);
+  }
+  if (combinators.length > 1 || Object.keys(expr).length > 1) {
+    throw new Error(`${path}: a combinator must be the only key (found ${Object.keys(expr).join(', ')})`);
+  }
+
+  const [combinator] = combinators;
+  if (combinator === 'not') {
+    const inner = compileNode(expr.not, `${path}.not`, now);
+    return (formatted, model) => !inner(formatted, model);
+  }
+  if (!Array.isArray(expr[combinator]) || expr[combinator].length === 0) {
+    throw new Error(`${path}.${combinator}: expected a non-empty array of expressions`);
+  }
+  const parts = expr[combinator].map((child, i) => compileNode(child, `${path}.${combinator}[${i}]`, now));
+  return combinator === 'all' ?
+    (formatted, model) => parts.every(part => part(formatted, model)) :
+    (formatted, model) => parts.some(part => part(formatted, model));
+}
+
+/**
+ * Compile a filter expression into a predicate on catalog models
+ *
+ * An expression is a condition `{field, op, value}` or a combinator
+ * `{all: [...]}`, `{any: [...]}` or `{not: {...}}`, nested to any depth. Fields,
+ * and the operators each field type accepts, come from the FIELDS table; unknown
+ * fields, operators or malformed values throw with the path of the bad node.
+ * Date durations ("90d") count back from `now`.
+ */
+export function compileExpression(expr, path = 'where', now = Date.now()) {
+  const test = compileNode(expr, path, now);
+  return model => test(formatModelData(model), model);
+}
+
+/**
+ * Fields an expression tests, in order of appearance
+ */
+export function expressionFields(expr) {
+  if (!expr || typeof expr !== 'object') return [];
+  if (Array.isArray(expr.all) || Array.isArray(expr.any)) {
+    return [...new Set((expr.all || expr.any).flatMap(expressionFields))];
+  }
+  if (expr.not) return expressionFields(expr.not);
+  return typeof expr.field === 'string' ? [expr.field] : [];
+}
+
+/**
+ * Input schema for a filter expression, generated from the fields table
+ */
+export const FILTER_EXPRESSION_SCHEMA = {
+  type: 'object',
+  description: 'Filter expression: a condition {"field", "op", "value"}, or {"all": [...]}, {"any": [...]} or {"not": {...}} ' +
+    'combining expressions to any depth. Fields by type: ' +
+    Object.keys(OPERATORS).map(type =>
+      `${type} (${OPERATORS[type].join('/')}): ${EXPRESSION_FIELDS.filter(f => FIELDS[f].type === type).join(', ')}`
+    ).join('; ') +
+    '. Dates take an ISO date or a duration back from now ("90d"); prices are per 1M tokens, or per request/image/search. ' +
+    'Conditions on missing values do not match.',
+  properties: {
+    field: { type: 'string', enum: EXPRESSION_FIELDS },
+    op: { type: 'string', enum: EXPRESSION_OPERATORS },
+    value: {
+      description: 'Value to compare with: a string, number or boolean, an array for in/not_in/contains_all/contains_any, true/false for exists',
+    },
+    all: { type: 'array', items: { type: 'object' }, description: 'Every expression must match' },
+    any: { type: 'array', items: { type: 'object' }, description: 'At least one expression must match' },
+    not: { type: 'object', description: 'The expression must not match' },
+  },
+};
@@ -0,0 +1,139 @@
+import { getEndpoints, providerNames } from './endpoints.js';
+import { compileExpression } from './filter-expressions.js';
+import { getLifecycle, releasedWithin } from './lifecycle.js';
+import { isFree, parsePrice } from './models.js';
+import { getQuality } from './quality.js';
+
+/**
+ * Apply filters to models; release windows, deprecation and date durations are
+ * judged as of `now`
+ */
+export function applyFilters(models, filters, now = Date.now()) {
+  let filtered = [...models];
+
+  if (filters.provider) {
+    const providers = Array.isArray(filters.provider) ? filters.provider : [filters.provider];
+    filtered = filtered.filter(m =>
+      providers.some(p => m.provider.toLowerCase() === p.toLowerCase())
+    );
+  }
+
+  if (filters.exclude_provider) {
+    const excluded = Array.isArray(filters.exclude_provider) ? filters.exclude_provider : [filters.exclude_provider];
+    filtered = filtered.filter(m =>
+      !excluded.some(p => m.provider.toLowerCase() === p.toLowerCase())
+    );
+  }
+
+  if (filters.source) {
+    const sourceNames = Array.isArray(filters.source) ? filters.source : [filters.source];
+    filtered = filtered.filter(m =>
+      sourceNames.some(s => m.source.name.toLowerCase() === s.toLowerCase())
+    );
+  }
+
+  if (filters.free_only) {
+    filtered = filtered.filter(m => isFree(m.pricing));
+  }
+
+  if (filters.min_context) {
+    filtered = filtered.filter(m => m.context_length >= filters.min_context);
+  }
+
+  if (filters.max_context) {
+    filtered = filtered.filter(m => m.context_length <= filters.max_context);
+  }
+
+  if (filters.max_price_per_1m) {
+    filtered = filtered.filter(m => {
+      const totalPer1m = (parsePrice(m.pricing.prompt) + parsePrice(m.pricing.completion)) * 1_000_000;
+      return totalPer1m <= filters.max_price_per_1m;
+    });
+  }
+
+  if (filters.has_vision) {
+    filtered = filtered.filter(m =>
+      m.architecture?.input_modalities?.includes('image')
+    );
+  }
+
+  if (filters.has_tools) {
+    filtered = filtered.filter(m =>
+      m.supported_parameters?.includes('tools')
+    );
+  }
+
+  if (filters.has_reasoning) {
+    filtered = filtered.filter(m =>
+      m.supported_parameters?.includes('reasoning')
+    );
+  }
+
+  if (filters.modality) {
+    filtered = filtered.filter(m =>
+      m.architecture?.modality === filters.modality
+    );
+  }
+
+  if (filters.input_modalities?.length) {
+    filtered = filtered.filter(m =>
+      filters.input_modalities.every(x => m.architecture?.input_modalities?.includes(x))
+    );
+  }
+
+  if (filters.output_modalities?.length) {
+    filtered = filtered.filter(m =>
+      filters.output_modalities.every(x => m.architecture?.output_modalities?.includes(x))
+    );
+  }
+
+  if (filters.required_parameters?.length) {
+    filtered = filtered.filter(m =>
+      filters.required_parameters.every(p => m.supported_parameters?.includes(p))
+    );
+  }
+
+  if (filters.released_within_days !== undefined) {
+    filtered = filtered.filter(m => releasedWithin(m, filters.released_within_days, now));
+  }
+
+  if (filters.exclude_deprecated) {
+    filtered = filtered.filter(m => getLifecycle(m, now).status === 'active');
+  }
+
+  if (filters.min_quality !== undefined) {
+    filtered = filtered.filter(m => getQuality(m)?.score >= filters.min_quality);
+  }
+
+  if (filters.min_benchmarks) {
+    filtered = filtered.filter(m => {
+      const benchmarks = getQuality(m)?.benchmarks || {};
+      return Object.entries(filters.min_benchmarks).every(([name, min]) => benchmarks[name] >= min);
+    });
+  }
+
+  if (filters.where) {
+    filtered = filtered.filter(compileExpression(filters.where, 'where', now));
+  }
+
+  // Endpoint filters need fetchEndpoints() first; models without loaded endpoints fail them
+  if (usesEndpoints(filters)) {
+    const quantizations = filters.quantization === undefined ? undefined :
+      (Array.isArray(filters.quantization) ? filters.quantization : [filters.quantization]).map(q => q.toLowerCase());
+    filtered = filtered.filter(m => {
+      const endpoints = getEndpoints(m);
+      if (!endpoints) return false;
+      const matching = quantizations ? endpoints.filter(e => quantizations.includes(e.quantization)) : endpoints;
+      return matching.length > 0 && providerNames(matching).length >= (filters.min_providers || 1);
+    });
+  }
+
+  return filtered;
+}
+
+/**
+ * Whether filters need per-host endpoint details
+ */
+export function usesEndpoints(filters) {
+  return filters.quantization !== undefined || filters.min_providers !== undefined;
+}
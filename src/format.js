@@ -0,0 +1,75 @@
+export const OUTPUT_FORMATS = ['json', 'compact', 'markdown', 'csv'];
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render headers and rows as a Markdown table
+ */
+export function markdownTable(headers, rows) {
+  return [
+    `| ${headers.map(markdownCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Escape a value for a CSV field (RFC 4180)
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render headers and rows as CSV
+ */
+export function csvTable(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * Format a dollar amount, with more precision for small amounts
+ */
+export function formatDollars(amount) {
+  if (amount === undefined || amount === null) return 'N/A';
+  if (amount !== 0 && Math.abs(amount) < 1) return `$${amount.toPrecision(2)}`;
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * One-line description of catalog freshness
+ */
+export function freshnessLine(freshness) {
+  if (!freshness) return undefined;
+  const parts = [`Catalog data: ${freshness.origin}`];
+  if (freshness.fetched_at) parts.push(`fetched ${freshness.fetched_at}`);
+  if (freshness.stale) parts.push('stale');
+  return `_${parts.join(', ')}_`;
+}
+
+/**
+ * Render a tool result as text in the requested output format.
+ * `renderers` supplies the tool's `markdown` and `csv` renderers
+ */
+export function renderResult(result, format = 'json', renderers = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'compact':
+      return JSON.stringify(result);
+    case 'markdown':
+    case 'csv':
+      if (!renderers[format]) {
+        throw new Error(`output_format "${format}" is not supported by this tool`);
+      }
+      return renderers[format](result);
+    default:
+      throw new Error(`Unknown output_format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
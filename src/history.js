@@ -0,0 +1,154 @@
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { historyPath, settings } from './config.js';
+import { parsePrice } from './models.js';
+
+const TRACKED_PRICING_FIELDS = [
+  'prompt', 'completion', 'request', 'image', 'web_search',
+  'internal_reasoning', 'input_cache_read', 'input_cache_write',
+];
+
+/**
+ * Diff two catalogs from the same source into history events
+ *
+ * An empty previous catalog records a baseline instead of marking every model as added.
+ */
+export function diffCatalogs(previous, current, sourceName, now = Date.now()) {
+  const timestamp = new Date(now).toISOString();
+
+  if (previous.length === 0) {
+    return [{ timestamp, source: sourceName, change: 'baseline', model_count: current.length }];
+  }
+
+  const events = [];
+  const event = (model_id, change, details) => events.push({ timestamp, source: sourceName, model_id, change, ...details });
+  const before = new Map(previous.map(m => [m.id, m]));
+  const after = new Map(current.map(m => [m.id, m]));
+
+  for (const [id, model] of after) {
+    const old = before.get(id);
+    if (!old) {
+      event(id, 'added', { name: model.name, pricing: pricingSummary(model.pricing), context_length: model.context_length });
+      continue;
+    }
+
+    for (const field of TRACKED_PRICING_FIELDS) {
+      const oldPrice = old.pricing?.[field] != null ? parsePrice(old.pricing[field]) : undefined;
+      const newPrice = model.pricing?.[field] != null ? parsePrice(model.pricing[field]) : undefined;
+      if (oldPrice !== newPrice) {
+        event(id, 'pricing', {
+          field,
+          old: oldPrice,
+          new: newPrice,
+          percent_change: oldPrice && newPrice !== undefined ?
+            Math.round(((newPrice - oldPrice) / oldPrice) * 10000) / 100 : undefined,
+        });
+      }
+    }
+
+    if (old.context_length !== model.context_length) {
+      event(id, 'context_length', { old: old.context_length, new: model.context_length });
+    }
+
+    const oldMax = old.top_provider?.max_completion_tokens;
+    const newMax = model.top_provider?.max_completion_tokens;
+    if (oldMax !== newMax) {
+      event(id, 'max_completion_tokens', { old: oldMax, new: newMax });
+    }
+
+    const listChange = (a = [], b = []) => ({
+      added: b.filter(x => !a.includes(x)),
+      removed: a.filter(x => !b.includes(x)),
+    });
+
+    const params = listChange(old.supported_parameters, model.supported_parameters);
+    if (params.added.length || params.removed.length) {
+      event(id, 'supported_parameters', params);
+    }
+
+    if ((old.expiration_date ?? null) !== (model.expiration_date ?? null)) {
+      event(id, 'expiration_date', { old: old.expiration_date ?? undefined, new: model.expiration_date ?? undefined });
+    }
+
+    for (const field of ['input_modalities', 'output_modalities']) {
+      const diff = listChange(old.architecture?.[field], model.architecture?.[field]);
+      if (diff.added.length || diff.removed.length) {
+        event(id, 'modalities', { field, ...diff });
+      }
+    }
+  }
+
+  for (const [id, model] of before) {
+    if (!after.has(id)) {
+      event(id, 'removed', { name: model.name, pricing: pricingSummary(model.pricing) });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Per-token pricing as numbers, keeping only fields that are set
+ */
+export function pricingSummary(pricing = {}) {
+  return Object.fromEntries(
+    TRACKED_PRICING_FIELDS
+      .filter(field => pricing[field] != null)
+      .map(field => [field, parsePrice(pricing[field])])
+  );
+}
+
+/**
+ * Append change events to the local history store
+ */
+export async function appendHistory(events) {
+  if (events.length === 0) {
+    return;
+  }
+
+  try {
+    await mkdir(settings.dataDir, { recursive: true });
+    await appendFile(historyPath(), events.map(e => JSON.stringify(e)).join('\n') + '\n');
+  } catch (error) {
+    console.error(`Warning: could not write change history ${historyPath()}: ${error.message}`);
+  }
+}
+
+/**
+ * Read all change events from the local history store
+ */
+export async function readHistory() {
+  let text;
+  try {
+    text = await readFile(historyPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Parse an absolute date or a relative duration ("7d", "12h", "2w") into a timestamp
+ */
+export function parseSince(value, now = Date.now()) {
+  const relative = /^(\d+(?:\.\d+)?)\s*([hdwm])$/i.exec(String(value).trim());
+  if (relative) {
+    const units = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, m: 30 * 86400e3 };
+    return now - parseFloat(relative[1]) * units[relative[2].toLowerCase()];
+  }
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value} (use an ISO date or a duration like "7d")`);
+  }
+  return time;
+}
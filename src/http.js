@@ -0,0 +1,467 @@
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import express from 'express';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { isEnabled, SERVER_INFO, settings } from './config.js';
+import { createServer } from './server.js';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+const MAX_BODY_SIZE = '10mb'; // room for inline log_text and document text, as file parameters are off over HTTP
+
+/**
+ * Parse MCP_API_KEYS: comma-separated `[name:]key[:limit]` entries
+ */
+function parseApiKeys(spec) {
+  return (spec || '').split(',').map(s => s.trim()).filter(Boolean).map((entry, i) => {
+    const parts = entry.split(':');
+    let name = `key-${i + 1}`;
+    let key = entry;
+    let limit;
+
+    if (parts.length >= 2) {
+      name = parts[0];
+      key = parts[1];
+      if (parts.length >= 3) {
+        limit = parseInt(parts[2], 10);
+        if (!Number.isFinite(limit) || limit < 0) {
+          throw new Error(`Invalid rate limit for API key "${name}": ${parts[2]}`);
+        }
+      }
+    }
+    if (!key) {
+      throw new Error(`Empty API key in entry ${i + 1}`);
+    }
+
+    return { name, digest: createHash('sha256').update(key).digest(), limit };
+  });
+}
+
+/**
+ * Parse a comma-separated list from the environment
+ */
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Read a whole-number setting from the environment, or `fallback` when unset.
+ * Anything else, or a value under `min`, is an error so a typo never disables
+ * a limit
+ */
+function parseIntegerEnv(name, fallback, min = 1) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  const parsed = Number(value.trim());
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new Error(`Invalid ${name}: ${value} (expected a whole number of at least ${min})`);
+  }
+  return parsed;
+}
+
+/**
+ * Send an HTTP error with a JSON-RPC error body
+ */
+function sendJsonRpcError(req, res, status, code, message, headers = {}) {
+  const id = !Array.isArray(req.body) && req.body?.id !== undefined ? req.body.id : null;
+  res.status(status).set(headers).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id,
+  });
+}
+
+/**
+ * Reject requests whose Host or Origin header is not allowed (DNS rebinding protection)
+ *
+ * Host must be in allowedHosts when that list is non-empty. A browser Origin must be
+ * in allowedOrigins, or point at the same host as the Host header.
+ */
+function createOriginHostValidator({ allowedHosts, allowedOrigins }) {
+  return (req, res, next) => {
+    const hostHeader = (req.headers.host || '').toLowerCase();
+    const hostname = hostHeader.replace(/:\d+$/, '');
+
+    if (allowedHosts.length > 0 && !allowedHosts.includes(hostname) && !allowedHosts.includes(hostHeader)) {
+      sendJsonRpcError(req, res, 403, -32003, `Forbidden: host ${hostHeader || '(none)'} is not allowed`);
+      return;
+    }
+
+    const origin = req.headers.origin?.toLowerCase();
+    if (origin && origin !== 'null') {
+      let originHost;
+      try {
+        originHost = new URL(origin).host;
+      } catch {
+        originHost = undefined;
+      }
+      const sameHost = originHost === hostHeader;
+      if (!allowedOrigins.includes(origin) && !(allowedOrigins.length === 0 && sameHost)) {
+        sendJsonRpcError(req, res, 403, -32003, `Forbidden: origin ${origin} is not allowed`);
+        return;
+      }
+    } else if (origin === 'null') {
+      sendJsonRpcError(req, res, 403, -32003, 'Forbidden: opaque origin is not allowed');
+      return;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require a configured API key as `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ */
+function createAuthenticator(apiKeys) {
+  return (req, res, next) => {
+    if (apiKeys.length === 0) {
+      req.clientId = `ip:${req.ip}`;
+      next();
+      return;
+    }
+
+    const auth = req.headers.authorization || '';
+    const presented = auth.toLowerCase().startsWith('bearer ') ?
+      auth.slice(7).trim() :
+      req.headers['x-api-key'];
+
+    if (!presented) {
+      sendJsonRpcError(req, res, 401, -32001, 'Unauthorized: missing API key',
+        { 'WWW-Authenticate': 'Bearer realm="model-scout-mcp"' });
+      return;
+    }
+
+    const digest = createHash('sha256').update(String(presented)).digest();
+    const match = apiKeys.find(k => timingSafeEqual(k.digest, digest));
+    if (!match) {
+      sendJsonRpcError(req, res, 401, -32001, 'Unauthorized: invalid API key',
+        { 'WWW-Authenticate': 'Bearer realm="model-scout-mcp", error="invalid_token"' });
+      return;
+    }
+
+    req.clientId = `key:${match.name}`;
+    req.rateLimit = match.limit;
+    next();
+  };
+}
+
+/**
+ * Answer request body errors (malformed JSON, oversize bodies) with JSON-RPC
+ * errors instead of Express's HTML error page
+ */
+function jsonRpcErrorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+  if (error.type === 'entity.parse.failed') {
+    sendJsonRpcError(req, res, 400, -32700, 'Parse error: request body is not valid JSON');
+  } else if (error.type === 'entity.too.large') {
+    sendJsonRpcError(req, res, 413, -32600, `Request body is larger than the ${MAX_BODY_SIZE} limit`);
+  } else if (error.status >= 400 && error.status < 500) {
+    sendJsonRpcError(req, res, error.status, -32600, `Invalid request: ${error.message}`);
+  } else {
+    console.error(`Error handling HTTP request: ${error.message}`);
+    sendJsonRpcError(req, res, 500, -32603, 'Internal server error');
+  }
+}
+
+/**
+ * Limit tool calls per client (API key, or IP without auth) in fixed windows
+ */
+function createToolCallLimiter({ defaultLimit, windowMs }) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const limit = req.rateLimit ?? defaultLimit;
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const calls = messages.filter(m => m?.method === 'tools/call').length;
+    if (!limit || calls === 0) {
+      next();
+      return;
+    }
+
+    const now = Date.now();
+    let window = windows.get(req.clientId);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(req.clientId, window);
+    }
+
+    const resetSeconds = Math.ceil((window.start + windowMs - now) / 1000);
+    const headers = {
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Reset': String(resetSeconds),
+    };
+
+    if (window.count + calls > limit) {
+      sendJsonRpcError(req, res, 429, -32029,
+        `Rate limit exceeded: ${limit} tool calls per ${windowMs / 1000}s. Retry in ${resetSeconds}s`,
+        { ...headers, 'RateLimit-Remaining': '0', 'Retry-After': String(resetSeconds) });
+      return;
+    }
+
+    window.count += calls;
+    res.set({ ...headers, 'RateLimit-Remaining': String(limit - window.count) });
+
+    // Drop expired windows now and then
+    if (windows.size > 1000) {
+      for (const [id, w] of windows) {
+        if (now - w.start >= windowMs) windows.delete(id);
+      }
+    }
+
+    next();
+  };
+}
+
+/**
+ * Bounded in-memory event store so a dropped SSE stream can resume with Last-Event-ID
+ */
+function createEventStore(maxEvents) {
+  const events = [];
+  let sequence = 0;
+
+  return {
+    get size() {
+      return events.length;
+    },
+
+    async storeEvent(streamId, message) {
+      const eventId = String(++sequence);
+      events.push({ eventId, streamId, message });
+      if (events.length > maxEvents) events.shift();
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      return events.find(e => e.eventId === eventId)?.streamId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const index = events.findIndex(e => e.eventId === lastEventId);
+      if (index === -1) {
+        throw new Error(`Event ${lastEventId} is no longer buffered`);
+      }
+
+      const { streamId } = events[index];
+      for (const event of events.slice(index + 1)) {
+        if (event.streamId === streamId) {
+          await send(event.eventId, event.message);
+        }
+      }
+      return streamId;
+    },
+  };
+}
+
+/**
+ * Start server in HTTP mode with streamable HTTP transport
+ *
+ * `port` and `host` override MCP_PORT and MCP_HOST, and `fileRoots` the
+ * fileRoots setting for this server's sessions. Resolves with the listening
+ * http.Server once it accepts connections.
+ */
+export async function startHttpServer({ port, host, fileRoots } = {}) {
+  const PORT = port ?? parseInt(process.env.MCP_PORT || '3000', 10);
+  const HOST = host || process.env.MCP_HOST || '127.0.0.1';
+  const isLoopback = LOOPBACK_HOSTS.includes(HOST.toLowerCase());
+
+  // Remote clients must not read server files unless roots are configured
+  const sessionFileRoots = fileRoots ?? settings.fileRoots ?? '';
+
+  const apiKeys = parseApiKeys(process.env.MCP_API_KEYS);
+  const defaultRateLimit = parseIntegerEnv('MCP_RATE_LIMIT', 0, 0);
+  const rateLimitWindowMs = parseIntegerEnv('MCP_RATE_LIMIT_WINDOW', 60) * 1000;
+  const idleTimeoutMs = parseIntegerEnv('MCP_SESSION_IDLE_TIMEOUT', 1800) * 1000;
+  const maxSessions = parseIntegerEnv('MCP_MAX_SESSIONS', 100);
+  const eventBufferSize = parseIntegerEnv('MCP_EVENT_BUFFER_SIZE', 500);
+  if (apiKeys.length === 0 && !isLoopback && !isEnabled(process.env.MCP_ALLOW_UNAUTHENTICATED)) {
+    throw new Error(`Refusing to listen on ${HOST} without authentication. Set MCP_API_KEYS, or MCP_ALLOW_UNAUTHENTICATED=true to override`);
+  }
+
+  const allowedHosts = process.env.MCP_ALLOWED_HOSTS ?
+    parseList(process.env.MCP_ALLOWED_HOSTS) :
+    (isLoopback ? LOOPBACK_HOSTS : []);
+  const allowedOrigins = parseList(process.env.MCP_ALLOWED_ORIGINS);
+
+  const app = express();
+  app.use(createOriginHostValidator({ allowedHosts, allowedOrigins }));
+  // Authenticate before reading the body, so unauthenticated clients cannot make the server parse it
+  app.use(createAuthenticator(apiKeys));
+  app.use(express.json({ limit: MAX_BODY_SIZE }));
+  app.use('/mcp', createToolCallLimiter({
+    defaultLimit: defaultRateLimit,
+    windowMs: rateLimitWindowMs,
+  }));
+
+
+  // Active sessions by session ID
+  const sessions = new Map();
+  const totals = { created: 0, closed: 0, expired: 0, rejected: 0 };
+
+  /**
+   * Close a session and record why it ended
+   */
+  async function endSession(session, reason) {
+    if (!sessions.delete(session.id)) return;
+    totals[reason]++;
+    await session.server.close();
+  }
+
+  // Expire sessions with no open streams and no recent requests
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (session.openRequests === 0 && now - session.lastActivity >= idleTimeoutMs) {
+        endSession(session, 'expired').catch(error => {
+          console.error(`Failed to close session ${session.id}: ${error.message}`);
+        });
+      }
+    }
+  }, Math.min(idleTimeoutMs, 60_000));
+  sweeper.unref();
+
+  // Health check endpoint
+  app.get('/health', (_req, res) => {
+    res.json({ status: 'ok', service: SERVER_INFO.name, version: SERVER_INFO.version });
+  });
+
+  // Session statistics: server-wide counts, and details of the caller's own sessions only
+  app.get('/sessions', (req, res) => {
+    const now = Date.now();
+    res.json({
+      active: sessions.size,
+      max_sessions: maxSessions,
+      idle_timeout_seconds: idleTimeoutMs / 1000,
+      event_buffer_size: eventBufferSize,
+      totals,
+      sessions: [...sessions.values()].filter(s => s.clientId === req.clientId).map(s => ({
+        id: `${s.id.slice(0, 8)}…`,
+        client: s.clientId,
+        created_at: new Date(s.createdAt).toISOString(),
+        last_activity_at: new Date(s.lastActivity).toISOString(),
+        idle_seconds: s.openRequests > 0 ? 0 : Math.floor((now - s.lastActivity) / 1000),
+        open_streams: s.openRequests,
+        requests: s.requests,
+        buffered_events: s.eventStore.size,
+      })),
+    });
+  });
+
+  // Handle all MCP requests (GET, POST and DELETE) at /mcp
+  app.all('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let session;
+
+      if (sessionId) {
+        session = sessions.get(sessionId);
+        if (!session) {
+          // Tells the client to start a new session
+          sendJsonRpcError(req, res, 404, -32000, 'Session not found or expired');
+          return;
+        }
+        if (session.clientId !== req.clientId) {
+          sendJsonRpcError(req, res, 403, -32003, 'Forbidden: session belongs to another client');
+          return;
+        }
+      } else if (req.method === 'POST') {
+        if (sessions.size >= maxSessions) {
+          totals.rejected++;
+          sendJsonRpcError(req, res, 503, -32000,
+            `Too many active sessions (limit ${maxSessions}). Close an existing session or retry later`,
+            { 'Retry-After': String(Math.ceil(Math.min(idleTimeoutMs, 60_000) / 1000)) });
+          return;
+        }
+        session = await createSession(req.clientId);
+      } else {
+        sendJsonRpcError(req, res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+        return;
+      }
+
+      session.requests++;
+      session.openRequests++;
+      session.lastActivity = Date.now();
+      res.on('close', () => {
+        session.openRequests--;
+        session.lastActivity = Date.now();
+      });
+
+      await session.transport.handleRequest(req, res, req.body);
+
+      // The first request was not a valid initialize, so no session was created
+      if (!session.id) {
+        await session.server.close();
+      }
+    } catch (error) {
+      // Express 4 does not catch rejected async handlers; answer instead of leaving the request hanging
+      console.error(`Error handling MCP request: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(req, res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  /**
+   * Create a server and transport for a new session
+   */
+  async function createSession(clientId) {
+    const eventStore = createEventStore(eventBufferSize);
+    const session = {
+      id: undefined,
+      clientId,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      requests: 0,
+      openRequests: 0,
+      eventStore,
+    };
+
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore,
+      // The session ID is only assigned while handling initialize
+      onsessioninitialized: (id) => {
+        session.id = id;
+        sessions.set(id, session);
+        totals.created++;
+      },
+      onsessionclosed: () => {
+        if (sessions.delete(session.id)) totals.closed++;
+      },
+    });
+
+    // Create a new server instance for this session
+    session.server = createServer({ fileRoots: sessionFileRoots });
+    await session.server.connect(session.transport);
+
+    // Clean up on close (keeping the server's own close handling)
+    const onclose = session.transport.onclose;
+    session.transport.onclose = () => {
+      if (session.id && sessions.delete(session.id)) totals.closed++;
+      onclose?.();
+    };
+
+    return session;
+  }
+
+  app.use(jsonRpcErrorHandler);
+
+  const httpServer = await new Promise((resolve, reject) => {
+    const listener = app.listen(PORT, HOST, () => resolve(listener));
+    listener.once('error', reject);
+  });
+  httpServer.on('close', () => clearInterval(sweeper));
+
+  console.error(`Model Scout MCP server running on http://${HOST}:${PORT}/mcp`);
+  console.error('Transport: Streamable HTTP');
+  console.error('Endpoints:');
+  console.error(`  - MCP:    POST/GET http://${HOST}:${PORT}/mcp`);
+  console.error(`  - Health: GET http://${HOST}:${PORT}/health`);
+  console.error(`  - Stats:  GET http://${HOST}:${PORT}/sessions`);
+  console.error(`Sessions: up to ${maxSessions}, idle timeout ${idleTimeoutMs / 1000}s`);
+  console.error(`Authentication: ${apiKeys.length > 0 ? `${apiKeys.length} API key(s)` : 'disabled'}`);
+
+  return httpServer;
+}
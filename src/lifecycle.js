@@ -0,0 +1,71 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a catalog date (ISO string, or Unix seconds) into a timestamp
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '' || typeof value === 'boolean') {
+    return undefined;
+  }
+  const time = typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Lifecycle of a model: release date and age, deprecation, and scheduled removal
+ *
+ * OpenRouter lists `expiration_date` for models due to be removed; static
+ * catalogs may also set `deprecated` (true or a date) or `deprecation_date`.
+ * Status is `expired` once the expiration date has passed, `scheduled_for_removal`
+ * before it, `deprecated` when only marked deprecated, and `active` otherwise.
+ */
+export function getLifecycle(model, now = Date.now()) {
+  const released = model.created ? model.created * 1000 : undefined;
+  const expiration = parseDate(model.expiration_date);
+  const deprecatedAt = parseDate(model.deprecation_date) ??
+    (typeof model.deprecated === 'string' ? parseDate(model.deprecated) : undefined);
+  const deprecated = model.deprecated === true || (deprecatedAt !== undefined && deprecatedAt <= now);
+
+  let status = 'active';
+  if (expiration !== undefined) {
+    status = expiration <= now ? 'expired' : 'scheduled_for_removal';
+  } else if (deprecated) {
+    status = 'deprecated';
+  }
+
+  return {
+    status,
+    released: released ? new Date(released).toISOString().slice(0, 10) : undefined,
+    age_days: released ? Math.max(0, Math.floor((now - released) / DAY_MS)) : undefined,
+    deprecated: deprecated || expiration !== undefined,
+    deprecation_date: deprecatedAt !== undefined ? new Date(deprecatedAt).toISOString().slice(0, 10) : undefined,
+    expiration_date: expiration !== undefined ? new Date(expiration).toISOString().slice(0, 10) : undefined,
+    days_until_expiration: expiration !== undefined && expiration > now ? Math.ceil((expiration - now) / DAY_MS) : undefined,
+  };
+}
+
+/**
+ * Warning for a model that is deprecated, expiring or expired, or undefined
+ */
+export function lifecycleWarning(model, lifecycle = getLifecycle(model)) {
+  switch (lifecycle.status) {
+    case 'expired':
+      return `${model.id} expired on ${lifecycle.expiration_date} and may stop working at any time. Use get_model_alternatives to find a replacement`;
+    case 'scheduled_for_removal':
+      return `${model.id} is scheduled for removal on ${lifecycle.expiration_date} ` +
+        `(in ${lifecycle.days_until_expiration} day${lifecycle.days_until_expiration === 1 ? '' : 's'}). Use get_model_alternatives to find a replacement`;
+    case 'deprecated':
+      return `${model.id} is deprecated` +
+        (lifecycle.deprecation_date ? ` since ${lifecycle.deprecation_date}` : '') +
+        '. Use get_model_alternatives to find a replacement';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Whether a model was released within the last `days` days
+ */
+export function releasedWithin(model, days, now = Date.now()) {
+  return model.created > 0 && now - model.created * 1000 <= days * DAY_MS;
+}
@@ -0,0 +1,169 @@
+import { getLifecycle } from './lifecycle.js';
+import { getQuality } from './quality.js';
+
+/**
+ * Parse pricing from string to number
+ */
+export function parsePrice(priceStr) {
+  return priceStr ? parseFloat(priceStr) : 0;
+}
+
+/**
+ * Extract provider from model ID
+ */
+export function extractProvider(modelId) {
+  const parts = modelId.split('/');
+  return parts[0] || '';
+}
+
+/**
+ * Check if model has known token pricing
+ */
+function hasPricing(pricing) {
+  return pricing?.prompt != null || pricing?.completion != null;
+}
+
+/**
+ * Check if model is free
+ */
+export function isFree(pricing) {
+  return hasPricing(pricing) &&
+    parsePrice(pricing.prompt) === 0 && parsePrice(pricing.completion) === 0;
+}
+
+/**
+ * Get capabilities array from model
+ */
+export function getCapabilities(model) {
+  const caps = [];
+
+  if (model.architecture?.input_modalities?.includes('image')) {
+    caps.push('vision');
+  }
+  if (model.architecture?.input_modalities?.length > 1) {
+    caps.push('multimodal');
+  }
+  if (model.supported_parameters?.includes('tools')) {
+    caps.push('tools');
+  }
+  if (model.supported_parameters?.includes('reasoning')) {
+    caps.push('reasoning');
+  }
+  if (model.supported_parameters?.includes('structured_outputs')) {
+    caps.push('structured_outputs');
+  }
+
+  return caps;
+}
+
+/**
+ * Format model data for response
+ */
+export function formatModelData(model) {
+  const promptPrice = parsePrice(model.pricing.prompt);
+  const completionPrice = parsePrice(model.pricing.completion);
+
+  return {
+    id: model.id,
+    canonical_slug: model.canonical_slug,
+    name: model.name,
+    provider: model.provider,
+    source: model.source.name,
+    source_type: model.source.type,
+    api_endpoint: model.source.api_endpoint,
+    api_format: model.source.api_format,
+    hugging_face_id: model.hugging_face_id || undefined,
+
+    context_length: model.context_length,
+    max_completion_tokens: model.top_provider?.max_completion_tokens || undefined,
+    created: model.created ? new Date(model.created * 1000).toISOString() : undefined,
+    description: model.description,
+
+    modality: model.architecture?.modality,
+    input_modalities: model.architecture?.input_modalities || [],
+    output_modalities: model.architecture?.output_modalities || [],
+    supported_parameters: model.supported_parameters || [],
+
+    pricing: {
+      prompt: promptPrice,
+      completion: completionPrice,
+      prompt_per_1m: promptPrice * 1_000_000,
+      completion_per_1m: completionPrice * 1_000_000,
+      total_per_1m: (promptPrice + completionPrice) * 1_000_000,
+      request: parsePrice(model.pricing.request) || undefined,
+      image: parsePrice(model.pricing.image) || undefined,
+      web_search: parsePrice(model.pricing.web_search) || undefined,
+      // A listed 0 means free reasoning tokens; only a missing price falls back to completion
+      internal_reasoning: model.pricing.internal_reasoning != null ?
+        parsePrice(model.pricing.internal_reasoning) : undefined,
+      has_caching: !!model.pricing.input_cache_read,
+      cache_read_per_1m: model.pricing.input_cache_read ?
+        parsePrice(model.pricing.input_cache_read) * 1_000_000 : undefined,
+      cache_write_per_1m: model.pricing.input_cache_write ?
+        parsePrice(model.pricing.input_cache_write) * 1_000_000 : undefined,
+      available: hasPricing(model.pricing),
+    },
+
+    is_moderated: model.top_provider?.is_moderated || false,
+    is_free: isFree(model.pricing),
+    lifecycle: getLifecycle(model),
+    quality: getQuality(model),
+  };
+}
+
+/**
+ * Total price per 1M tokens divided by the model's quality score, or undefined
+ * without pricing or quality data
+ */
+export function pricePerQualityPoint(model) {
+  const quality = getQuality(model);
+  if (!quality || !hasPricing(model.pricing)) return undefined;
+  const totalPer1m = (parsePrice(model.pricing.prompt) + parsePrice(model.pricing.completion)) * 1_000_000;
+  return quality.score > 0 ? totalPer1m / quality.score : (totalPer1m === 0 ? 0 : undefined);
+}
+
+/**
+ * Sort models
+ */
+export function sortModels(models, sortBy) {
+  const sorted = [...models];
+
+  switch (sortBy) {
+    case 'price':
+      sorted.sort((a, b) => {
+        const aTotal = (parsePrice(a.pricing.prompt) + parsePrice(a.pricing.completion));
+        const bTotal = (parsePrice(b.pricing.prompt) + parsePrice(b.pricing.completion));
+        return aTotal - bTotal;
+      });
+      break;
+    case 'context':
+      sorted.sort((a, b) => b.context_length - a.context_length);
+      break;
+    case 'created':
+      sorted.sort((a, b) => (b.created ?? 0) - (a.created ?? 0));
+      break;
+    case 'name':
+      sorted.sort((a, b) => a.name.localeCompare(b.name));
+      break;
+    case 'quality':
+      // Highest quality first; models without quality data last
+      sorted.sort((a, b) => (getQuality(b)?.score ?? -1) - (getQuality(a)?.score ?? -1));
+      break;
+    case 'value':
+      // Lowest price per quality point first; models without quality data last
+      sorted.sort((a, b) => {
+        const aValue = pricePerQualityPoint(a);
+        const bValue = pricePerQualityPoint(b);
+        if (aValue === undefined || bValue === undefined) {
+          return (aValue === undefined) - (bValue === undefined);
+        }
+        return aValue - bValue;
+      });
+      break;
+    default:
+      // Keep original order or score-based order
+      break;
+  }
+
+  return sorted;
+}
@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+
+/**
+ * JSON with object keys sorted, so equal values serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of a query's parameters, leaving out those that only shape the
+ * page (cursor, page size, output format...)
+ */
+export function queryKey(params, ignored = []) {
+  const query = Object.fromEntries(Object.entries(params).filter(([key]) => !ignored.includes(key)));
+  return createHash('sha256').update(stableStringify(query)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Opaque cursor for the results from `offset` on, tied to the catalog snapshot
+ * and query they were listed from, the state of the data the query read
+ * (policy, quality data...) and the time relative dates were resolved at
+ */
+export function encodeCursor({ snapshot_id, query, state, now, offset }) {
+  return Buffer.from(JSON.stringify({ s: snapshot_id, q: query, f: state, n: now, o: offset })).toString('base64url');
+}
+
+/**
+ * Read a cursor: `{ offset, now, state }`, or `{ offset: 0 }` without one
+ *
+ * Throws when the cursor is malformed, was issued for other parameters, or
+ * belongs to an older catalog snapshot, whose ordering may no longer hold.
+ */
+export function readCursor(cursor, { snapshot_id, query }) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return { offset: 0 };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    decoded = undefined;
+  }
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0 || typeof decoded.s !== 'string' ||
+    (decoded.n !== undefined && !Number.isFinite(decoded.n))) {
+    throw new Error('Invalid cursor: pass next_cursor from a previous result unchanged');
+  }
+  if (decoded.q !== query) {
+    throw new Error('This cursor belongs to a different query: repeat the original parameters with it (only max_results and output_format may change)');
+  }
+  if (decoded.s !== snapshot_id) {
+    throw new Error(`The catalog changed since this cursor was issued (snapshot ${decoded.s}, now ${snapshot_id}); run the query again without a cursor`);
+  }
+  return { offset: decoded.o, now: decoded.n, state: decoded.f };
+}
+
+/**
+ * Check that the data a query read is unchanged since its cursor was issued
+ */
+export function checkCursorState(cursor, state) {
+  if (cursor.offset > 0 && cursor.state !== state) {
+    throw new Error('The model policy, quality data, profile or endpoint data changed since this cursor was issued; run the query again without a cursor');
+  }
+}
@@ -0,0 +1,293 @@
+// Provider IDs and the words people use for them
+const PROVIDER_ALIASES = {
+  'openai': ['openai', 'gpt', 'chatgpt'],
+  'anthropic': ['anthropic', 'claude'],
+  'google': ['google', 'gemini', 'gemma'],
+  'meta-llama': ['meta', 'llama', 'facebook'],
+  'mistralai': ['mistral', 'mistralai', 'mixtral'],
+  'deepseek': ['deepseek'],
+  'qwen': ['qwen', 'alibaba'],
+  'x-ai': ['xai', 'x-ai', 'grok'],
+  'cohere': ['cohere'],
+  'nvidia': ['nvidia'],
+  'microsoft': ['microsoft', 'phi'],
+  'amazon': ['amazon', 'nova'],
+  'perplexity': ['perplexity'],
+};
+
+const PROVIDER_WORDS = Object.values(PROVIDER_ALIASES).flat()
+  .sort((a, b) => b.length - a.length)
+  .map(w => w.replace('-', '\\-'))
+  .join('|');
+
+const NUMBER = String.raw`\d+(?:,\d{3})*(?:\.\d+)?`;
+const SIZE = String.raw`(${NUMBER})\s*(k|m|thousand|million)?\b`;
+const PRICE_UNIT = String.raw`(?:\s*(?:per|\/|a|each)\s*(1\s*m\b|1m|m\b|mtok|million|1\s*million|1k|1\s*k|k\b|thousand|token)(?:\s*tokens?)?)`;
+const UPPER = String.raw`(?:under|below|less than|cheaper than|at most|max(?:imum)?|up to|no more than|<=?)`;
+const LOWER = String.raw`(?:at least|min(?:imum)?|over|more than|above|greater than|>=?)`;
+const CONTEXT = String.raw`(?:tokens?\s*(?:of\s*)?)?(?:context|ctx)(?:\s*(?:window|length))?`;
+
+const RELEASE_WINDOW_DAYS = { day: 1, week: 7, month: 30 };
+
+const MODALITY_WORDS = { image: 'image', images: 'image', vision: 'image', audio: 'audio', speech: 'audio', video: 'video', file: 'file', files: 'file', pdf: 'file', pdfs: 'file' };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'we', 'our', 'need', 'needs', 'want', 'wants', 'looking', 'for', 'find', 'show',
+  'list', 'give', 'get', 'with', 'that', 'which', 'what', 'is', 'are', 'has', 'have', 'having', 'and', 'or', 'but',
+  'to', 'of', 'in', 'on', 'it', 'its', 'model', 'models', 'llm', 'llms', 'some', 'any', 'all', 'good', 'best',
+  'great', 'please', 'can', 'could', 'should', 'would', 'one', 'ones', 'options', 'option', 'something', 'support',
+  'supports', 'supporting', 'capable', 'capability', 'able', 'compare', 'vs', 'versus', 'also', 'like', 'available',
+  'tokens', 'token', 'price', 'priced', 'cost', 'costs', 'costing', 'per', 'million', 'input', 'output', 'only',
+]);
+
+/**
+ * Parse a human number with optional k/m suffix ("200k", "1.5m", "128,000")
+ */
+function parseAmount(number, suffix) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+  return Math.round(value * (multipliers[suffix?.toLowerCase()] || 1) * 1e6) / 1e6;
+}
+
+/**
+ * Convert a matched price unit to a per-1M-token multiplier
+ */
+function pricePer1mMultiplier(unit) {
+  const u = (unit || 'm').replace(/\s+/g, '');
+  if (u === 'token') return 1e6;
+  if (['1k', 'k', 'thousand'].includes(u)) return 1e3;
+  return 1;
+}
+
+/**
+ * Resolve a provider word to its provider ID
+ */
+function resolveProvider(word) {
+  const lower = word.toLowerCase();
+  return Object.keys(PROVIDER_ALIASES).find(id => PROVIDER_ALIASES[id].includes(lower));
+}
+
+/**
+ * Grammar rules for natural language requests
+ *
+ * Each rule matches a phrase and returns the constraint it expresses. Rules run in
+ * order, and text consumed by one rule is not seen by later rules.
+ */
+const REQUEST_RULES = [
+  // Context bounds: "at least 200k context", "under 32k context", "200k+ context", "context of 1m"
+  {
+    pattern: new RegExp(String.raw`${UPPER}\s*${SIZE}\s*${CONTEXT}`, 'g'),
+    apply: m => ({ type: 'context', filters: { max_context: parseAmount(m[1], m[2]) }, description: `context at most ${parseAmount(m[1], m[2]).toLocaleString()} tokens` }),
+  },
+  {
+    pattern: new RegExp(String.raw`(?:${LOWER}\s*${SIZE}|${SIZE}\s*\+)\s*${CONTEXT}`, 'g'),
+    apply: m => {
+      const value = m[1] ? parseAmount(m[1], m[2]) : parseAmount(m[3], m[4]);
+      return { type: 'context', filters: { min_context: value }, description: `context at least ${value.toLocaleString()} tokens` };
+    },
+  },
+  {
+    pattern: new RegExp(String.raw`(?:${CONTEXT}\s*(?:of\s*|at least\s*|>=?\s*)?${SIZE}\s*(?:tokens?)?|${SIZE}\s*${CONTEXT})`, 'g'),
+    apply: m => {
+      const value = m[1] ? parseAmount(m[1], m[2]) : parseAmount(m[3], m[4]);
+      return { type: 'context', filters: { min_context: value }, description: `context at least ${value.toLocaleString()} tokens` };
+    },
+  },
+  {
+    pattern: /\b(?:long|large|big|huge)\s+context(?:\s*(?:window|length))?/g,
+    apply: () => ({ type: 'context', filters: { min_context: 100000 }, sort: 'context', description: 'long context (100,000+ tokens)' }),
+  },
+
+  // Price ceilings: "under $1 per million", "max $0.50/M", "less than 2 dollars per 1m tokens"
+  {
+    pattern: new RegExp(String.raw`${UPPER}\s*(?:\$\s*(${NUMBER})(?:\s*(?:usd|dollars?))?${PRICE_UNIT}?|(${NUMBER})\s*(?:\$|usd|dollars?)${PRICE_UNIT}?|(${NUMBER})${PRICE_UNIT})`, 'g'),
+    apply: m => {
+      const amount = parseFloat((m[1] || m[3] || m[5]).replace(/,/g, ''));
+      const value = amount * pricePer1mMultiplier(m[2] || m[4] || m[6]);
+      return { type: 'price', filters: { max_price_per_1m: value }, sort: 'price', description: `total price at most $${value} per 1M tokens` };
+    },
+  },
+
+  // Provider exclusions: "not from OpenAI", "excluding anthropic and google", "no meta"
+  {
+    pattern: new RegExp(String.raw`\b(?:not\s+(?:from|by|made by)|not|excluding|exclude|except(?:\s+for)?|without|other than|no|non)[\s-]+((?:${PROVIDER_WORDS})(?:\s*(?:,|\/|or|and|nor)\s*(?:${PROVIDER_WORDS}))*)\b`, 'g'),
+    apply: m => {
+      const providers = [...new Set(m[1].split(/\s*(?:,|\/|\bor\b|\band\b|\bnor\b)\s*/).map(resolveProvider).filter(Boolean))];
+      return { type: 'exclude_provider', filters: { exclude_provider: providers }, description: `excluding ${providers.join(', ')}` };
+    },
+  },
+
+  // Provider restrictions: "from OpenAI", "by anthropic", "openai only"
+  {
+    pattern: new RegExp(String.raw`\b(?:(?:from|by|made by)\s+((?:${PROVIDER_WORDS})(?:\s*(?:,|\/|or|and)\s*(?:${PROVIDER_WORDS}))*)|only\s+(${PROVIDER_WORDS})|(${PROVIDER_WORDS})[\s-]+only)\b`, 'g'),
+    apply: m => {
+      const providers = [...new Set((m[1] || m[2] || m[3]).split(/\s*(?:,|\/|\bor\b|\band\b)\s*/).map(resolveProvider).filter(Boolean))];
+      return { type: 'provider', filters: { provider: providers }, description: `from ${providers.join(', ')}` };
+    },
+  },
+
+  // Output modalities: "image generation", "generates audio", "image output"
+  {
+    pattern: /\b(?:(image|audio|speech|video)\s+(?:generation|output|outputs)|(?:generates?|generating|produces?|outputs?)\s+(images?|audio|speech|video)|text[\s-]to[\s-](image|speech|audio|video))\b/g,
+    apply: m => {
+      const modality = MODALITY_WORDS[m[1] || m[2] || m[3]] || (m[1] || m[2] || m[3]);
+      return { type: 'output_modality', filters: { output_modalities: [modality] }, description: `${modality} output` };
+    },
+  },
+
+  // Input modalities: "audio input", "accepts video", "pdf input", "vision"
+  {
+    pattern: /\b(?:(image|images|audio|speech|video|file|files|pdf|pdfs)\s+(?:input|inputs|understanding|support)|(?:accepts?|takes?|reads?|understands?)\s+(images?|audio|speech|video|files?|pdfs?)|(vision|multimodal|multi-modal))\b/g,
+    apply: m => {
+      if (m[3]) {
+        return { type: 'input_modality', filters: { has_vision: true }, description: 'image input (vision)' };
+      }
+      const modality = MODALITY_WORDS[m[1] || m[2]];
+      return modality === 'image' ?
+        { type: 'input_modality', filters: { has_vision: true }, description: 'image input (vision)' } :
+        { type: 'input_modality', filters: { input_modalities: [modality] }, description: `${modality} input` };
+    },
+  },
+
+  // Output formats: "JSON mode", "structured outputs", "json schema"
+  {
+    pattern: /\b(?:structured\s+outputs?|json\s+schemas?)\b/g,
+    apply: () => ({ type: 'output_format', filters: { required_parameters: ['structured_outputs'] }, description: 'structured outputs (JSON schema)' }),
+  },
+  {
+    pattern: /\b(?:json(?:\s+(?:mode|output|outputs|format|responses?))?|response[_\s]format)\b/g,
+    apply: () => ({ type: 'output_format', filters: { required_parameters: ['response_format'] }, description: 'JSON mode (response_format)' }),
+  },
+
+  // Capabilities
+  {
+    pattern: /\b(?:tool(?:s|\s+use|\s+calling)?|function(?:s|\s+calling)?)\b/g,
+    apply: () => ({ type: 'capability', filters: { has_tools: true }, description: 'tool calling' }),
+  },
+  {
+    pattern: /\b(?:reasoning|thinking)\b/g,
+    apply: () => ({ type: 'capability', filters: { has_reasoning: true }, description: 'reasoning' }),
+  },
+
+  // Cost and ordering preferences
+  {
+    pattern: /(?<!non-|not\s)\bfree\b/g,
+    apply: () => ({ type: 'price', filters: { free_only: true }, description: 'free models only' }),
+  },
+  {
+    pattern: /\b(?:cheap(?:est|er)?|affordable|low[\s-]cost|budget|inexpensive)\b/g,
+    apply: () => ({ type: 'preference', sort: 'price', description: 'cost-optimized' }),
+  },
+  {
+    pattern: /\b(?:(?:new|released|launched|added)\s+)?(?:(?:in|within|during|over|from)\s+)?(?:the\s+)?(?:last|past)\s+(?:(\d+)\s+)?(days?|weeks?|months?)\b/g,
+    apply: m => {
+      const days = parseInt(m[1] || '1', 10) * RELEASE_WINDOW_DAYS[m[2].replace(/s$/, '')];
+      return { type: 'recency', filters: { released_within_days: days }, sort: 'created', description: `released in the last ${days} days` };
+    },
+  },
+  {
+    pattern: /\b(?:(?:new|released|launched|added)\s+)?this\s+(week|month)\b/g,
+    apply: m => {
+      const days = RELEASE_WINDOW_DAYS[m[1]];
+      return { type: 'recency', filters: { released_within_days: days }, sort: 'created', description: `released in the last ${days} days` };
+    },
+  },
+  {
+    pattern: /\b(?:newest|latest|recent(?:ly released)?)\b/g,
+    apply: () => ({ type: 'preference', sort: 'created', description: 'newest first' }),
+  },
+
+  // Search terms: model types and provider or family names
+  {
+    pattern: /\b(instruct|instruction|instructional|chat)\b/g,
+    apply: m => ({ type: 'search', search: [m[1].startsWith('instruct') ? 'instruct' : m[1]], description: `matching "${m[1]}"` }),
+  },
+  {
+    pattern: new RegExp(String.raw`\b(${PROVIDER_WORDS})\b`, 'g'),
+    apply: m => ({ type: 'search', search: [m[1]], description: `matching "${m[1]}"` }),
+  },
+];
+
+/**
+ * Parse natural language request for intent
+ */
+export function parseRequest(request) {
+  const lower = request.toLowerCase();
+  const consumed = new Array(lower.length).fill(false);
+  const intent = {
+    filters: {},
+    search_terms: [],
+    sort_preference: 'relevance',
+    understood_as: '',
+    constraints: [],
+    unparsed: [],
+  };
+
+  for (const rule of REQUEST_RULES) {
+    for (const match of lower.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (consumed.slice(start, end).some(Boolean)) {
+        continue;
+      }
+
+      const constraint = rule.apply(match);
+      consumed.fill(true, start, end);
+
+      for (const [key, value] of Object.entries(constraint.filters || {})) {
+        if (Array.isArray(value)) {
+          intent.filters[key] = [...new Set([...(intent.filters[key] || []), ...value])];
+        } else if (key === 'min_context') {
+          intent.filters[key] = Math.max(intent.filters[key] || 0, value);
+        } else if (key === 'max_context' || key === 'max_price_per_1m') {
+          intent.filters[key] = Math.min(intent.filters[key] ?? Infinity, value);
+        } else {
+          intent.filters[key] = value;
+        }
+      }
+      if (constraint.search) {
+        intent.search_terms.push(...constraint.search.filter(t => !intent.search_terms.includes(t)));
+      }
+      if (constraint.sort && intent.sort_preference === 'relevance') {
+        intent.sort_preference = constraint.sort;
+      }
+
+      intent.constraints.push({
+        position: start,
+        type: constraint.type,
+        text: request.slice(start, end),
+        description: constraint.description,
+        filters: constraint.filters,
+      });
+    }
+  }
+
+  // Whatever no rule consumed, minus filler words
+  let fragment = [];
+  for (const word of lower.matchAll(/[a-z0-9$.+-]+/g)) {
+    const isConsumed = consumed[word.index];
+    const clean = word[0].replace(/^[.+-]+|[.+-]+$/g, '');
+    if (isConsumed || !clean || STOP_WORDS.has(clean)) {
+      if (fragment.length) {
+        intent.unparsed.push(fragment.join(' '));
+        fragment = [];
+      }
+      continue;
+    }
+    fragment.push(request.slice(word.index, word.index + word[0].length));
+  }
+  if (fragment.length) {
+    intent.unparsed.push(fragment.join(' '));
+  }
+
+  // Report constraints in the order they appear in the request
+  intent.constraints.sort((a, b) => a.position - b.position);
+  intent.constraints.forEach(c => delete c.position);
+
+  intent.understood_as = intent.constraints
+    .filter(c => c.type !== 'search')
+    .map(c => c.description)
+    .join('; ');
+
+  return intent;
+}
@@ -0,0 +1,255 @@
+import { readFile, stat } from 'fs/promises';
+import { basename, resolve } from 'path';
+import { settings } from './config.js';
+import { getCapabilities, isFree, parsePrice } from './models.js';
+
+// Loaded policies, re-read when the policy file changes
+let policyState = { path: null, mtime: null, policies: [] };
+
+/**
+ * Turn a model pattern ("openai/*", "*:free") into a case-insensitive matcher
+ */
+function globMatcher(pattern) {
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return model => regex.test(model.id) || regex.test(model.canonical_slug || '');
+}
+
+/**
+ * Total, prompt and completion price per 1M tokens, or undefined without listed pricing
+ */
+function pricesPer1m(model) {
+  if (model.pricing?.prompt == null && model.pricing?.completion == null) return undefined;
+  const prompt = parsePrice(model.pricing.prompt) * 1_000_000;
+  const completion = parsePrice(model.pricing.completion) * 1_000_000;
+  return { prompt, completion, total: prompt + completion };
+}
+
+/**
+ * Build a price ceiling rule for one component of pricesPer1m()
+ */
+function priceCeiling(component, label) {
+  return ceiling => model => {
+    const prices = pricesPer1m(model);
+    if (!prices) return `no listed pricing to check against the ${label} ceiling of $${ceiling}/1M`;
+    return prices[component] > ceiling ?
+      `${label} $${Math.round(prices[component] * 100) / 100}/1M is over the $${ceiling}/1M ceiling` :
+      undefined;
+  };
+}
+
+/**
+ * A model's listed data policy as { training, retains_prompts, retention_days },
+ * or undefined when its catalog entry has none. Reads snake_case or camelCase keys
+ */
+function dataPolicy(model) {
+  const raw = model.data_policy;
+  if (!raw || typeof raw !== 'object') return undefined;
+  const days = raw.retention_days ?? raw.retentionDays;
+  return {
+    training: raw.training ?? raw.trains_on_prompts,
+    retains_prompts: raw.retains_prompts ?? raw.retainsPrompts,
+    retention_days: typeof days === 'number' ? days : undefined,
+  };
+}
+
+/**
+ * Policy rules: each turns its configured value into a check that returns why a
+ * model violates the rule, or undefined when it complies
+ */
+const RULES = {
+  allow_providers: providers => {
+    const allowed = providers.map(p => p.toLowerCase());
+    return model => allowed.includes(model.provider.toLowerCase()) ? undefined : `provider "${model.provider}" is not approved`;
+  },
+  deny_providers: providers => {
+    const denied = providers.map(p => p.toLowerCase());
+    return model => denied.includes(model.provider.toLowerCase()) ? `provider "${model.provider}" is denied` : undefined;
+  },
+  allow_models: patterns => {
+    const matchers = patterns.map(globMatcher);
+    return model => matchers.some(match => match(model)) ? undefined : 'model is not on the allow list';
+  },
+  deny_models: patterns => {
+    const matchers = patterns.map(pattern => [pattern, globMatcher(pattern)]);
+    return model => {
+      const hit = matchers.find(([, match]) => match(model));
+      return hit ? `model matches denied pattern "${hit[0]}"` : undefined;
+    };
+  },
+  allow_sources: sources => {
+    const allowed = sources.map(s => s.toLowerCase());
+    return model => allowed.includes(model.source.name.toLowerCase()) ? undefined : `source "${model.source.name}" is not approved`;
+  },
+  deny_free: deny => model => deny && isFree(model.pricing) ? 'free-tier models are not allowed' : undefined,
+  deny_prompt_training: deny => model => {
+    if (!deny) return undefined;
+    const policy = dataPolicy(model);
+    if (policy?.training === undefined) return 'no listed data policy to check prompt training against';
+    return policy.training ? 'provider may train on prompts' : undefined;
+  },
+  max_retention_days: limit => model => {
+    const policy = dataPolicy(model);
+    if (policy?.retains_prompts === false) return undefined;
+    if (policy?.retention_days === undefined) {
+      return policy?.retains_prompts ?
+        `retains prompts for an unlisted period (limit ${limit} days)` :
+        `no listed data policy to check against the ${limit}-day retention limit`;
+    }
+    return policy.retention_days > limit ?
+      `retains prompts for ${policy.retention_days} days, over the ${limit}-day limit` :
+      undefined;
+  },
+  max_price_per_1m: priceCeiling('total', 'total price'),
+  max_prompt_price_per_1m: priceCeiling('prompt', 'prompt price'),
+  max_completion_price_per_1m: priceCeiling('completion', 'completion price'),
+  required_capabilities: required => model => {
+    const caps = getCapabilities(model);
+    const missing = required.filter(c => !caps.includes(c));
+    return missing.length > 0 ? `missing required capabilities: ${missing.join(', ')}` : undefined;
+  },
+};
+
+const LIST_RULES = ['allow_providers', 'deny_providers', 'allow_models', 'deny_models', 'allow_sources', 'required_capabilities'];
+
+/**
+ * Validate one policy definition and compile its rules
+ */
+function compilePolicy(definition, label) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${label}: each policy must be an object`);
+  }
+  const { name, description, ...rules } = definition;
+  const checks = [];
+
+  for (const [rule, value] of Object.entries(rules)) {
+    if (!RULES[rule]) {
+      throw new Error(`${label}: unknown rule "${rule}" (expected one of ${Object.keys(RULES).join(', ')})`);
+    }
+    if (LIST_RULES.includes(rule) && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) {
+      throw new Error(`${label}: ${rule} must be an array of strings`);
+    }
+    if (rule.startsWith('max_') && !(typeof value === 'number' && value >= 0)) {
+      throw new Error(`${label}: ${rule} must be a non-negative number`);
+    }
+    if ((rule === 'deny_free' || rule === 'deny_prompt_training') && typeof value !== 'boolean') {
+      throw new Error(`${label}: ${rule} must be true or false`);
+    }
+    checks.push({ rule, check: RULES[rule](value) });
+  }
+
+  return { name: name || label, description, rules: Object.keys(rules), checks };
+}
+
+/**
+ * Parse a policy file: one policy object, or { policies: [...] } for several
+ * named policies that all apply
+ */
+export function parsePolicyFile(text, label = 'policy') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label}: invalid JSON (${error.message})`);
+  }
+
+  if (Array.isArray(data?.policies)) {
+    return data.policies.map((policy, i) => compilePolicy(policy, policy?.name || `${label}#${i + 1}`));
+  }
+  return [compilePolicy(data, label)];
+}
+
+/**
+ * Load the policy file named by settings.policyFile, re-reading it when it changes.
+ * A configured file that cannot be read or parsed is an error, so a broken
+ * policy never silently allows everything
+ */
+export async function loadPolicy() {
+  if (!settings.policyFile) {
+    policyState = { path: null, mtime: null, policies: [] };
+    return policyState.policies;
+  }
+
+  const path = resolve(settings.policyFile);
+  let mtime;
+  try {
+    mtime = (await stat(path)).mtimeMs;
+  } catch (error) {
+    throw new Error(`Could not read model policy ${path}: ${error.message}`);
+  }
+  if (policyState.path === path && policyState.mtime === mtime) {
+    return policyState.policies;
+  }
+
+  const policies = parsePolicyFile(await readFile(path, 'utf8'), basename(path));
+  policyState = { path, mtime, policies };
+  return policies;
+}
+
+/**
+ * Drop the loaded policy and re-read it on next use
+ */
+export function resetPolicy() {
+  policyState = { path: null, mtime: null, policies: [] };
+}
+
+/**
+ * Identifies the loaded policy file version (null without a policy), so
+ * results can tell when the policy changed
+ */
+export function policyVersion() {
+  return policyState.path ? `${policyState.path}@${policyState.mtime}` : null;
+}
+
+/**
+ * Loaded policies as { name, description, rules }
+ */
+export function getPolicies() {
+  return policyState.policies.map(({ name, description, rules }) => ({ name, description, rules }));
+}
+
+/**
+ * Every policy rule a model violates: [{ policy, rule, reason }]
+ */
+export function checkPolicy(model) {
+  const violations = [];
+  for (const policy of policyState.policies) {
+    for (const { rule, check } of policy.checks) {
+      const reason = check(model);
+      if (reason) violations.push({ policy: policy.name, rule, reason });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Split models into those the policies allow and those they exclude (with reasons)
+ */
+export function applyPolicy(models) {
+  const allowed = [];
+  const excluded = [];
+  for (const model of models) {
+    const violations = checkPolicy(model);
+    if (violations.length === 0) {
+      allowed.push(model);
+    } else {
+      excluded.push({ model, violations });
+    }
+  }
+  return { allowed, excluded };
+}
+
+/**
+ * Policy section of a tool result: the policies in force and the models they
+ * excluded (first `limit` listed with reasons), or undefined without a policy
+ */
+export function policyReport(excluded, limit = 20) {
+  if (policyState.policies.length === 0) {
+    return undefined;
+  }
+  return {
+    policies: policyState.policies.map(p => p.name),
+    excluded_count: excluded.length,
+    excluded: excluded.slice(0, limit).map(({ model, violations }) => ({ id: model.id, source: model.source.name, violations })),
+  };
+}
@@ -0,0 +1,91 @@
+import { profilesPath } from './config.js';
+import { createNamedStore } from './store.js';
+
+const store = createNamedStore(profilesPath, 'profiles');
+
+const OBJECT_FIELDS = ['filters', 'workload'];
+const TEXT_FIELDS = ['description', 'use_case'];
+
+/**
+ * Check a profile definition: a name plus optional description, use_case,
+ * filters and workload
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || profile.name.trim() === '') {
+    throw new Error('A profile needs a name');
+  }
+  for (const [field, value] of Object.entries(profile)) {
+    if (field === 'name' || value === undefined) continue;
+    if (OBJECT_FIELDS.includes(field)) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Profile "${profile.name}": ${field} must be an object`);
+      }
+    } else if (TEXT_FIELDS.includes(field)) {
+      if (typeof value !== 'string') {
+        throw new Error(`Profile "${profile.name}": ${field} must be a string`);
+      }
+    } else {
+      throw new Error(`Profile "${profile.name}": unknown field "${field}" (expected ${[...TEXT_FIELDS, ...OBJECT_FIELDS].join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Saved usage profiles by name
+ */
+export function readProfiles() {
+  return store.read();
+}
+
+/**
+ * Save a profile (replacing one with the same name, which keeps its created_at)
+ */
+export async function saveProfile(profile, now = Date.now()) {
+  validateProfile(profile);
+  const { name, ...fields } = profile;
+  const existing = (await readProfiles())[name];
+  const timestamp = new Date(now).toISOString();
+  return store.save(name, { ...fields, created_at: existing?.created_at || timestamp, updated_at: timestamp });
+}
+
+/**
+ * Delete profiles by name
+ */
+export function deleteProfiles(names) {
+  return store.remove(names);
+}
+
+/**
+ * Look up a saved profile by name
+ */
+export async function getProfile(name) {
+  const profiles = await readProfiles();
+  if (!profiles[name]) {
+    const saved = Object.keys(profiles);
+    throw new Error(`Unknown profile "${name}"` +
+      (saved.length > 0 ? ` (saved profiles: ${saved.sort().join(', ')})` : '; save one with usage_profiles first'));
+  }
+  return profiles[name];
+}
+
+/**
+ * Fill in tool parameters from the profile named by `params.profile`
+ *
+ * Explicit parameters win: the profile's filters (passed to the tool as
+ * `filtersKey`) and workload are merged field by field under the call's own,
+ * and its use_case applies only when the call has none.
+ */
+export async function withProfile(params, filtersKey = 'filters') {
+  if (!params?.profile) {
+    return params;
+  }
+  const profile = await getProfile(params.profile);
+  const merge = (base, own) => base || own ? { ...base, ...own } : undefined;
+
+  return {
+    ...params,
+    use_case: params.use_case ?? profile.use_case,
+    [filtersKey]: merge(profile.filters, params[filtersKey]),
+    workload: merge(profile.workload, params.workload),
+  };
+}
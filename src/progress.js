@@ -0,0 +1,42 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Progress listener of the tool call being served, if its client asked for progress
+const progressContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `onProgress` receiving the progress of slow steps it starts
+ *
+ * `onProgress` is called with `{ progress, total, message }`; progress counts
+ * completed units across every step of the call, so it only ever increases.
+ */
+export function withProgress(onProgress, fn) {
+  return onProgress ? progressContext.run({ onProgress, done: 0 }, fn) : fn();
+}
+
+/**
+ * Start a slow step of `total` units (sources fetched, models looked up...) and
+ * return a function to call with a short message as each unit completes. Does
+ * nothing outside withProgress().
+ */
+export function startProgress(label, total) {
+  const tracker = progressContext.getStore();
+  if (!tracker || total === 0) {
+    return () => {};
+  }
+
+  const base = tracker.done;
+  let completed = 0;
+  return (message) => {
+    completed = Math.min(completed + 1, total);
+    tracker.done = Math.max(tracker.done, base + completed);
+    try {
+      tracker.onProgress({
+        progress: tracker.done,
+        total: base + total,
+        message: `${label} ${completed}/${total}${message ? `: ${message}` : ''}`,
+      });
+    } catch {
+      // Progress is best effort; never fail the operation over it
+    }
+  };
+}
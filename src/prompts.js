@@ -0,0 +1,143 @@
+import { GetPromptRequestSchema, ListPromptsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { getModel } from './tools/get-model.js';
+import { getModelAlternatives } from './tools/model-alternatives.js';
+import { recommendModel } from './tools/recommend-model.js';
+
+/**
+ * Reusable prompts
+ */
+function getPromptsList() {
+  return [
+    {
+      name: 'pick_model_for_task',
+      description: 'Pick the best model for a task, with a shortlist of matching models attached as context',
+      arguments: [
+        { name: 'task', description: 'What the model will be used for', required: true },
+        { name: 'budget', description: 'Maximum total price per 1M tokens in USD', required: false },
+        { name: 'requirements', description: 'Must-haves such as "vision, tools, 200k context"', required: false },
+      ],
+    },
+    {
+      name: 'compare_models',
+      description: 'Compare specific models side by side, with their details attached as context',
+      arguments: [
+        { name: 'model_ids', description: 'Comma-separated model IDs', required: true },
+        { name: 'focus', description: 'What matters most (e.g., "cost at 1M requests/month")', required: false },
+      ],
+    },
+    {
+      name: 'find_cheaper_alternative',
+      description: 'Find a cheaper substitute for a model, with alternatives attached as context',
+      arguments: [
+        { name: 'model_id', description: 'Model currently in use', required: true },
+      ],
+    },
+  ];
+}
+
+/**
+ * Embed JSON data as a prompt resource
+ */
+function embedResource(uri, data) {
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) },
+    },
+  };
+}
+
+/**
+ * Build prompt messages
+ */
+async function getPrompt(name, args = {}) {
+  switch (name) {
+    case 'pick_model_for_task': {
+      if (!args.task) {
+        throw new Error('Missing required argument: task');
+      }
+      const request = [args.task, args.requirements].filter(Boolean).join(', ');
+      const shortlist = await recommendModel({
+        use_case: request,
+        budget_constraint: args.budget ? parseFloat(args.budget) : undefined,
+        max_results: 10,
+      });
+      return {
+        description: `Pick a model for: ${args.task}`,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `I need to choose an LLM for this task: ${args.task}.` +
+                (args.requirements ? ` Requirements: ${args.requirements}.` : '') +
+                (args.budget ? ` Budget: at most $${args.budget} per 1M tokens.` : '') +
+                ' Using the attached shortlist of current models and prices, recommend one model and a backup, and explain the trade-offs.',
+            },
+          },
+          embedResource(`models://recommendations/${encodeURIComponent(args.task)}`, shortlist),
+        ],
+      };
+    }
+
+    case 'compare_models': {
+      const ids = (args.model_ids || '').split(',').map(s => s.trim()).filter(Boolean);
+      if (ids.length < 2) {
+        throw new Error('compare_models needs at least two comma-separated model_ids');
+      }
+      const details = await Promise.all(ids.map(id => getModel(id)));
+      return {
+        description: `Compare ${ids.join(', ')}`,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Compare these models: ${details.map(d => d.id).join(', ')}.` +
+                (args.focus ? ` Focus on: ${args.focus}.` : '') +
+                ' Use the attached current details and pricing.',
+            },
+          },
+          ...details.map(d => embedResource(`models://${d.id}`, d)),
+        ],
+      };
+    }
+
+    case 'find_cheaper_alternative': {
+      if (!args.model_id) {
+        throw new Error('Missing required argument: model_id');
+      }
+      const alternatives = await getModelAlternatives({ model_id: args.model_id });
+      return {
+        description: `Cheaper alternatives to ${alternatives.reference.id}`,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `I currently use ${alternatives.reference.id}. Using the attached alternatives, suggest a cheaper substitute and what I would give up.`,
+            },
+          },
+          embedResource(`models://${alternatives.reference.id}`, alternatives),
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown prompt: ${name}`);
+  }
+}
+
+/**
+ * Register prompt handlers on a server
+ */
+export function registerPromptHandlers(srv) {
+  srv.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: getPromptsList() };
+  });
+
+  srv.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return getPrompt(request.params.name, request.params.arguments);
+  });
+}
@@ -0,0 +1,359 @@
+import { readFile, stat } from 'fs/promises';
+import { basename, extname, resolve } from 'path';
+import { settings } from './config.js';
+
+// Loaded quality data, rebuilt when the catalog or a source changes
+let qualityState = {
+  signature: null,
+  models: null,
+  index: new Map(),
+  status: { sources: [], benchmarks: [], models_with_scores: 0, unmatched: [] },
+};
+
+// Configured quality sources (parsed from settings on first use)
+let configuredQualitySources = null;
+
+// Pending load, shared by concurrent callers
+let loadInFlight = null;
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Turn score rows ({ model, <benchmark>: value, ... }) into [model, benchmark, value] entries
+ */
+function scoreEntries(rows, label) {
+  const entries = [];
+  for (const row of rows) {
+    const model = row.model ?? row.id;
+    if (!model) {
+      throw new Error(`${label}: every row needs a "model" (or "id") column`);
+    }
+    for (const [benchmark, raw] of Object.entries(row)) {
+      if (benchmark === 'model' || benchmark === 'id' || raw === '' || raw === null || raw === undefined) continue;
+      const value = Number(raw);
+      if (Number.isFinite(value)) {
+        entries.push({ model: String(model).trim(), benchmark, value });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Parse a quality file: CSV with a model column and one column per benchmark, or
+ * JSON ({ benchmarks, aliases, scores } or a bare array of score rows)
+ */
+export function parseQualityFile(text, label, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return { scores: [], aliases: {}, benchmarks: {} };
+    }
+    const columns = header.map(h => h.trim());
+    const objects = rows.map(fields => Object.fromEntries(columns.map((c, i) => [c, fields[i]?.trim()])));
+    return { scores: scoreEntries(objects, label), aliases: {}, benchmarks: {} };
+  }
+
+  const data = JSON.parse(text);
+  const scores = Array.isArray(data) ? data : data.scores || [];
+  const rows = Array.isArray(scores) ?
+    scores :
+    Object.entries(scores).map(([model, values]) => ({ model, ...values }));
+
+  return {
+    scores: scoreEntries(rows, label),
+    aliases: Array.isArray(data) ? {} : data.aliases || {},
+    benchmarks: Array.isArray(data) ? {} : data.benchmarks || {},
+  };
+}
+
+/**
+ * Quality source: a local CSV or JSON file of benchmark scores keyed by model
+ */
+export function createQualityFileSource({ name, path } = {}) {
+  if (!path) {
+    throw new Error('Quality file sources need a path');
+  }
+  const filePath = resolve(path);
+  const format = extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+  return {
+    name: name || basename(filePath),
+    type: format,
+    location: filePath,
+
+    async version() {
+      return (await stat(filePath)).mtimeMs;
+    },
+
+    async load() {
+      return parseQualityFile(await readFile(filePath, 'utf8'), filePath, format);
+    },
+  };
+}
+
+/**
+ * Parse a MODEL_QUALITY_FILES spec: comma-separated file paths
+ */
+export function parseQualitySpecs(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(path => path.trim())
+    .filter(Boolean)
+    .map(path => createQualityFileSource({ path }));
+}
+
+/**
+ * Quality sources, parsed from settings.qualitySources unless given as adapters
+ */
+export function getQualitySources() {
+  if (!configuredQualitySources) {
+    configuredQualitySources = typeof settings.qualitySources === 'string' ?
+      parseQualitySpecs(settings.qualitySources) :
+      settings.qualitySources || [];
+  }
+  return configuredQualitySources;
+}
+
+/**
+ * Drop loaded quality data and re-read the sources on next use
+ */
+export function resetQuality() {
+  configuredQualitySources = null;
+  qualityState = {
+    signature: null,
+    models: null,
+    index: new Map(),
+    status: { sources: [], benchmarks: [], models_with_scores: 0, unmatched: [] },
+  };
+}
+
+/**
+ * Model ID without its variant suffix (":free", ":beta", ...)
+ */
+function baseId(id) {
+  return id.replace(/:[^/]*$/, '');
+}
+
+/**
+ * Lookup key ignoring case, punctuation and spacing
+ */
+function compactKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index catalog models by the names benchmark files are likely to use
+ */
+function nameIndex(models) {
+  const keys = new Map();
+  const add = (key, id) => {
+    if (!key) return;
+    if (!keys.has(key)) keys.set(key, new Set());
+    keys.get(key).add(id);
+  };
+
+  for (const model of models) {
+    const id = baseId(model.id);
+    const tail = id.split('/').pop();
+    add(`exact:${id.toLowerCase()}`, id);
+    if (model.canonical_slug) add(`exact:${model.canonical_slug.toLowerCase()}`, id);
+    add(`tail:${tail.toLowerCase()}`, id);
+    add(`compact:${compactKey(tail)}`, id);
+  }
+  return keys;
+}
+
+/**
+ * Resolve a benchmark file's model name to one catalog base ID, or undefined
+ * when it matches nothing or more than one model
+ */
+function resolveName(name, aliases, keys) {
+  const target = aliases[name] ?? aliases[name.toLowerCase()] ?? name;
+  const id = baseId(target).toLowerCase();
+  const tail = id.split('/').pop();
+
+  for (const key of [`exact:${id}`, `tail:${tail}`, `compact:${compactKey(tail)}`]) {
+    const ids = keys.get(key);
+    if (ids) {
+      return ids.size === 1 ? [...ids][0] : undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Build per-model quality from every source's score entries
+ */
+function buildIndex(models, loaded) {
+  const keys = nameIndex(models);
+  const aliases = Object.assign({}, ...loaded.map(l => l.aliases));
+  const benchmarkInfo = Object.assign({}, ...loaded.map(l => l.benchmarks));
+
+  const raw = new Map(); // base ID -> { benchmarks, sources }
+  const unmatched = new Set();
+  for (const { source, scores } of loaded) {
+    for (const { model, benchmark, value } of scores) {
+      const id = resolveName(model, aliases, keys);
+      if (!id) {
+        unmatched.add(model);
+        continue;
+      }
+      if (!raw.has(id)) raw.set(id, { benchmarks: {}, sources: new Set() });
+      raw.get(id).benchmarks[benchmark] = value;
+      raw.get(id).sources.add(source);
+    }
+  }
+
+  // Scale each benchmark to 0-100 across the models that have it
+  const ranges = {};
+  for (const { benchmarks } of raw.values()) {
+    for (const [name, value] of Object.entries(benchmarks)) {
+      ranges[name] = ranges[name] ?
+        [Math.min(ranges[name][0], value), Math.max(ranges[name][1], value)] :
+        [value, value];
+    }
+  }
+  const scale = (name, value) => {
+    const [min, max] = ranges[name];
+    const position = max === min ? 1 : (value - min) / (max - min);
+    return benchmarkInfo[name]?.higher_is_better === false ? 1 - position : position;
+  };
+
+  const index = new Map();
+  for (const [id, { benchmarks, sources }] of raw) {
+    const scaled = Object.entries(benchmarks).map(([name, value]) => scale(name, value));
+    index.set(id, {
+      score: Math.round((scaled.reduce((sum, s) => sum + s, 0) / scaled.length) * 1000) / 10,
+      benchmarks,
+      sources: [...sources],
+    });
+  }
+
+  return {
+    index,
+    benchmarks: Object.keys(ranges).sort().map(name => ({
+      name,
+      description: benchmarkInfo[name]?.description,
+      higher_is_better: benchmarkInfo[name]?.higher_is_better !== false,
+      min: ranges[name][0],
+      max: ranges[name][1],
+    })),
+    unmatched: [...unmatched].sort(),
+  };
+}
+
+/**
+ * Load quality data for a catalog, reusing it until the catalog or a source changes.
+ * A source that fails to load is reported in qualityStatus() and skipped
+ */
+export async function loadQuality(models) {
+  const sources = getQualitySources();
+  if (sources.length === 0) {
+    return qualityState.status;
+  }
+
+  const versions = await Promise.all(sources.map(s => s.version ? s.version().catch(() => null) : null));
+  const signature = JSON.stringify(sources.map((s, i) => [s.name, versions[i]]));
+  if (qualityState.models === models && qualityState.signature === signature) {
+    return qualityState.status;
+  }
+
+  if (!loadInFlight) {
+    loadInFlight = (async () => {
+      const results = await Promise.allSettled(sources.map(s => s.load()));
+      const loaded = [];
+      const sourceStatus = results.map((result, i) => {
+        const { name, type, location } = sources[i];
+        if (result.status === 'rejected') {
+          console.error(`Warning: could not load quality data from ${location || name}: ${result.reason.message}`);
+          return { name, type, error: result.reason.message };
+        }
+        loaded.push({ source: name, ...result.value });
+        return { name, type, entries: result.value.scores.length };
+      });
+
+      const built = buildIndex(models, loaded);
+      qualityState = {
+        signature,
+        models,
+        index: built.index,
+        status: {
+          sources: sourceStatus,
+          benchmarks: built.benchmarks,
+          models_with_scores: built.index.size,
+          unmatched: built.unmatched,
+        },
+      };
+      return qualityState.status;
+    })().finally(() => {
+      loadInFlight = null;
+    });
+  }
+  return loadInFlight;
+}
+
+/**
+ * Quality data for a model: a 0-100 composite score, raw benchmark scores and
+ * the sources they came from. Undefined when no source scores the model
+ */
+export function getQuality(model) {
+  return qualityState.index.get(baseId(model.id));
+}
+
+/**
+ * Identifies the loaded quality data (its sources and their versions), or null
+ * when none is loaded
+ */
+export function qualityVersion() {
+  return qualityState.signature;
+}
+
+/**
+ * Which quality sources are loaded, which benchmarks they provide, and which
+ * model names could not be matched to the catalog
+ */
+export function qualityStatus() {
+  return qualityState.status;
+}
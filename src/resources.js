@@ -0,0 +1,198 @@
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { fetchModels, onCatalogChange } from './catalog.js';
+import { extractProvider, formatModelData, getCapabilities } from './models.js';
+import { matchesId } from './search.js';
+
+// Connected MCP servers (one for stdio, one per HTTP session) and their resource subscriptions
+const activeServers = new Map();
+
+/**
+ * Track a connected server so it receives catalog change notifications
+ */
+export function trackServer(srv) {
+  activeServers.set(srv, new Set());
+  srv.onclose = () => activeServers.delete(srv);
+}
+
+/**
+ * Compact catalog entry used in resources
+ */
+function summarizeModel(model) {
+  const formatted = formatModelData(model);
+  return {
+    id: formatted.id,
+    name: formatted.name,
+    provider: formatted.provider,
+    source: formatted.source,
+    context_length: formatted.context_length,
+    prompt_per_1m: formatted.pricing.prompt_per_1m,
+    completion_per_1m: formatted.pricing.completion_per_1m,
+    capabilities: getCapabilities(model),
+    is_free: formatted.is_free,
+  };
+}
+
+/**
+ * Tell connected clients which resources changed after a catalog refresh
+ */
+async function notifyCatalogChanged(events) {
+  const changes = events.filter(e => e.change !== 'baseline');
+  if (changes.length === 0 || activeServers.size === 0) {
+    return;
+  }
+
+  const changedModels = new Set(changes.map(e => e.model_id));
+  const changedProviders = new Set(changes.map(e => extractProvider(e.model_id)));
+  const listChanged = changes.some(e => e.change === 'added' || e.change === 'removed');
+
+  const isAffected = uri => {
+    if (uri === 'models://catalog') return true;
+    const parsed = parseResourceUri(uri);
+    return parsed?.type === 'provider' ? changedProviders.has(parsed.name) : changedModels.has(parsed?.id);
+  };
+
+  for (const [srv, subscriptions] of activeServers) {
+    if (!srv.transport) {
+      continue;
+    }
+    try {
+      if (listChanged) {
+        await srv.sendResourceListChanged();
+      }
+      for (const uri of subscriptions) {
+        if (isAffected(uri)) {
+          await srv.sendResourceUpdated({ uri });
+        }
+      }
+    } catch (error) {
+      console.error(`Warning: could not notify client of catalog change: ${error.message}`);
+    }
+  }
+}
+
+onCatalogChange(notifyCatalogChanged);
+
+/**
+ * Parse a models:// resource URI
+ */
+function parseResourceUri(uri) {
+  const match = /^models:\/\/(.+)$/.exec(uri);
+  if (!match) {
+    return null;
+  }
+  const path = decodeURIComponent(match[1]);
+  if (path === 'catalog') {
+    return { type: 'catalog' };
+  }
+  if (path.startsWith('provider/')) {
+    return { type: 'provider', name: path.slice('provider/'.length) };
+  }
+  return { type: 'model', id: path };
+}
+
+/**
+ * List concrete resources: the catalog and one per provider
+ */
+async function listResources() {
+  const { models } = await fetchModels();
+  const providers = [...new Set(models.map(m => m.provider))].sort();
+
+  return [
+    {
+      uri: 'models://catalog',
+      name: 'Model catalog',
+      description: `All ${models.length} models with pricing, context length and capabilities`,
+      mimeType: 'application/json',
+    },
+    ...providers.map(provider => ({
+      uri: `models://provider/${provider}`,
+      name: `Models from ${provider}`,
+      description: `${models.filter(m => m.provider === provider).length} models from ${provider}`,
+      mimeType: 'application/json',
+    })),
+  ];
+}
+
+/**
+ * Resource templates for individual models and providers
+ */
+function getResourceTemplates() {
+  return [
+    {
+      uriTemplate: 'models://{id}',
+      name: 'Model details',
+      description: 'Complete details for one model (e.g., models://openai/gpt-4o)',
+      mimeType: 'application/json',
+    },
+    {
+      uriTemplate: 'models://provider/{name}',
+      name: 'Provider models',
+      description: 'All models from one provider (e.g., models://provider/anthropic)',
+      mimeType: 'application/json',
+    },
+  ];
+}
+
+/**
+ * Read a models:// resource
+ */
+async function readResource(uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  const { models, freshness } = await fetchModels();
+  let data;
+
+  if (parsed.type === 'catalog') {
+    data = { total: models.length, data_freshness: freshness, models: models.map(summarizeModel) };
+  } else if (parsed.type === 'provider') {
+    const providerModels = models.filter(m => m.provider.toLowerCase() === parsed.name.toLowerCase());
+    if (providerModels.length === 0) {
+      throw new Error(`No models from provider: ${parsed.name}`);
+    }
+    data = { provider: parsed.name, total: providerModels.length, data_freshness: freshness, models: providerModels.map(summarizeModel) };
+  } else {
+    const model = models.find(m => matchesId(m, parsed.id));
+    if (!model) {
+      throw new Error(`Model not found: ${parsed.id}`);
+    }
+    data = { ...formatModelData(model), data_freshness: freshness };
+  }
+
+  return [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }];
+}
+
+/**
+ * Register resource handlers on a server
+ */
+export function registerResourceHandlers(srv) {
+  srv.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: await listResources() };
+  });
+
+  srv.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: getResourceTemplates() };
+  });
+
+  srv.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return { contents: await readResource(request.params.uri) };
+  });
+
+  srv.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    activeServers.get(srv)?.add(request.params.uri);
+    return {};
+  });
+
+  srv.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    activeServers.get(srv)?.delete(request.params.uri);
+    return {};
+  });
+}
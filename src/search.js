@@ -0,0 +1,305 @@
+const SEARCH_FIELD_WEIGHTS = { id: 3, name: 2, description: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Search indexes are built once per catalog array (i.e. on each cache refresh)
+const searchIndexes = new WeakMap();
+
+// Current full catalog, so searches over a subset can reuse its index
+let catalogModels = null;
+
+/**
+ * Split text into lowercase letter runs and number runs ("gpt-4o" -> gpt, 4, o)
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z]+|\d+(?:\.\d+)*/g) || [];
+}
+
+/**
+ * Letters and digits only, for matching "gpt4o" against "gpt-4o"
+ */
+function compact(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    prevPrev = prev;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Build a BM25 index over model id, name and description
+ */
+function buildSearchIndex(models) {
+  const postings = new Map();
+  const docs = models.map((model, docId) => {
+    const fields = {
+      id: model.id,
+      name: model.name,
+      description: model.description,
+    };
+
+    let length = 0;
+    const termFreqs = new Map();
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = SEARCH_FIELD_WEIGHTS[field];
+      for (const token of tokenize(text)) {
+        termFreqs.set(token, (termFreqs.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const [term, tf] of termFreqs) {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(docId, tf);
+    }
+
+    return {
+      model,
+      length,
+      compactId: compact(model.id.split('/').pop().split(':')[0]),
+      compactName: compact(model.name.includes(':') ? model.name.split(':').slice(1).join(':') : model.name),
+    };
+  });
+
+  return {
+    docs,
+    postings,
+    vocabulary: [...postings.keys()],
+    nameTerms: [...new Set(models.flatMap(m => [...tokenize(m.id), ...tokenize(m.name)]))],
+    avgLength: docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1),
+  };
+}
+
+/**
+ * Get (or build) the search index for a catalog
+ */
+function getSearchIndex(models) {
+  let index = searchIndexes.get(models);
+  if (!index) {
+    index = buildSearchIndex(models);
+    searchIndexes.set(models, index);
+  }
+  return index;
+}
+
+/**
+ * Most typos tolerated in a term of this length
+ */
+function maxTypos(term) {
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Expand a query term to indexed terms, allowing prefixes and typos
+ */
+function expandTerm(index, term) {
+  const expansions = new Map();
+  if (index.postings.has(term)) {
+    expansions.set(term, 1);
+  }
+
+  // Numbers must match exactly ("4" is not a typo of "5")
+  if (/^\d/.test(term) || term.length < 3) {
+    return expansions;
+  }
+
+  const maxDistance = maxTypos(term);
+  for (const candidate of index.vocabulary) {
+    if (candidate === term || /^\d/.test(candidate)) {
+      continue;
+    }
+    if (candidate.startsWith(term)) {
+      expansions.set(candidate, Math.max(expansions.get(candidate) || 0, 0.8));
+      continue;
+    }
+    if (maxDistance > 0) {
+      const distance = editDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        expansions.set(candidate, Math.max(expansions.get(candidate) || 0, distance === 1 ? 0.7 : 0.5));
+      }
+    }
+  }
+
+  return expansions;
+}
+
+/**
+ * Rank models against a free-text query (BM25 with field weights and typo tolerance)
+ */
+function searchIndex(index, query) {
+  const scores = new Map();
+  const total = index.docs.length;
+
+  for (const term of new Set(tokenize(query))) {
+    // Best-matching expansion per document, so typo variants don't stack
+    const termScores = new Map();
+    for (const [expanded, factor] of expandTerm(index, term)) {
+      const posting = index.postings.get(expanded);
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [docId, tf] of posting) {
+        const { length } = index.docs[docId];
+        const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / index.avgLength));
+        const score = idf * norm * factor;
+        if (score > (termScores.get(docId) || 0)) {
+          termScores.set(docId, score);
+        }
+      }
+    }
+    for (const [docId, score] of termScores) {
+      scores.set(docId, (scores.get(docId) || 0) + score);
+    }
+  }
+
+  // Whole-query match against the model part of the ID or the display name
+  const compactQuery = compact(query);
+  if (compactQuery.length >= 3) {
+    index.docs.forEach((doc, docId) => {
+      if (doc.compactId === compactQuery || doc.compactName === compactQuery) {
+        scores.set(docId, (scores.get(docId) || 0) + 10);
+      } else if (doc.compactId.startsWith(compactQuery)) {
+        scores.set(docId, (scores.get(docId) || 0) + 2);
+      }
+    });
+  }
+
+  return [...scores.entries()]
+    .map(([docId, score]) => ({ model: index.docs[docId].model, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Remember the full catalog and build its search index ahead of the first query
+ */
+export function indexCatalog(models) {
+  catalogModels = models;
+  return getSearchIndex(models);
+}
+
+/**
+ * Search models by text
+ */
+export function searchModels(models, searchTerms) {
+  if (!searchTerms || searchTerms.length === 0) {
+    return models.map(m => ({ model: m, score: 1 }));
+  }
+
+  const allowed = new Set(models);
+  const index = getSearchIndex(catalogModels && models.every(m => catalogModels.includes(m)) ? catalogModels : models);
+  return searchIndex(index, searchTerms.join(' ')).filter(item => allowed.has(item.model));
+}
+
+/**
+ * Whether a word names models: every token matches a token of some model ID or
+ * name (allowing prefixes and typos; numbers exactly), or the whole word starts
+ * a model name with its punctuation dropped ("gpt4o" for GPT-4o)
+ */
+function namesModels(index, word) {
+  const compactWord = compact(word);
+  if (compactWord.length >= 3 && index.docs.some(d => d.compactId.startsWith(compactWord) || d.compactName.startsWith(compactWord))) {
+    return true;
+  }
+  const tokens = tokenize(word);
+  return tokens.length > 0 && tokens.every(token => index.nameTerms.some(candidate => {
+    if (candidate === token) return true;
+    if (/^\d/.test(token) || /^\d/.test(candidate) || token.length < 3) return false;
+    return candidate.startsWith(token) || editDistance(token, candidate, maxTypos(token)) <= maxTypos(token);
+  }));
+}
+
+/**
+ * Words of free text that name models ("sonet", "4", "gpt4o"), lowercased, so
+ * they can be searched rather than ignored
+ */
+export function modelNameWords(models, text) {
+  const index = getSearchIndex(catalogModels && models.every(m => catalogModels.includes(m)) ? catalogModels : models);
+  const words = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return [...new Set(words.filter(word => namesModels(index, word)))];
+}
+
+/**
+ * Check whether a model matches an ID or slug exactly (case-insensitive)
+ */
+export function matchesId(model, id) {
+  return model.id === id ||
+    model.canonical_slug === id ||
+    model.id.toLowerCase() === id.toLowerCase();
+}
+
+const AMBIGUITY_RATIO = 1.25; // top search hit must beat the runner-up by 25%
+
+/**
+ * Find a model by ID, slug or name, returning every source that carries it
+ *
+ * Exact IDs and slugs win; otherwise the search index picks a model if it is a
+ * clear winner, and ambiguous or failed lookups list "did you mean" suggestions.
+ */
+export function findModel(models, modelId, sourceName) {
+  const candidates = sourceName ?
+    models.filter(m => m.source.name.toLowerCase() === sourceName.toLowerCase()) :
+    models;
+  const where = sourceName ? ` (source: ${sourceName})` : '';
+
+  const exact = candidates.filter(m => matchesId(m, modelId));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  // One hit per model ID, across sources
+  const allowed = new Set(candidates);
+  const hits = [];
+  for (const hit of searchIndex(getSearchIndex(models), modelId)) {
+    if (allowed.has(hit.model) && !hits.some(h => h.model.id === hit.model.id)) {
+      hits.push(hit);
+    }
+  }
+
+  const suggest = list => list.slice(0, 5).map(h => `${h.model.id} (${h.model.name})`).join(', ');
+
+  if (hits.length === 0) {
+    throw new Error(`Model not found: ${modelId}${where}`);
+  }
+
+  const [top, runnerUp] = hits;
+  if (runnerUp && top.score < runnerUp.score * AMBIGUITY_RATIO) {
+    throw new Error(`Ambiguous model name: ${modelId}${where}. Did you mean: ${suggest(hits)}?`);
+  }
+  if (top.score < 1) {
+    throw new Error(`Model not found: ${modelId}${where}. Did you mean: ${suggest(hits)}?`);
+  }
+
+  const matches = candidates.filter(m => m.id === top.model.id);
+  matches.searchMatch = {
+    query: modelId,
+    score: top.score,
+    did_you_mean: hits.slice(1, 4).map(h => h.model.id),
+  };
+  return matches;
+}
@@ -0,0 +1,51 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { SERVER_INFO } from './config.js';
+import { withFileRoots } from './file-access.js';
+import { registerPromptHandlers } from './prompts.js';
+import { registerResourceHandlers, trackServer } from './resources.js';
+import { getToolsList, handleToolCall } from './tools/index.js';
+
+/**
+ * Create an MCP server with the Model Scout tools, resources and prompts
+ *
+ * Every server shares the process-wide catalog, so one can be created per
+ * connection (as the HTTP transport does for each session). `fileRoots` limits
+ * the files this server's tools may read (a MODEL_SCOUT_FILE_ROOTS string or an
+ * array of directories; empty disables file parameters); left out, the
+ * fileRoots setting applies.
+ */
+export function createServer({ fileRoots } = {}) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
+    },
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: getToolsList() };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    return withFileRoots(fileRoots, () => handleToolCall(request, extra));
+  });
+
+  registerResourceHandlers(server);
+  registerPromptHandlers(server);
+  trackServer(server);
+
+  return server;
+}
+
+/**
+ * Start server in stdio mode
+ */
+export async function startStdioServer() {
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  console.error('Model Scout MCP server running on stdio');
+  return server;
+}
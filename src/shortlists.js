@@ -0,0 +1,28 @@
+import { shortlistsPath } from './config.js';
+import { createNamedStore } from './store.js';
+
+const store = createNamedStore(shortlistsPath, 'shortlists');
+
+/**
+ * Saved shortlists by name: { note, saved_at, request, profile, basis, models }
+ */
+export function readShortlists() {
+  return store.read();
+}
+
+/**
+ * Save a shortlist, replacing one with the same name
+ */
+export function saveShortlist(name, shortlist) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('A shortlist needs a name');
+  }
+  return store.save(name, shortlist);
+}
+
+/**
+ * Delete shortlists by name
+ */
+export function deleteShortlists(names) {
+  return store.remove(names);
+}
@@ -0,0 +1,234 @@
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { settings } from './config.js';
+import { extractProvider } from './models.js';
+
+/**
+ * Strip trailing slashes from a base URL
+ */
+function trimUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Catalog source: OpenRouter /api/v1/models
+ */
+export function createOpenRouterSource({ name = 'openrouter', url = settings.openRouterApiUrl, apiKey = settings.openRouterApiKey } = {}) {
+  const modelsUrl = trimUrl(url);
+
+  return {
+    name,
+    type: 'openrouter',
+    location: modelsUrl,
+    api_endpoint: modelsUrl.replace(/\/models$/, '') + '/chat/completions',
+    api_format: 'OpenAI-compatible',
+    requiresApiKey: true,
+    network: true,
+
+    async fetchCatalog() {
+      const response = await fetch(modelsUrl, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.data || [];
+    },
+
+    async fetchEndpoints(model) {
+      const path = model.id.split('/').map(encodeURIComponent).join('/');
+      const response = await fetch(`${modelsUrl}/${path}/endpoints`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenRouter endpoints API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.data?.endpoints || [];
+    },
+  };
+}
+
+/**
+ * Catalog source: any OpenAI-compatible /v1/models endpoint
+ * (vLLM, Ollama, LiteLLM, OpenAI itself, ...)
+ */
+export function createOpenAICompatibleSource({ name = 'openai-compatible', url, apiKey = settings.openAICompatApiKey } = {}) {
+  if (!url) {
+    throw new Error(`Source "${name}": openai-compatible sources need a base URL`);
+  }
+  const baseUrl = trimUrl(url).replace(/\/models$/, '');
+
+  return {
+    name,
+    type: 'openai-compatible',
+    location: baseUrl,
+    api_endpoint: `${baseUrl}/chat/completions`,
+    api_format: 'OpenAI-compatible',
+    requiresApiKey: false,
+    network: true,
+
+    async fetchCatalog() {
+      const response = await fetch(`${baseUrl}/models`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const entries = Array.isArray(data) ? data : (data.data || data.models || []);
+
+      // Plain /v1/models entries only carry id, created and owned_by
+      return entries.map(entry => ({
+        ...entry,
+        name: entry.name || entry.id,
+        provider: entry.provider || entry.owned_by,
+      }));
+    },
+  };
+}
+
+/**
+ * Catalog source: static JSON file on disk
+ *
+ * Accepts either an array of models or an object with a `data` array,
+ * using the OpenRouter model shape (missing fields are filled with defaults).
+ * A model's optional `endpoints` array uses the OpenRouter endpoints shape.
+ */
+export function createStaticSource({ name = 'static', path } = {}) {
+  if (!path) {
+    throw new Error(`Source "${name}": static sources need a file path`);
+  }
+  const filePath = resolve(path);
+
+  return {
+    name,
+    type: 'static',
+    location: filePath,
+    api_endpoint: undefined,
+    api_format: undefined,
+    requiresApiKey: false,
+    network: false,
+
+    async fetchCatalog() {
+      let data;
+      try {
+        data = JSON.parse(await readFile(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`${name} catalog error: ${error.message}`);
+      }
+
+      if (!Array.isArray(data) && data.api_endpoint) {
+        this.api_endpoint = data.api_endpoint;
+        this.api_format = data.api_format || 'OpenAI-compatible';
+      }
+
+      return Array.isArray(data) ? data : (data.data || data.models || []);
+    },
+
+    // Static catalogs may list a model's hosts in an `endpoints` array
+    async fetchEndpoints(model) {
+      return Array.isArray(model.endpoints) ? model.endpoints : null;
+    },
+  };
+}
+
+const SOURCE_FACTORIES = {
+  'openrouter': createOpenRouterSource,
+  'openai-compatible': createOpenAICompatibleSource,
+  'static': createStaticSource,
+};
+
+/**
+ * Parse MODEL_SOURCES into source adapters
+ *
+ * Format: comma-separated entries of `[name=]type[:location]`, e.g.
+ *   openrouter,local=openai-compatible:http://localhost:8000/v1,catalog=static:./models.json
+ */
+export function parseSourceSpecs(spec) {
+  const seen = new Set();
+
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    let name;
+    let rest = entry;
+    const eq = entry.indexOf('=');
+    const colon = entry.indexOf(':');
+    if (eq !== -1 && (colon === -1 || eq < colon)) {
+      name = entry.slice(0, eq).trim();
+      rest = entry.slice(eq + 1).trim();
+    }
+
+    const sep = rest.indexOf(':');
+    const type = (sep === -1 ? rest : rest.slice(0, sep)).trim().toLowerCase();
+    const location = sep === -1 ? undefined : rest.slice(sep + 1).trim();
+
+    const factory = SOURCE_FACTORIES[type];
+    if (!factory) {
+      throw new Error(`Unknown model source type: ${type} (expected one of ${Object.keys(SOURCE_FACTORIES).join(', ')})`);
+    }
+
+    const source = factory({
+      name: name || type,
+      ...(location ? (type === 'static' ? { path: location } : { url: location }) : {}),
+    });
+
+    if (seen.has(source.name)) {
+      throw new Error(`Duplicate model source name: ${source.name}`);
+    }
+    seen.add(source.name);
+
+    return source;
+  });
+}
+
+/**
+ * Release time in Unix seconds from a number or date string, or undefined when
+ * missing or unparseable
+ */
+function createdSeconds(value) {
+  const seconds = typeof value === 'number' ? value :
+    typeof value === 'string' && value.trim() !== '' ?
+      (/^\d+$/.test(value.trim()) ? Number(value) : new Date(value).getTime() / 1000) :
+      NaN;
+  return Number.isFinite(seconds) ? Math.floor(seconds) : undefined;
+}
+
+/**
+ * Normalize a raw catalog entry into the internal (OpenRouter-shaped) model schema
+ */
+export function normalizeModel(raw, source) {
+  const pricing = raw.pricing || {};
+
+  return {
+    ...raw,
+    id: String(raw.id),
+    canonical_slug: raw.canonical_slug || raw.id,
+    name: raw.name || raw.id,
+    provider: raw.provider || extractProvider(String(raw.id)),
+    description: raw.description || '',
+    created: createdSeconds(raw.created),
+    context_length: raw.context_length || raw.top_provider?.context_length || 0,
+    architecture: {
+      ...raw.architecture,
+      input_modalities: raw.architecture?.input_modalities || ['text'],
+      output_modalities: raw.architecture?.output_modalities || ['text'],
+    },
+    pricing: Object.fromEntries(
+      Object.entries(pricing).map(([key, value]) => [key, value == null ? value : String(value)])
+    ),
+    supported_parameters: raw.supported_parameters || [],
+    source: {
+      name: source.name,
+      type: source.type,
+      api_endpoint: raw.api_endpoint || source.api_endpoint,
+      api_format: raw.api_format || source.api_format,
+    },
+  };
+}
@@ -0,0 +1,73 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { settings } from './config.js';
+
+/**
+ * Parse a JSON file in the data directory; null when it does not exist yet
+ */
+export async function readDataFile(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Write a JSON file in the data directory atomically (to a temporary file, then
+ * renamed over it) so a crash never leaves it half-written
+ */
+export async function writeDataFile(path, data) {
+  await mkdir(settings.dataDir, { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await rename(tmpPath, path);
+}
+
+/**
+ * A JSON file of named entries in the data directory ({ version, [key]: { name: entry } })
+ */
+export function createNamedStore(pathFn, key) {
+  async function read() {
+    const data = await readDataFile(pathFn());
+    return data?.[key] && typeof data[key] === 'object' ? data[key] : {};
+  }
+
+  async function write(entries) {
+    await writeDataFile(pathFn(), { version: 1, [key]: entries });
+  }
+
+  return {
+    read,
+
+    /**
+     * Add or replace one entry
+     */
+    async save(name, entry) {
+      const entries = await read();
+      entries[name] = entry;
+      await write(entries);
+      return entries;
+    },
+
+    /**
+     * Delete entries by name; names that are not stored are an error
+     */
+    async remove(names) {
+      const entries = await read();
+      const unknown = names.filter(name => !(name in entries));
+      if (unknown.length > 0) {
+        throw new Error(`No ${key} named: ${unknown.join(', ')}`);
+      }
+      for (const name of names) {
+        delete entries[name];
+      }
+      await write(entries);
+      return entries;
+    },
+  };
+}
@@ -0,0 +1,133 @@
+import { readFile, stat } from 'fs/promises';
+import { resolveAllowedPath } from './file-access.js';
+
+const MAX_SAMPLE_BYTES = 20 * 1024 * 1024; // 20 MB per sample file
+
+// Tokenizer families, checked in order. Families with an `encoding` are counted
+// exactly; the rest are o200k_base counts scaled by a calibrated ratio.
+export const TOKENIZER_FAMILIES = [
+  { family: 'openai-o200k', encoding: 'o200k_base', match: m => /gpt-4o|gpt-4\.1|gpt-5|chatgpt|gpt-oss|openai\/o\d/.test(m.id) },
+  { family: 'openai-cl100k', encoding: 'cl100k_base', match: m => /gpt-4|gpt-3\.5/.test(m.id) },
+  { family: 'openai', encoding: 'o200k_base', match: m => m.architecture?.tokenizer === 'GPT' || m.provider === 'openai' },
+  { family: 'claude', ratio: 1.2, match: m => m.architecture?.tokenizer === 'Claude' || /claude/.test(m.id) },
+  { family: 'gemini', ratio: 1.0, match: m => m.architecture?.tokenizer === 'Gemini' || /gemini|gemma/.test(m.id) },
+  { family: 'llama', ratio: 1.05, match: m => /^Llama/.test(m.architecture?.tokenizer || '') || /llama/.test(m.id) },
+  { family: 'mistral', ratio: 1.15, match: m => m.architecture?.tokenizer === 'Mistral' || /mistral|mixtral|codestral/.test(m.id) },
+  { family: 'deepseek', ratio: 1.05, match: m => m.architecture?.tokenizer === 'DeepSeek' || /deepseek/.test(m.id) },
+  { family: 'qwen', ratio: 1.05, match: m => /^Qwen/.test(m.architecture?.tokenizer || '') || /qwen/.test(m.id) },
+  { family: 'other', ratio: 1.1, match: () => true },
+];
+
+const CHARS_PER_TOKEN = 4; // last resort when no local tokenizer can be loaded
+
+// Loaded lazily so startup stays fast
+const encodings = new Map();
+
+/**
+ * Load a gpt-tokenizer encoding, or null if it is unavailable
+ */
+async function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, import(`gpt-tokenizer/encoding/${name}`).catch(() => null));
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Resolve sample text from inline text or a file path
+ */
+async function readSampleText(text, filePath, label) {
+  if (text !== undefined && filePath !== undefined) {
+    throw new Error(`Give either ${label}_text or ${label}_file, not both`);
+  }
+  if (filePath === undefined) {
+    return text;
+  }
+
+  const path = await resolveAllowedPath(filePath, `${label}_file`);
+  const { size } = await stat(path);
+  if (size > MAX_SAMPLE_BYTES) {
+    throw new Error(`${label}_file is larger than ${MAX_SAMPLE_BYTES / 1024 / 1024} MB: ${path}`);
+  }
+  return readFile(path, 'utf8');
+}
+
+/**
+ * Build a token counter for sample prompt/completion text
+ *
+ * Returns `count(model)` giving per-request token counts for that model's tokenizer
+ * family, marking which counts are exact and which are estimates.
+ */
+export async function createSampleCounter(sample = {}) {
+  const prompt = await readSampleText(sample.prompt_text, sample.prompt_file, 'prompt');
+  const completion = await readSampleText(sample.completion_text, sample.completion_file, 'completion');
+  if (prompt === undefined && completion === undefined) {
+    return null;
+  }
+
+  // Exact counts per encoding, computed once
+  const counts = new Map();
+  const countWith = async (encodingName) => {
+    if (!counts.has(encodingName)) {
+      const encoding = await loadEncoding(encodingName);
+      counts.set(encodingName, encoding ? {
+        prompt: prompt !== undefined ? encoding.countTokens(prompt) : undefined,
+        completion: completion !== undefined ? encoding.countTokens(completion) : undefined,
+      } : null);
+    }
+    return counts.get(encodingName);
+  };
+
+  await countWith('o200k_base');
+  await countWith('cl100k_base');
+
+  const scale = (value, ratio) => value === undefined ? undefined : Math.ceil(value * ratio);
+
+  return {
+    characters: {
+      prompt: prompt?.length,
+      completion: completion?.length,
+    },
+
+    count(model) {
+      return this.countFamily(TOKENIZER_FAMILIES.find(f => f.match(model)));
+    },
+
+    countFamily(family) {
+      const base = counts.get(family.encoding || 'o200k_base');
+
+      if (base && family.encoding) {
+        return { tokenizer: family.family, method: `exact (${family.encoding})`, exact: true, prompt_tokens: base.prompt, completion_tokens: base.completion };
+      }
+      if (base) {
+        return {
+          tokenizer: family.family,
+          method: `estimate (o200k_base × ${family.ratio})`,
+          exact: false,
+          prompt_tokens: scale(base.prompt, family.ratio),
+          completion_tokens: scale(base.completion, family.ratio),
+        };
+      }
+
+      const ratio = family.ratio || 1;
+      return {
+        tokenizer: family.family,
+        method: `estimate (${CHARS_PER_TOKEN} characters per token × ${ratio})`,
+        exact: false,
+        prompt_tokens: prompt !== undefined ? scale(prompt.length / CHARS_PER_TOKEN, ratio) : undefined,
+        completion_tokens: completion !== undefined ? scale(completion.length / CHARS_PER_TOKEN, ratio) : undefined,
+      };
+    },
+  };
+}
+
+/**
+ * Merge sample-based token counts into a workload (explicit token counts win)
+ */
+export function workloadWithSample(workload, estimate) {
+  return {
+    ...workload,
+    prompt_tokens: workload?.prompt_tokens ?? estimate.prompt_tokens,
+    completion_tokens: workload?.completion_tokens ?? estimate.completion_tokens,
+  };
+}
@@ -0,0 +1,34 @@
+import { fetchModels } from '../catalog.js';
+import { checkPolicy, getPolicies } from '../policy.js';
+import { findModel } from '../search.js';
+
+/**
+ * Tool: check_model_policy
+ *
+ * Checks every source listing the model, since policies may allow a model from
+ * one source and not another (e.g., allow_sources or source-specific prices).
+ */
+export async function checkModelPolicy(params) {
+  const { models, freshness } = await fetchModels(params.force_refresh);
+  const matches = findModel(models, params.model_id, params.source);
+  const policies = getPolicies();
+
+  const listings = matches.map(model => {
+    const violations = checkPolicy(model);
+    return { source: model.source.name, allowed: violations.length === 0, violations };
+  });
+
+  return {
+    model_id: matches[0].id,
+    name: matches[0].name,
+    allowed: listings[0].allowed,
+    violations: listings[0].violations,
+    source: listings[0].source,
+    other_sources: listings.length > 1 ? listings.slice(1) : undefined,
+    policies,
+    note: policies.length === 0 ?
+      'No model policy is configured (set MODEL_POLICY_FILE), so every model is allowed' :
+      undefined,
+    data_freshness: freshness,
+  };
+}
@@ -0,0 +1,482 @@
+import { fetchEndpoints, fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { getEndpoints, summarizeEndpoints } from '../endpoints.js';
+import { lifecycleWarning } from '../lifecycle.js';
+import { applyFilters, usesEndpoints } from '../filters.js';
+import { expressionFields } from '../filter-expressions.js';
+import { csvTable, formatDollars, freshnessLine, markdownTable } from '../format.js';
+import { formatModelData, getCapabilities, parsePrice, pricePerQualityPoint, sortModels } from '../models.js';
+import { checkCursorState, encodeCursor, queryKey, readCursor } from '../pagination.js';
+import { parseRequest } from '../parse-request.js';
+import { applyPolicy, policyReport, policyVersion } from '../policy.js';
+import { withProfile } from '../profiles.js';
+import { getQuality, qualityStatus, qualityVersion } from '../quality.js';
+import { matchesId, modelNameWords, searchModels } from '../search.js';
+import { saveShortlist } from '../shortlists.js';
+import { createSampleCounter, workloadWithSample } from '../tokens.js';
+import { shortlistSnapshot } from './shortlists.js';
+
+const DEFAULT_NEW_MODEL_DAYS = 7; // window for the new_models mode
+
+// Parameters that shape a page of results without changing the query behind it
+const PAGE_PARAMS = ['cursor', 'max_results', 'output_format', 'force_refresh', 'save_as', 'shortlist_note'];
+
+/**
+ * Generate comparison table
+ */
+function generateComparison(models, workload, counter) {
+  const comparison = {
+    pricing: {
+      headers: ['Model', 'Prompt/1M', 'Completion/1M', 'Total/1M'],
+      rows: models.map(formatModelData).map(m => [
+        m.name,
+        `$${m.pricing.prompt_per_1m.toFixed(2)}`,
+        `$${m.pricing.completion_per_1m.toFixed(2)}`,
+        `$${m.pricing.total_per_1m.toFixed(2)}`,
+      ]),
+    },
+    capabilities: {
+      headers: ['Model', 'Context', 'Vision', 'Tools', 'Reasoning'],
+      rows: models.map(m => [
+        m.name,
+        m.context_length.toLocaleString(),
+        m.architecture?.input_modalities?.includes('image') ? '✓' : '✗',
+        m.supported_parameters?.includes('tools') ? '✓' : '✗',
+        m.supported_parameters?.includes('reasoning') ? '✓' : '✗',
+      ]),
+    },
+  };
+
+  if (workload || counter) {
+    const costs = models.map(m => {
+      const formatted = formatModelData(m);
+      const cost = calculateCost(formatted, counter ? workloadWithSample(workload, counter.count(m)) : workload);
+      return { model: m, cost };
+    });
+
+    comparison.cost_estimate = {
+      headers: ['Model', 'Per Request', 'Monthly', 'Annual'],
+      rows: costs.map(({ model, cost }) => [
+        model.name,
+        `$${cost.per_request.toFixed(6)}`,
+        cost.monthly !== undefined ? `$${cost.monthly.toFixed(2)}` : 'N/A',
+        cost.annual !== undefined ? `$${cost.annual.toFixed(2)}` : 'N/A',
+      ]),
+      cheapest: costs.reduce((min, curr) =>
+        curr.cost.total < min.cost.total ? curr : min
+      ).model.id,
+    };
+  }
+
+  const rated = models.filter(m => getQuality(m));
+  if (rated.length > 0) {
+    const benchmarks = [...new Set(rated.flatMap(m => Object.keys(getQuality(m).benchmarks)))].sort();
+    comparison.quality = {
+      headers: ['Model', 'Quality', 'Price/Quality Point', ...benchmarks],
+      rows: models.map(m => {
+        const quality = getQuality(m);
+        const value = pricePerQualityPoint(m);
+        return [
+          m.name,
+          quality ? String(quality.score) : 'N/A',
+          value !== undefined ? `$${value.toFixed(4)}` : 'N/A',
+          ...benchmarks.map(b => quality?.benchmarks[b] !== undefined ? String(quality.benchmarks[b]) : 'N/A'),
+        ];
+      }),
+    };
+  }
+
+  // Find cheapest
+  const cheapest = models.reduce((min, curr) => {
+    const minTotal = parsePrice(min.pricing.prompt) + parsePrice(min.pricing.completion);
+    const currTotal = parsePrice(curr.pricing.prompt) + parsePrice(curr.pricing.completion);
+    return currTotal < minTotal ? curr : min;
+  });
+
+  comparison.summary = {
+    cheapest: cheapest.id,
+    highest_context: models.reduce((max, curr) =>
+      curr.context_length > max.context_length ? curr : max
+    ).id,
+    most_capable: models.reduce((max, curr) =>
+      (curr.supported_parameters?.length || 0) > (max.supported_parameters?.length || 0) ? curr : max
+    ).id,
+    highest_quality: rated.length > 0 ?
+      rated.reduce((max, curr) => getQuality(curr).score > getQuality(max).score ? curr : max).id :
+      undefined,
+    best_value: rated.filter(m => pricePerQualityPoint(m) !== undefined).reduce((best, curr) =>
+      !best || pricePerQualityPoint(curr) < pricePerQualityPoint(best) ? curr : best, undefined)?.id,
+  };
+
+  return comparison;
+}
+
+/**
+ * Whether a request filters or sorts on quality data
+ */
+function usesQuality(filters, sortBy) {
+  return filters.min_quality !== undefined || filters.min_benchmarks !== undefined ||
+    expressionFields(filters.where).includes('quality.score') || sortBy === 'quality' || sortBy === 'value';
+}
+
+/**
+ * Tool: consider_models
+ */
+export async function considerModels(requested) {
+  const params = await withProfile(requested);
+  const { models: rawModels, cache_age, cached, sources: sourceStatus, freshness, snapshot_id: snapshotId } = await fetchModels(params.force_refresh);
+
+  // A cursor continues the same query on the same catalog snapshot, with
+  // relative dates resolved as of the first page
+  const query = queryKey(requested, PAGE_PARAMS);
+  const cursor = readCursor(params.cursor, { snapshot_id: snapshotId, query });
+  const { offset } = cursor;
+  const now = cursor.now ?? Date.now();
+
+  // Parse natural language request; leftover words that name models are searched too
+  const intent = parseRequest(params.request || '');
+  const nameWords = modelNameWords(rawModels, intent.unparsed.join(' '));
+  if (nameWords.length > 0) {
+    intent.search_terms.push(...nameWords.filter(w => !intent.search_terms.includes(w)));
+    intent.unparsed = intent.unparsed
+      .map(fragment => fragment.split(/\s+/).filter(w => !nameWords.includes(w.toLowerCase())).join(' '))
+      .filter(Boolean);
+  }
+
+  // Merge filters
+  const combinedFilters = { ...intent.filters, ...params.filters };
+
+  // New models mode: releases from the last N days, newest first
+  if (params.mode === 'new_models') {
+    if (params.days !== undefined && !(typeof params.days === 'number' && params.days > 0)) {
+      throw new Error('days must be a positive number');
+    }
+    if (params.days !== undefined || combinedFilters.released_within_days === undefined) {
+      combinedFilters.released_within_days = params.days ?? DEFAULT_NEW_MODEL_DAYS;
+      intent.understood_as = [`released in the last ${combinedFilters.released_within_days} days`, intent.understood_as]
+        .filter(Boolean).join('; ');
+    }
+    intent.sort_preference = 'created';
+  }
+
+  // Apply filters (endpoint filters last, once the remaining candidates' hosts are loaded)
+  const { quantization, min_providers: minProviders, ...catalogFilters } = combinedFilters;
+  const narrow = models => {
+    let narrowed = applyFilters(models, catalogFilters, now);
+
+    // If specific model IDs provided, filter to those
+    if (params.model_ids && params.model_ids.length > 0) {
+      narrowed = narrowed.filter(m =>
+        params.model_ids.some(id => matchesId(m, id))
+      );
+    }
+    return narrowed;
+  };
+
+  // The team policy applies first; note the models it removed from this result
+  const { allowed, excluded } = applyPolicy(rawModels);
+  let filtered = narrow(allowed);
+  let excludedMatches = narrow(excluded.map(e => e.model));
+  if (intent.search_terms.length > 0) {
+    excludedMatches = searchModels(excludedMatches, intent.search_terms).map(s => s.model);
+  }
+  const policyExcluded = excluded.filter(e => excludedMatches.includes(e.model));
+
+  let endpointNote;
+  let endpointState;
+  if (usesEndpoints(combinedFilters)) {
+    await fetchEndpoints(filtered, params.force_refresh);
+    endpointState = queryKey(filtered.map(m => [m.source.name, m.id, getEndpoints(m) ?? null]));
+    const missing = filtered.filter(m => !getEndpoints(m)).length;
+    filtered = applyFilters(filtered, { quantization, min_providers: minProviders });
+    if (missing > 0) {
+      endpointNote = `${missing} candidate model(s) have no endpoint details (their source does not list hosts, or the lookup failed) and were excluded by the quantization/min_providers filters.`;
+    }
+  }
+
+  // Search if terms detected
+  let searchResults = filtered;
+  if (intent.search_terms.length > 0) {
+    const scored = searchModels(filtered, intent.search_terms);
+    scored.sort((a, b) => b.score - a.score);
+    searchResults = scored.map(s => s.model);
+  }
+
+  // Sort
+  const sortBy = params.sort_by || intent.sort_preference || 'relevance';
+  const sorted = sortModels(searchResults, sortBy);
+
+  // Format models
+  const formatted = sorted.map(formatModelData);
+  const hosted = usesEndpoints(combinedFilters);
+  formatted.forEach((model, i) => {
+    model.price_per_quality_point = pricePerQualityPoint(sorted[i]);
+    const endpoints = hosted ? getEndpoints(sorted[i]) : undefined;
+    if (endpoints) {
+      model.hosting = summarizeEndpoints(endpoints);
+    }
+  });
+
+  // Token counts from sample text, per tokenizer family
+  const counter = await createSampleCounter(params.sample);
+  if (counter) {
+    formatted.forEach((model, i) => {
+      model.token_estimate = counter.count(sorted[i]);
+    });
+  }
+
+  // Calculate costs if workload or sample provided
+  const workloads = formatted.map(model => counter ? workloadWithSample(params.workload, model.token_estimate) : params.workload);
+  if (params.workload || counter) {
+    formatted.forEach((model, i) => {
+      model.estimated_cost = calculateCost(model, workloads[i]);
+    });
+  }
+
+  // Later pages need the policy, quality data, profile and hosts the first page was listed with
+  const state = queryKey({
+    policy: policyVersion(),
+    quality: qualityVersion(),
+    params: queryKey(params, PAGE_PARAMS),
+    endpoints: endpointState,
+  });
+  checkCursorState(cursor, state);
+
+  // Limit results to one page
+  const maxResults = params.max_results || 10;
+  const results = formatted.slice(offset, offset + maxResults);
+  const pageModels = sorted.slice(offset, offset + maxResults);
+  const nextOffset = offset + results.length;
+
+  // Save the returned models, with the workload each was costed on, to re-evaluate later
+  if (params.save_as) {
+    await saveShortlist(params.save_as, {
+      note: params.shortlist_note,
+      saved_at: new Date().toISOString(),
+      request: params.request,
+      profile: params.profile,
+      filters: combinedFilters,
+      ...shortlistSnapshot(results.map((m, i) => ({ model: pageModels[i], workload: workloads[offset + i] }))),
+    });
+  }
+
+  // Warn about returned models that are deprecated or due to be removed
+  const warnings = results
+    .map((m, i) => lifecycleWarning(pageModels[i], m.lifecycle))
+    .filter(Boolean);
+
+  // Build response
+  const response = {
+    profile: params.profile,
+    interpretation: {
+      understood_as: intent.understood_as || 'model listing',
+      applied_filters: combinedFilters,
+      search_strategy: intent.search_terms.length > 0 ? 'keyword search' : 'filtered list',
+      search_terms: intent.search_terms,
+      constraints: intent.constraints,
+      unparsed: intent.unparsed.length > 0 ? intent.unparsed : undefined,
+    },
+    models: results.map(m => ({
+      id: m.id,
+      name: m.name,
+      provider: m.provider,
+      source: m.source,
+      context_length: m.context_length,
+      pricing: {
+        prompt_per_1m: m.pricing.prompt_per_1m,
+        completion_per_1m: m.pricing.completion_per_1m,
+        total_per_1m: m.pricing.total_per_1m,
+      },
+      capabilities: getCapabilities({
+        architecture: { input_modalities: m.input_modalities },
+        supported_parameters: m.supported_parameters
+      }),
+      is_free: m.is_free,
+      quality_score: m.quality?.score,
+      price_per_quality_point: m.price_per_quality_point,
+      lifecycle_status: m.lifecycle.status !== 'active' ? m.lifecycle.status : undefined,
+      released: m.lifecycle.released,
+      provider_count: m.hosting?.provider_count,
+      quantizations: m.hosting?.quantizations,
+      token_estimate: m.token_estimate,
+      estimated_cost: m.estimated_cost,
+    })),
+    quality_note: usesQuality(combinedFilters, sortBy) && qualityStatus().models_with_scores === 0 ?
+      'No quality data is loaded, so quality filters match nothing and quality sorts keep the original order. Set MODEL_QUALITY_FILES to benchmark score files.' :
+      undefined,
+    endpoint_note: endpointNote,
+    lifecycle_warnings: warnings.length > 0 ? warnings : undefined,
+    policy: policyReport(policyExcluded),
+    saved_shortlist: params.save_as,
+    total_models_found: formatted.length,
+    models_returned: results.length,
+    offset: offset > 0 ? offset : undefined,
+    next_cursor: nextOffset < formatted.length ?
+      encodeCursor({ snapshot_id: snapshotId, query, state, now, offset: nextOffset }) :
+      undefined,
+    snapshot_id: snapshotId,
+    sources: sourceStatus,
+    data_freshness: freshness,
+    cache_age: cached ? cache_age : undefined,
+  };
+
+  // Add comparison of the models on this page if comparing specific models
+  if (params.model_ids && params.model_ids.length > 1) {
+    response.comparison = generateComparison(
+      pageModels,
+      params.workload,
+      counter
+    );
+  }
+
+  // Add cost analysis if workload provided
+  if ((params.workload || counter) && results.length > 0) {
+    const costs = results
+      .filter(m => m.estimated_cost)
+      .map(m => ({ id: m.id, cost: m.estimated_cost.total }))
+      .sort((a, b) => a.cost - b.cost);
+
+    if (costs.length > 0) {
+      response.cost_analysis = {
+        cheapest_option: costs[0],
+        most_expensive_option: costs[costs.length - 1],
+        potential_savings: costs[costs.length - 1].cost - costs[0].cost,
+      };
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Column label for estimated costs, from the cost basis
+ */
+function costLabel(models) {
+  const basis = models.find(m => m.estimated_cost)?.estimated_cost.basis;
+  if (!basis) return undefined;
+  return basis === 'monthly' ? 'Est. cost/month' : 'Est. cost/request';
+}
+
+/**
+ * Render a consider_models result as Markdown
+ */
+export function renderModelListMarkdown(result) {
+  const { interpretation, models } = result;
+  const cost = costLabel(models);
+  const tokens = models.some(m => m.token_estimate);
+  const quality = models.some(m => m.quality_score !== undefined);
+  const hosting = models.some(m => m.provider_count !== undefined);
+
+  const headers = ['#', 'Model', 'ID', 'Context', 'Prompt/1M', 'Completion/1M', 'Capabilities'];
+  if (quality) headers.push('Quality');
+  if (hosting) headers.push('Providers', 'Quantization');
+  if (tokens) headers.push('Prompt tokens', 'Completion tokens');
+  if (cost) headers.push(cost);
+
+  const offset = result.offset || 0;
+  const rows = models.map((m, i) => [
+    offset + i + 1,
+    m.name,
+    `\`${m.id}\``,
+    m.context_length?.toLocaleString(),
+    m.is_free ? 'free' : formatDollars(m.pricing.prompt_per_1m),
+    m.is_free ? 'free' : formatDollars(m.pricing.completion_per_1m),
+    m.capabilities.join(', '),
+    ...(quality ? [m.quality_score ?? 'N/A'] : []),
+    ...(hosting ? [m.provider_count ?? 'N/A', m.quantizations?.join(', ') || 'N/A'] : []),
+    ...(tokens ? [m.token_estimate?.prompt_tokens, m.token_estimate?.completion_tokens] : []),
+    ...(cost ? [formatDollars(m.estimated_cost?.total)] : []),
+  ]);
+
+  const lines = [
+    `**Understood as:** ${interpretation.understood_as}`,
+  ];
+  if (interpretation.unparsed) {
+    lines.push(`**Not understood:** ${interpretation.unparsed.join(', ')}`);
+  }
+  if (result.quality_note) {
+    lines.push(`**Note:** ${result.quality_note}`);
+  }
+  if (result.endpoint_note) {
+    lines.push(`**Note:** ${result.endpoint_note}`);
+  }
+  for (const warning of result.lifecycle_warnings || []) {
+    lines.push(`**Warning:** ${warning}`);
+  }
+  if (result.policy?.excluded_count > 0) {
+    lines.push(`**Policy:** ${result.policy.excluded_count} matching model(s) excluded by ${result.policy.policies.join(', ')}: ` +
+      result.policy.excluded.map(e => `\`${e.id}\` (${e.violations.map(v => v.reason).join('; ')})`).join(', '));
+  }
+  lines.push('', offset > 0 || result.next_cursor ?
+    `Showing models ${offset + 1}-${offset + result.models_returned} of ${result.total_models_found}.` :
+    `Showing ${result.models_returned} of ${result.total_models_found} models.`);
+  if (result.next_cursor) {
+    lines.push(`More results: repeat the call with \`cursor: "${result.next_cursor}"\`.`);
+  }
+  if (models.length > 0) {
+    lines.push('', markdownTable(headers, rows));
+  }
+
+  if (result.comparison) {
+    const { pricing, capabilities, cost_estimate: costEstimate, summary } = result.comparison;
+    lines.push('', '### Pricing', '', markdownTable(pricing.headers, pricing.rows));
+    lines.push('', '### Capabilities', '', markdownTable(capabilities.headers, capabilities.rows));
+    if (result.comparison.quality) {
+      lines.push('', '### Quality', '', markdownTable(result.comparison.quality.headers, result.comparison.quality.rows));
+    }
+    if (costEstimate) {
+      lines.push('', '### Cost Estimate', '', markdownTable(costEstimate.headers, costEstimate.rows));
+    }
+    lines.push('', `Cheapest: \`${summary.cheapest}\`. Largest context: \`${summary.highest_context}\`. ` +
+      `Most capable: \`${summary.most_capable}\`.` +
+      (summary.highest_quality ? ` Highest quality: \`${summary.highest_quality}\`.` : '') +
+      (summary.best_value ? ` Best value: \`${summary.best_value}\`.` : ''));
+  }
+
+  if (result.cost_analysis) {
+    const { cheapest_option: cheapest, most_expensive_option: priciest, potential_savings: savings } = result.cost_analysis;
+    lines.push('', `Cheapest option: \`${cheapest.id}\` at ${formatDollars(cheapest.cost)}. ` +
+      `Most expensive: \`${priciest.id}\` at ${formatDollars(priciest.cost)}. ` +
+      `Potential savings: ${formatDollars(savings)}.`);
+  }
+
+  const freshness = freshnessLine(result.data_freshness);
+  if (freshness) lines.push('', freshness);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a consider_models result as CSV, one row per model
+ */
+export function renderModelListCsv(result) {
+  const { models } = result;
+  const cost = models.some(m => m.estimated_cost);
+  const tokens = models.some(m => m.token_estimate);
+  const quality = models.some(m => m.quality_score !== undefined);
+  const hosting = models.some(m => m.provider_count !== undefined);
+
+  const headers = ['id', 'name', 'provider', 'source', 'context_length',
+    'prompt_per_1m', 'completion_per_1m', 'total_per_1m', 'capabilities', 'is_free'];
+  if (quality) headers.push('quality_score', 'price_per_quality_point');
+  if (hosting) headers.push('provider_count', 'quantizations');
+  if (tokens) headers.push('prompt_tokens', 'completion_tokens');
+  if (cost) headers.push('estimated_cost', 'cost_basis');
+
+  return csvTable(headers, models.map(m => [
+    m.id,
+    m.name,
+    m.provider,
+    m.source,
+    m.context_length,
+    m.pricing.prompt_per_1m,
+    m.pricing.completion_per_1m,
+    m.pricing.total_per_1m,
+    m.capabilities.join(';'),
+    m.is_free,
+    ...(quality ? [m.quality_score, m.price_per_quality_point] : []),
+    ...(hosting ? [m.provider_count, m.quantizations?.join(';')] : []),
+    ...(tokens ? [m.token_estimate?.prompt_tokens, m.token_estimate?.completion_tokens] : []),
+    ...(cost ? [m.estimated_cost?.total, m.estimated_cost?.basis] : []),
+  ]));
+}
@@ -0,0 +1,137 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { collectDocuments } from '../documents.js';
+import { applyFilters } from '../filters.js';
+import { formatModelData } from '../models.js';
+import { applyPolicy, policyReport } from '../policy.js';
+import { findModel } from '../search.js';
+import { createSampleCounter } from '../tokens.js';
+
+const DEFAULT_OUTPUT_TOKENS = 1000; // expected output per call
+const DEFAULT_MAX_RESULTS = 20;
+const LARGEST_FILES = 10; // files listed in the document summary
+
+/**
+ * Check one model: does the document fit in one call, and if not, how many
+ * chunks it takes and what all the calls cost
+ */
+function fitModel(model, estimate, output, overhead) {
+  const formatted = formatModelData(model);
+  const documentTokens = estimate.prompt_tokens;
+  const maxOutput = formatted.max_completion_tokens;
+  const row = {
+    id: model.id,
+    name: model.name,
+    source: model.source.name,
+    context_length: model.context_length,
+    max_completion_tokens: maxOutput,
+    document_tokens: documentTokens,
+    exact: estimate.exact,
+  };
+
+  if (maxOutput && output > maxOutput) {
+    return { ...row, fits: false, reason: `expected output of ${output.toLocaleString()} tokens exceeds max_completion_tokens` };
+  }
+
+  const capacity = model.context_length - output - overhead;
+  if (!(capacity > 0)) {
+    return { ...row, fits: false, reason: 'context window leaves no room for the document after the output and prompt overhead' };
+  }
+
+  const chunks = Math.max(1, Math.ceil(documentTokens / capacity));
+  const cost = formatted.pricing.available ?
+    calculateCost(formatted, {
+      prompt_tokens: documentTokens / chunks + overhead,
+      completion_tokens: output,
+      requests_per_month: chunks,
+    }).monthly :
+    undefined;
+
+  return {
+    ...row,
+    fits: chunks === 1,
+    headroom_tokens: chunks === 1 ? capacity - documentTokens : undefined,
+    chunks,
+    chunk_tokens: chunks > 1 ? Math.ceil(documentTokens / chunks) : undefined,
+    total_cost: cost,
+  };
+}
+
+/**
+ * Tool: check_context_fit
+ *
+ * Estimates the token size of local files and directories (or inline text) and
+ * reports which models fit it in one call, leaving room for the expected output.
+ */
+export async function checkContextFit(params) {
+  if ((params.text === undefined) === (params.paths === undefined)) {
+    throw new Error('Give either paths or text');
+  }
+  const output = params.expected_output_tokens ?? DEFAULT_OUTPUT_TOKENS;
+  const overhead = params.prompt_overhead_tokens ?? 0;
+  for (const [name, value] of [['expected_output_tokens', output], ['prompt_overhead_tokens', overhead]]) {
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+  }
+
+  const documents = params.paths !== undefined ?
+    await collectDocuments(params.paths, { extensions: params.extensions }) :
+    { files: undefined, text: params.text, skipped: [] };
+  if (documents.text === '') {
+    throw new Error('No text to check' + (documents.skipped.length > 0 ? ` (skipped: ${documents.skipped.map(s => s.path).join(', ')})` : ''));
+  }
+  const counter = await createSampleCounter({ prompt_text: documents.text });
+
+  const { models, freshness } = await fetchModels(params.force_refresh);
+  const explicit = params.model_ids?.length > 0;
+  const picked = explicit ?
+    params.model_ids.map(id => findModel(models, id)[0]) :
+    applyFilters(models, params.filters || {});
+  const { allowed, excluded } = applyPolicy([...new Set(picked)]);
+
+  const byCost = (a, b) => (a.total_cost ?? Infinity) - (b.total_cost ?? Infinity) || b.context_length - a.context_length;
+  const rows = allowed.map(model => fitModel(model, counter.count(model), output, overhead));
+  const fitting = rows.filter(r => r.fits).sort(byCost);
+  const chunked = rows.filter(r => !r.fits && r.chunks).sort((a, b) => a.chunks - b.chunks || byCost(a, b));
+  const unusable = rows.filter(r => !r.fits && !r.chunks);
+  const ranked = [...fitting, ...chunked, ...unusable];
+
+  // Report only excluded models that could have served the documents
+  const policyExcluded = explicit ? excluded : excluded.filter(({ model }) => {
+    const row = fitModel(model, counter.count(model), output, overhead);
+    return row.fits || row.chunks;
+  });
+
+  // One count per tokenizer family; files are apportioned by their share of the characters
+  const reference = counter.countFamily({ family: 'openai-o200k', encoding: 'o200k_base' });
+  const totalCharacters = counter.characters.prompt;
+  const largest = documents.files && [...documents.files]
+    .sort((a, b) => b.characters - a.characters)
+    .slice(0, LARGEST_FILES)
+    .map(f => ({ ...f, approx_tokens: Math.round(reference.prompt_tokens * f.characters / totalCharacters) }));
+
+  return {
+    documents: {
+      files: documents.files?.length,
+      characters: totalCharacters,
+      tokens: reference.prompt_tokens,
+      token_method: reference.method,
+      largest_files: largest,
+      skipped: documents.skipped.length > 0 ? documents.skipped : undefined,
+    },
+    expected_output_tokens: output,
+    prompt_overhead_tokens: overhead,
+    summary: {
+      models_checked: rows.length,
+      fit_in_one_call: fitting.length,
+      need_chunking: chunked.length,
+      cannot_serve: unusable.length,
+      cheapest_single_call: fitting.find(r => r.total_cost !== undefined)?.id,
+      largest_context: [...rows].sort((a, b) => b.context_length - a.context_length)[0]?.id,
+    },
+    models: explicit ? ranked : ranked.slice(0, params.max_results || DEFAULT_MAX_RESULTS),
+    policy: policyReport(policyExcluded),
+    data_freshness: freshness,
+  };
+}
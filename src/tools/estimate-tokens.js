@@ -0,0 +1,45 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { formatModelData } from '../models.js';
+import { withProfile } from '../profiles.js';
+import { findModel } from '../search.js';
+import { createSampleCounter, TOKENIZER_FAMILIES, workloadWithSample } from '../tokens.js';
+
+/**
+ * Tool: estimate_tokens
+ */
+export async function estimateTokens(params) {
+  params = await withProfile(params);
+  const counter = await createSampleCounter(params);
+  if (!counter) {
+    throw new Error('Provide prompt_text, prompt_file, completion_text or completion_file');
+  }
+
+  const response = {
+    characters: counter.characters,
+  };
+
+  if (!params.model_ids?.length) {
+    // No models given: one row per tokenizer family
+    response.by_tokenizer = TOKENIZER_FAMILIES
+      .filter(f => f.family !== 'openai')
+      .map(f => counter.countFamily(f));
+    return response;
+  }
+
+  const { models, freshness } = await fetchModels();
+  response.models = params.model_ids.map(id => {
+    const model = findModel(models, id)[0];
+    const estimate = counter.count(model);
+    const workload = workloadWithSample(params.workload, estimate);
+    return {
+      id: model.id,
+      name: model.name,
+      ...estimate,
+      estimated_cost: calculateCost(formatModelData(model), workload),
+    };
+  });
+  response.data_freshness = freshness;
+
+  return response;
+}
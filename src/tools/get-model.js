@@ -0,0 +1,166 @@
+import { fetchEndpoints, fetchModels } from '../catalog.js';
+import { endpointsError, getEndpoints, summarizeEndpoints } from '../endpoints.js';
+import { csvTable, formatDollars, freshnessLine, markdownTable } from '../format.js';
+import { lifecycleWarning } from '../lifecycle.js';
+import { formatModelData } from '../models.js';
+import { checkPolicy, getPolicies } from '../policy.js';
+import { findModel } from '../search.js';
+
+/**
+ * Tool: get_model
+ *
+ * With `includeEndpoints`, also fetches the hosts serving the model, each with
+ * its own prices, quantization, limits and uptime.
+ */
+export async function getModel(modelId, sourceName, includeEndpoints = false) {
+  const { models, freshness } = await fetchModels();
+  const matches = findModel(models, modelId, sourceName);
+
+  const result = formatModelData(matches[0]);
+  result.lifecycle_warning = lifecycleWarning(matches[0], result.lifecycle);
+  if (getPolicies().length > 0) {
+    const violations = checkPolicy(matches[0]);
+    result.policy = { allowed: violations.length === 0, violations };
+  }
+  if (matches.searchMatch) {
+    result.matched_by_search = matches.searchMatch;
+  }
+  if (matches.length > 1) {
+    result.also_available_from = matches.slice(1).map(m => ({
+      source: m.source.name,
+      api_endpoint: m.source.api_endpoint,
+      pricing: formatModelData(m).pricing,
+    }));
+  }
+  if (includeEndpoints) {
+    await fetchEndpoints([matches[0]]);
+    const endpoints = getEndpoints(matches[0]);
+    if (endpoints) {
+      result.endpoints = endpoints;
+      result.endpoint_summary = summarizeEndpoints(endpoints);
+    } else {
+      result.endpoints_error = endpointsError(matches[0]);
+    }
+  }
+  result.data_freshness = freshness;
+
+  return result;
+}
+
+/**
+ * Flatten nested fields into dotted [field, value] pairs
+ */
+function flattenFields(value, prefix = '') {
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object' || item === null)) {
+    return [[prefix, value.join(';')]];
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .flatMap(([key, v]) => flattenFields(v, prefix ? `${prefix}.${key}` : key));
+  }
+  return [[prefix, value]];
+}
+
+/**
+ * Render a get_model result as Markdown
+ */
+export function renderModelMarkdown(model) {
+  const perMillion = price => `${formatDollars(price)} / 1M tokens`;
+  const pricing = model.pricing;
+
+  const details = [
+    ['Provider', model.provider],
+    ['Context length', model.context_length?.toLocaleString()],
+    ['Max completion tokens', model.max_completion_tokens?.toLocaleString()],
+    ['Released', model.created?.slice(0, 10)],
+    ['Status', model.lifecycle?.status.replace(/_/g, ' ')],
+    ['Deprecated since', model.lifecycle?.deprecation_date],
+    ['Expires', model.lifecycle?.expiration_date],
+    ['Modality', model.modality],
+    ['Supported parameters', model.supported_parameters.join(', ')],
+    ['API endpoint', model.api_endpoint],
+    ['API format', model.api_format],
+    ['Hugging Face', model.hugging_face_id],
+    ['Moderated', model.is_moderated ? 'yes' : 'no'],
+    ['Free', model.is_free ? 'yes' : 'no'],
+  ].filter(([, value]) => value !== undefined && value !== '');
+
+  const prices = pricing.available ? [
+    ['Prompt', perMillion(pricing.prompt_per_1m)],
+    ['Completion', perMillion(pricing.completion_per_1m)],
+    ['Cache read', pricing.cache_read_per_1m !== undefined ? perMillion(pricing.cache_read_per_1m) : undefined],
+    ['Cache write', pricing.cache_write_per_1m !== undefined ? perMillion(pricing.cache_write_per_1m) : undefined],
+    ['Reasoning', pricing.internal_reasoning !== undefined ? perMillion(pricing.internal_reasoning * 1_000_000) : undefined],
+    ['Web search', pricing.web_search ? `${formatDollars(pricing.web_search)} per call` : undefined],
+    ['Image', pricing.image ? `${formatDollars(pricing.image)} per image` : undefined],
+    ['Request', pricing.request ? `${formatDollars(pricing.request)} per request` : undefined],
+  ].filter(([, value]) => value !== undefined) : [['Pricing', 'not listed by this source']];
+
+  const lines = [
+    `## ${model.name}`,
+    '',
+    `\`${model.id}\` from ${model.source} (${model.source_type})`,
+  ];
+  if (model.matched_by_search) {
+    const { query, did_you_mean: alternatives } = model.matched_by_search;
+    lines.push('', `Matched "${query}" by search.` +
+      (alternatives?.length ? ` Did you mean: ${alternatives.join(', ')}?` : ''));
+  }
+  if (model.lifecycle_warning) {
+    lines.push('', `**Warning:** ${model.lifecycle_warning}`);
+  }
+  if (model.policy && !model.policy.allowed) {
+    lines.push('', `**Policy:** not allowed (${model.policy.violations.map(v => `${v.policy}: ${v.reason}`).join('; ')})`);
+  }
+  if (model.description) {
+    lines.push('', model.description);
+  }
+  lines.push('', markdownTable(['Field', 'Value'], details));
+  lines.push('', '### Pricing', '', markdownTable(['Item', 'Price'], prices));
+
+  if (model.quality) {
+    lines.push('', '### Quality', '', `Score: ${model.quality.score}/100 (from ${model.quality.sources.join(', ')})`, '', markdownTable(
+      ['Benchmark', 'Score'],
+      Object.entries(model.quality.benchmarks)
+    ));
+  }
+
+  if (model.endpoints) {
+    const { provider_count: count, quantizations } = model.endpoint_summary;
+    lines.push('', '### Endpoints', '', `Served by ${count} provider(s)` +
+      (quantizations.length ? ` at ${quantizations.join(', ')} precision.` : '.'), '', markdownTable(
+      ['Provider', 'Quantization', 'Context', 'Max output', 'Prompt/1M', 'Completion/1M', 'Uptime (30m)'],
+      model.endpoints.map(e => [
+        e.provider,
+        e.quantization || 'unknown',
+        e.context_length?.toLocaleString(),
+        e.max_completion_tokens?.toLocaleString(),
+        formatDollars(e.pricing.prompt_per_1m),
+        formatDollars(e.pricing.completion_per_1m),
+        e.uptime_last_30m !== undefined ? `${e.uptime_last_30m.toFixed(1)}%` : 'N/A',
+      ])
+    ));
+  } else if (model.endpoints_error) {
+    lines.push('', `_Endpoints unavailable: ${model.endpoints_error}_`);
+  }
+
+  if (model.also_available_from) {
+    lines.push('', '### Also available from', '', markdownTable(
+      ['Source', 'API endpoint', 'Total/1M'],
+      model.also_available_from.map(alt => [alt.source, alt.api_endpoint, formatDollars(alt.pricing.total_per_1m)])
+    ));
+  }
+
+  const freshness = freshnessLine(model.data_freshness);
+  if (freshness) lines.push('', freshness);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a get_model result as CSV field/value rows
+ */
+export function renderModelCsv(model) {
+  return csvTable(['field', 'value'], flattenFields(model));
+}
@@ -0,0 +1,843 @@
+import { FILTER_EXPRESSION_SCHEMA } from '../filter-expressions.js';
+import { OUTPUT_FORMATS, renderResult } from '../format.js';
+import { withProgress } from '../progress.js';
+import { LOG_FORMATS } from '../usage-log.js';
+import { checkModelPolicy } from './check-model-policy.js';
+import { checkContextFit } from './context-fit.js';
+import { considerModels, renderModelListCsv, renderModelListMarkdown } from './consider-models.js';
+import { estimateTokens } from './estimate-tokens.js';
+import { getModel, renderModelCsv, renderModelMarkdown } from './get-model.js';
+import { getModelAlternatives } from './model-alternatives.js';
+import { modelChanges } from './model-changes.js';
+import { OUTPUT_SCHEMAS } from './output-schemas.js';
+import { planBudget } from './plan-budget.js';
+import { recommendModel } from './recommend-model.js';
+import { replayCosts } from './replay-costs.js';
+import { shortlists } from './shortlists.js';
+import { usageProfiles } from './usage-profiles.js';
+import { watchedModels } from './watched-models.js';
+
+/**
+ * Input schema for structured model filters (shared by tools)
+ */
+const FILTERS_SCHEMA = {
+  type: 'object',
+  description: 'Optional structured filters',
+  properties: {
+    provider: {
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' } }
+      ],
+      description: 'Filter by provider name(s)',
+    },
+    source: {
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' } }
+      ],
+      description: 'Filter by catalog source name(s) (e.g., "openrouter")',
+    },
+    free_only: {
+      type: 'boolean',
+      description: 'Only show free models',
+    },
+    min_context: {
+      type: 'number',
+      description: 'Minimum context length',
+    },
+    max_context: {
+      type: 'number',
+      description: 'Maximum context length',
+    },
+    max_price_per_1m: {
+      type: 'number',
+      description: 'Maximum total cost per 1M tokens',
+    },
+    has_vision: {
+      type: 'boolean',
+      description: 'Must support image input',
+    },
+    has_tools: {
+      type: 'boolean',
+      description: 'Must support function/tool calling',
+    },
+    has_reasoning: {
+      type: 'boolean',
+      description: 'Must support chain-of-thought reasoning',
+    },
+    modality: {
+      type: 'string',
+      description: 'Filter by modality (e.g., "text->text", "text+image->text")',
+    },
+    exclude_provider: {
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' } }
+      ],
+      description: 'Exclude provider name(s)',
+    },
+    input_modalities: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Required input modalities (e.g., ["audio"], ["file", "image"])',
+    },
+    output_modalities: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Required output modalities (e.g., ["image"])',
+    },
+    required_parameters: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Required supported parameters (e.g., ["response_format"] for JSON mode)',
+    },
+    released_within_days: {
+      type: 'number',
+      description: 'Only models released in the last N days',
+    },
+    exclude_deprecated: {
+      type: 'boolean',
+      description: 'Leave out models that are deprecated, scheduled for removal or expired',
+    },
+    min_quality: {
+      type: 'number',
+      description: 'Minimum quality score (0-100, from loaded benchmark data)',
+    },
+    min_benchmarks: {
+      type: 'object',
+      additionalProperties: { type: 'number' },
+      description: 'Minimum raw score per benchmark (e.g., {"arena_elo": 1250})',
+    },
+    where: FILTER_EXPRESSION_SCHEMA,
+  },
+};
+
+/**
+ * Input schema for consider_models filters: the shared filters plus filters on
+ * per-host endpoint details, which are fetched for the remaining candidates
+ */
+const LISTING_FILTERS_SCHEMA = {
+  ...FILTERS_SCHEMA,
+  properties: {
+    ...FILTERS_SCHEMA.properties,
+    quantization: {
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' } }
+      ],
+      description: 'At least one host must serve the model at this precision (e.g., "fp8", ["bf16", "fp16"])',
+    },
+    min_providers: {
+      type: 'number',
+      description: 'Minimum number of hosting providers (counting only hosts at the requested quantization, if given)',
+    },
+  },
+};
+
+/**
+ * Input schema for a cost calculation workload (shared by tools)
+ */
+const WORKLOAD_SCHEMA = {
+  type: 'object',
+  description: 'Optional cost calculation scenario. Token, image and web search counts are per request',
+  properties: {
+    prompt_tokens: {
+      type: 'number',
+      description: 'Input tokens per request',
+    },
+    completion_tokens: {
+      type: 'number',
+      description: 'Output tokens per request',
+    },
+    requests_per_day: {
+      type: 'number',
+      description: 'Number of requests per day',
+    },
+    requests_per_month: {
+      type: 'number',
+      description: 'Number of requests per month (default: requests_per_day × 30)',
+    },
+    cache_hit_ratio: {
+      type: 'number',
+      description: 'Fraction of prompt tokens served from the prompt cache (0-1)',
+    },
+    cache_write_ratio: {
+      type: 'number',
+      description: 'Fraction of prompt tokens written to the prompt cache (0-1)',
+    },
+    reasoning_tokens: {
+      type: 'number',
+      description: 'Hidden reasoning tokens per request',
+    },
+    reasoning_multiplier: {
+      type: 'number',
+      description: 'Reasoning tokens as a multiple of completion tokens (used when reasoning_tokens is not given)',
+    },
+    web_search_calls: {
+      type: 'number',
+      description: 'Web search calls per request',
+    },
+    images: {
+      type: 'number',
+      description: 'Images per request',
+    },
+  },
+};
+
+/**
+ * Input schema for sample text used in token estimation (shared by tools)
+ */
+const SAMPLE_SCHEMA = {
+  type: 'object',
+  description: 'Sample text to estimate per-request token counts from (instead of giving prompt_tokens / completion_tokens)',
+  properties: {
+    prompt_text: {
+      type: 'string',
+      description: 'Representative prompt text',
+    },
+    prompt_file: {
+      type: 'string',
+      description: 'Path to a file containing a representative prompt',
+    },
+    completion_text: {
+      type: 'string',
+      description: 'Representative expected output',
+    },
+    completion_file: {
+      type: 'string',
+      description: 'Path to a file containing a representative expected output',
+    },
+  },
+};
+
+/**
+ * Input schema for a saved usage profile reference (shared by tools)
+ */
+const PROFILE_SCHEMA = {
+  type: 'string',
+  description: 'Name of a saved usage profile (see usage_profiles) whose filters and workload apply under any given here',
+};
+
+/**
+ * Input schema for the text rendering of a result (shared by tools)
+ */
+const OUTPUT_FORMAT_SCHEMA = {
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  description: 'How to render the text result: "json" (default, indented), "compact" (single-line JSON), "markdown" (tables) or "csv". Structured content is always included',
+};
+
+/**
+ * Get list of available tools
+ */
+export function getToolsList() {
+  return [
+    {
+      name: 'get_model',
+      description: 'Get complete details for a specific model by ID, including API endpoint information and, optionally, the hosting providers that serve it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          model_id: {
+            type: 'string',
+            description: 'Model ID, canonical slug, or name to look up',
+          },
+          source: {
+            type: 'string',
+            description: 'Only look in this catalog source (e.g., "openrouter"). Searches all sources by default',
+          },
+          include_endpoints: {
+            type: 'boolean',
+            description: 'Also fetch the hosting providers that serve the model, with their prices, quantization, context limits and uptime',
+          },
+          output_format: OUTPUT_FORMAT_SCHEMA,
+        },
+        required: ['model_id'],
+      },
+      outputSchema: OUTPUT_SCHEMAS.get_model,
+    },
+    {
+      name: 'consider_models',
+      description: 'Explore, compare, and analyze models based on requirements. Handles filtering, searching, comparison, cost analysis, and recommendations, lists newly released models, and warns about models scheduled for removal.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          request: {
+            type: 'string',
+            description: 'Natural language description of what you need (e.g., "cheap instructional model", "models with vision", "compare Claude vs GPT")',
+          },
+          mode: {
+            type: 'string',
+            enum: ['explore', 'new_models'],
+            description: '"explore" (default) or "new_models": only models released in the last `days` days, newest first',
+          },
+          days: {
+            type: 'number',
+            description: 'Release window for the new_models mode (default: 7)',
+          },
+          profile: PROFILE_SCHEMA,
+          filters: LISTING_FILTERS_SCHEMA,
+          model_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Specific model IDs to compare (if comparing specific models)',
+          },
+          workload: WORKLOAD_SCHEMA,
+          sample: SAMPLE_SCHEMA,
+          max_results: {
+            type: 'number',
+            description: 'Maximum number of models per page (default: 10)',
+          },
+          cursor: {
+            type: 'string',
+            description: 'next_cursor from a previous result, to fetch the next page of the same query (repeat its other parameters unchanged)',
+          },
+          sort_by: {
+            type: 'string',
+            enum: ['price', 'context', 'created', 'name', 'relevance', 'quality', 'value'],
+            description: 'How to sort results ("quality": highest benchmark quality first, "value": lowest price per quality point first)',
+          },
+          save_as: {
+            type: 'string',
+            description: 'Save the returned models as a named shortlist (replacing one with the same name) to re-evaluate later with the shortlists tool',
+          },
+          shortlist_note: {
+            type: 'string',
+            description: 'Note stored with the saved shortlist',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+          output_format: OUTPUT_FORMAT_SCHEMA,
+        },
+        required: ['request'],
+      },
+      outputSchema: OUTPUT_SCHEMAS.consider_models,
+    },
+    {
+      name: 'recommend_model',
+      description: 'Recommend models for a use case. Applies hard requirements, then ranks candidates by weighted cost, context, recency and capability scores, with a score breakdown and justification for each pick.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          use_case: {
+            type: 'string',
+            description: 'What the model is for (e.g., "cheap chatbot with tool calling", "long document analysis")',
+          },
+          profile: PROFILE_SCHEMA,
+          requirements: {
+            ...FILTERS_SCHEMA,
+            description: 'Hard requirements; models that do not meet them are excluded',
+          },
+          required_features: {
+            type: 'array',
+            items: { type: 'string', enum: ['vision', 'tools', 'reasoning', 'structured_outputs'] },
+            description: 'Must-have features',
+          },
+          budget_constraint: {
+            type: 'number',
+            description: 'Maximum total cost per 1M tokens',
+          },
+          weights: {
+            type: 'object',
+            description: 'Relative importance of each criterion (normalized to sum to 1). Defaults: cost 0.4, context 0.2, recency 0.2, capabilities 0.2',
+            properties: {
+              cost: { type: 'number', description: 'Weight for low cost' },
+              context: { type: 'number', description: 'Weight for large context window' },
+              recency: { type: 'number', description: 'Weight for newer models' },
+              capabilities: { type: 'number', description: 'Weight for vision, tools, reasoning and structured outputs' },
+            },
+          },
+          workload: {
+            ...WORKLOAD_SCHEMA,
+            description: 'Optional workload; when given, cost is scored on the estimated workload cost',
+          },
+          max_results: {
+            type: 'number',
+            description: 'Size of the shortlist (default: 5)',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.recommend_model,
+    },
+    {
+      name: 'plan_budget',
+      description: 'Assign a model to each of several workloads under one monthly budget. Maximizes quality within the budget and reports per-workload costs, the slack or overspend, and the cost/quality trade-offs of switching models.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          budget: {
+            type: 'number',
+            description: 'Total monthly budget in USD across all workloads',
+          },
+          workloads: {
+            type: 'array',
+            description: 'Named workloads, each with its own requirements and volume',
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Unique workload name (e.g., "support chatbot")',
+                },
+                use_case: {
+                  type: 'string',
+                  description: 'Natural language requirements, parsed like recommend_model\'s use_case',
+                },
+                profile: {
+                  ...PROFILE_SCHEMA,
+                  description: 'Saved usage profile supplying this workload\'s requirements, volume and use case',
+                },
+                requirements: {
+                  ...FILTERS_SCHEMA,
+                  description: 'Hard requirements for this workload\'s model',
+                },
+                required_features: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['vision', 'tools', 'reasoning', 'structured_outputs'] },
+                  description: 'Must-have features',
+                },
+                workload: {
+                  ...WORKLOAD_SCHEMA,
+                  description: 'Token counts per request and request volume (requests_per_day or requests_per_month is required)',
+                },
+                priority: {
+                  type: 'number',
+                  description: 'Relative importance of this workload\'s quality (default: 1)',
+                },
+                min_quality: {
+                  type: 'number',
+                  description: 'Minimum quality score (0-100) a model needs for this workload: the benchmark composite when quality data is loaded (as in the min_quality filter), otherwise the capability score',
+                },
+              },
+              required: ['name', 'workload'],
+            },
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+        required: ['budget', 'workloads'],
+      },
+      outputSchema: OUTPUT_SCHEMAS.plan_budget,
+    },
+    {
+      name: 'get_model_alternatives',
+      description: 'Find substitutes for a model you already use (e.g., after a deprecation or price rise). Returns cheaper, equivalent and upgrade options with cost deltas and the constraints each one satisfies or violates.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          model_id: {
+            type: 'string',
+            description: 'Model currently in use (ID, canonical slug, or name)',
+          },
+          source: {
+            type: 'string',
+            description: 'Catalog source of the reference model',
+          },
+          min_context: {
+            type: 'number',
+            description: 'Minimum context length an alternative needs (default: the reference model\'s context length)',
+          },
+          profile: PROFILE_SCHEMA,
+          filters: {
+            ...FILTERS_SCHEMA,
+            description: 'Additional filters every alternative must pass',
+          },
+          workload: {
+            ...WORKLOAD_SCHEMA,
+            description: 'Workload used to compute cost deltas (default: compare total price per 1M tokens)',
+          },
+          max_per_category: {
+            type: 'number',
+            description: 'Maximum alternatives per category (default: 5)',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+        required: ['model_id'],
+      },
+      outputSchema: OUTPUT_SCHEMAS.get_model_alternatives,
+    },
+    {
+      name: 'estimate_tokens',
+      description: 'Estimate token counts from sample prompt and output text (inline or from files), per model tokenizer family, and optionally cost a workload with them. Marks which counts are exact and which are estimates.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...SAMPLE_SCHEMA.properties,
+          model_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Models to count and cost for (default: one row per tokenizer family)',
+          },
+          profile: PROFILE_SCHEMA,
+          workload: {
+            ...WORKLOAD_SCHEMA,
+            description: 'Request volume and other workload settings; token counts come from the sample unless given here',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.estimate_tokens,
+    },
+    {
+      name: 'replay_costs',
+      description: 'Re-price real traffic from a usage log (JSONL or CSV with model, prompt and completion tokens per call) against candidate models at current catalog prices. Reports actual versus replayed spend, savings per candidate and per logged model, and the logged calls that would exceed a candidate\'s context window or max completion tokens.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          log_file: {
+            type: 'string',
+            description: 'Path to a usage log export (.jsonl, .json or .csv)',
+          },
+          log_text: {
+            type: 'string',
+            description: 'Usage log content, instead of log_file',
+          },
+          format: {
+            type: 'string',
+            enum: LOG_FORMATS,
+            description: 'Log format (default: from the file extension, else the content)',
+          },
+          model_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Candidate models to replay the traffic on',
+          },
+          filters: {
+            ...FILTERS_SCHEMA,
+            description: 'Without model_ids: pick the cheapest models passing these filters that could serve every logged call',
+          },
+          max_candidates: {
+            type: 'number',
+            description: 'Candidates to return when picking by filters (default: 10)',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.replay_costs,
+    },
+    {
+      name: 'check_context_fit',
+      description: 'Estimate the token size of local files or directories (e.g. PDF-extracted text or a codebase) and report which models fit them in one call, leaving room for the expected output. For models that do not, reports how many chunks it takes and what all the calls cost.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          paths: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Files and directories to include (directories are read recursively, skipping hidden, dependency and binary files)',
+          },
+          text: {
+            type: 'string',
+            description: 'Inline text, instead of paths',
+          },
+          extensions: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only read files with these extensions from directories (e.g., [".js", ".md"])',
+          },
+          expected_output_tokens: {
+            type: 'number',
+            description: 'Output tokens expected per call (default: 1000)',
+          },
+          prompt_overhead_tokens: {
+            type: 'number',
+            description: 'Instruction tokens sent with every call, including every chunk (default: 0)',
+          },
+          model_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Models to check (default: every model passing filters)',
+          },
+          filters: FILTERS_SCHEMA,
+          max_results: {
+            type: 'number',
+            description: 'Models to return when checking by filters (default: 20)',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.check_context_fit,
+    },
+    {
+      name: 'model_changes',
+      description: 'Show how the model catalog has changed over time: added and removed models, price changes, and context or parameter changes. Use model_id for the price history of one model.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          since: {
+            type: 'string',
+            description: 'Only changes on or after this ISO date, or a duration such as "7d", "12h", "2w"',
+          },
+          until: {
+            type: 'string',
+            description: 'Only changes on or before this ISO date or duration',
+          },
+          model_id: {
+            type: 'string',
+            description: 'Only changes to this model ID (also returns its price history)',
+          },
+          source: {
+            type: 'string',
+            description: 'Only changes from this catalog source',
+          },
+          change_types: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['added', 'removed', 'pricing', 'context_length', 'max_completion_tokens', 'supported_parameters', 'modalities', 'expiration_date'],
+            },
+            description: 'Only these kinds of change',
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum number of changes to return, newest first (default: 100)',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Refresh the catalog before reading history',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.model_changes,
+    },
+    {
+      name: 'watched_models',
+      description: 'Flag the models you depend on and report their status: whether each is still in the catalog, deprecated or scheduled for removal, its current prices, and what changed since it was watched. Call with no arguments for a status report.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          add: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Models to start watching (ID, canonical slug, or name)',
+          },
+          remove: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Model IDs to stop watching',
+          },
+          note: {
+            type: 'string',
+            description: 'Why the added models matter (e.g., "production chatbot")',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Refresh the catalog before reporting',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.watched_models,
+    },
+    {
+      name: 'check_model_policy',
+      description: 'Check whether the team model policy (allow/deny lists, price ceilings, required capabilities) allows a model, and which rules it violates. Other tools already leave out models the policy excludes.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          model_id: {
+            type: 'string',
+            description: 'Model ID, canonical slug, or name to check',
+          },
+          source: {
+            type: 'string',
+            description: 'Only check the model from this catalog source',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+        required: ['model_id'],
+      },
+      outputSchema: OUTPUT_SCHEMAS.check_model_policy,
+    },
+    {
+      name: 'usage_profiles',
+      description: 'Save named usage profiles (filters, workload and use case for one product, e.g. "support-bot") that any tool applies when called with `profile`. Call with no arguments to list them.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          save: {
+            type: 'object',
+            description: 'Profile to save, replacing one with the same name',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name (e.g., "support-bot")',
+              },
+              description: {
+                type: 'string',
+                description: 'What the profile is for',
+              },
+              use_case: {
+                type: 'string',
+                description: 'Natural language requirements, used by recommend_model and plan_budget',
+              },
+              filters: {
+                ...FILTERS_SCHEMA,
+                description: 'Filters (requirements) applied to every call using the profile',
+              },
+              workload: WORKLOAD_SCHEMA,
+            },
+            required: ['name'],
+          },
+          delete: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Profile names to delete',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.usage_profiles,
+    },
+    {
+      name: 'shortlists',
+      description: 'List model shortlists saved with consider_models (save_as), or re-evaluate one by name to show how each model\'s cost and cost ranking moved since it was saved, and which models were removed or deprecated.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Shortlist to re-evaluate against the current catalog',
+          },
+          delete: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Shortlist names to delete',
+          },
+          force_refresh: {
+            type: 'boolean',
+            description: 'Force refresh cache (bypass 10-minute cache)',
+          },
+        },
+      },
+      outputSchema: OUTPUT_SCHEMAS.shortlists,
+    },
+  ];
+}
+
+/**
+ * Build a tool result: text in the requested output format, plus structured content
+ */
+function toolResult(result, format, renderers) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: renderResult(result, format, renderers),
+      },
+    ],
+    structuredContent: JSON.parse(JSON.stringify(result)),
+  };
+}
+
+/**
+ * Progress listener sending MCP progress notifications, when the client gave a
+ * progress token with the call
+ */
+function progressListener(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined || !extra?.sendNotification) {
+    return undefined;
+  }
+  return ({ progress, total, message }) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message },
+    }).catch(() => {});
+  };
+}
+
+/**
+ * Handle tool calls
+ *
+ * `extra` is the request context from the MCP server; when the call carries a
+ * progress token, slow steps (catalog refreshes, endpoint lookups) report
+ * progress through it.
+ */
+export async function handleToolCall(request, extra) {
+  try {
+    const { name, arguments: args } = request.params;
+    return await withProgress(progressListener(request, extra), () => callTool(name, args));
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Run a tool by name
+ */
+async function callTool(name, args) {
+  switch (name) {
+    case 'get_model': {
+      const result = await getModel(args.model_id, args.source, args.include_endpoints);
+      return toolResult(result, args.output_format, { markdown: renderModelMarkdown, csv: renderModelCsv });
+    }
+
+    case 'consider_models': {
+      const result = await considerModels(args);
+      return toolResult(result, args.output_format, { markdown: renderModelListMarkdown, csv: renderModelListCsv });
+    }
+
+    case 'recommend_model':
+      return toolResult(await recommendModel(args));
+
+    case 'plan_budget':
+      return toolResult(await planBudget(args));
+
+    case 'get_model_alternatives':
+      return toolResult(await getModelAlternatives(args));
+
+    case 'estimate_tokens':
+      return toolResult(await estimateTokens(args));
+
+    case 'replay_costs':
+      return toolResult(await replayCosts(args));
+
+    case 'check_context_fit':
+      return toolResult(await checkContextFit(args));
+
+    case 'model_changes':
+      return toolResult(await modelChanges(args));
+
+    case 'watched_models':
+      return toolResult(await watchedModels(args));
+
+    case 'check_model_policy':
+      return toolResult(await checkModelPolicy(args));
+
+    case 'usage_profiles':
+      return toolResult(await usageProfiles(args));
+
+    case 'shortlists':
+      return toolResult(await shortlists(args));
+
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
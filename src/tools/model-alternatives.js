@@ -0,0 +1,191 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { applyFilters } from '../filters.js';
+import { formatModelData, getCapabilities } from '../models.js';
+import { applyPolicy, policyReport } from '../policy.js';
+import { withProfile } from '../profiles.js';
+import { findModel } from '../search.js';
+
+const EQUIVALENT_COST_TOLERANCE = 0.1; // within ±10% counts as equivalent
+
+/**
+ * Build the constraints an alternative must meet to replace a reference model
+ */
+function buildAlternativeConstraints(reference, params) {
+  const refCaps = getCapabilities(reference);
+  const minContext = params.min_context ?? reference.context_length;
+  const constraints = [];
+
+  if (minContext) {
+    constraints.push({
+      name: 'context',
+      description: `context window of at least ${minContext.toLocaleString()} tokens`,
+      filters: { min_context: minContext },
+    });
+  }
+
+  const capabilityFilters = {
+    vision: { has_vision: true },
+    tools: { has_tools: true },
+    reasoning: { has_reasoning: true },
+  };
+  for (const cap of refCaps) {
+    constraints.push({
+      name: `capability:${cap}`,
+      description: `supports ${cap}`,
+      filters: capabilityFilters[cap],
+      check: capabilityFilters[cap] ? undefined : m => getCapabilities(m).includes(cap),
+    });
+  }
+
+  const refInputs = reference.architecture?.input_modalities || [];
+  const refOutputs = reference.architecture?.output_modalities || [];
+  constraints.push({
+    name: 'modalities',
+    description: `accepts ${refInputs.join('/')} input and produces ${refOutputs.join('/')} output`,
+    check: m => refInputs.every(x => m.architecture?.input_modalities?.includes(x)) &&
+      refOutputs.every(x => m.architecture?.output_modalities?.includes(x)),
+  });
+
+  return constraints;
+}
+
+/**
+ * Cost of a model for comparison: workload cost when given, otherwise total per 1M tokens
+ */
+function comparableCost(formatted, workload) {
+  if (!formatted.pricing.available) {
+    return undefined;
+  }
+  if (workload) {
+    const cost = calculateCost(formatted, workload);
+    return cost.total;
+  }
+  return formatted.pricing.total_per_1m;
+}
+
+/**
+ * Tool: get_model_alternatives
+ */
+export async function getModelAlternatives(params) {
+  params = await withProfile(params);
+  const { models: rawModels, freshness } = await fetchModels(params.force_refresh);
+  const reference = findModel(rawModels, params.model_id, params.source)[0];
+  const refFormatted = formatModelData(reference);
+  const refCost = comparableCost(refFormatted, params.workload);
+  const refCaps = getCapabilities(reference);
+
+  if (refCost === undefined) {
+    throw new Error(`No pricing available for ${reference.id} (source: ${reference.source.name}); cannot compare costs`);
+  }
+
+  const constraints = buildAlternativeConstraints(reference, params);
+  // The reference may be any model, but only models the team policy allows are suggested
+  const { allowed, excluded } = applyPolicy(rawModels);
+  const candidates = applyFilters(allowed, params.filters || {})
+    .filter(m => !(m.id === reference.id && m.source.name === reference.source.name));
+
+  const alternatives = { cheaper: [], equivalent: [], upgrade: [] };
+  const nearMisses = [];
+  let excludedCostlier = 0;
+
+  for (const model of candidates) {
+    const formatted = formatModelData(model);
+    const cost = comparableCost(formatted, params.workload);
+    if (cost === undefined) {
+      continue;
+    }
+
+    const satisfied = [];
+    const violated = [];
+    for (const constraint of constraints) {
+      const ok = constraint.filters ?
+        applyFilters([model], constraint.filters).length === 1 :
+        constraint.check(model);
+      (ok ? satisfied : violated).push(constraint.description);
+    }
+
+    const caps = getCapabilities(model);
+    const extraCaps = caps.filter(c => !refCaps.includes(c));
+    const difference = cost - refCost;
+    const entry = {
+      id: model.id,
+      name: model.name,
+      provider: model.provider,
+      source: model.source.name,
+      context_length: model.context_length,
+      capabilities: caps,
+      pricing: {
+        total_per_1m: formatted.pricing.total_per_1m,
+      },
+      cost_delta: {
+        basis: params.workload ? 'workload' : 'total_per_1m',
+        reference: refCost,
+        alternative: cost,
+        difference,
+        percent: refCost > 0 ? Math.round((difference / refCost) * 10000) / 100 : undefined,
+      },
+      constraints: { satisfied, violated },
+    };
+
+    if (violated.length === 1 && difference < 0) {
+      nearMisses.push(entry);
+      continue;
+    }
+    if (violated.length > 0) {
+      continue;
+    }
+
+    const gains = [
+      ...extraCaps.map(c => `adds ${c}`),
+      ...(model.context_length > reference.context_length ?
+        [`larger context (${model.context_length.toLocaleString()} vs ${reference.context_length.toLocaleString()})`] : []),
+    ];
+
+    if (refCost > 0 ? difference < -EQUIVALENT_COST_TOLERANCE * refCost : false) {
+      alternatives.cheaper.push({ ...entry, category: 'cheaper', gains });
+    } else if (gains.length > 0) {
+      alternatives.upgrade.push({ ...entry, category: 'upgrade', gains });
+    } else if (refCost > 0 ? Math.abs(difference) <= EQUIVALENT_COST_TOLERANCE * refCost : difference === 0) {
+      alternatives.equivalent.push({ ...entry, category: 'equivalent', gains });
+    } else {
+      excludedCostlier++;
+    }
+  }
+
+  const byCost = (a, b) => a.cost_delta.alternative - b.cost_delta.alternative;
+  const byGains = (a, b) => b.gains.length - a.gains.length || byCost(a, b);
+  const limit = params.max_per_category || 5;
+
+  return {
+    reference: {
+      id: reference.id,
+      name: reference.name,
+      source: reference.source.name,
+      context_length: reference.context_length,
+      capabilities: refCaps,
+      input_modalities: reference.architecture?.input_modalities || [],
+      output_modalities: reference.architecture?.output_modalities || [],
+      pricing: { total_per_1m: refFormatted.pricing.total_per_1m },
+      cost: refCost,
+      estimated_cost: params.workload ? calculateCost(refFormatted, params.workload) : undefined,
+    },
+    constraints: constraints.map(c => c.description),
+    alternatives: {
+      cheaper: alternatives.cheaper.sort(byCost).slice(0, limit),
+      equivalent: alternatives.equivalent.sort(byCost).slice(0, limit),
+      upgrade: alternatives.upgrade.sort(byGains).slice(0, limit),
+    },
+    near_misses: nearMisses.sort(byCost).slice(0, limit),
+    summary: {
+      candidates_checked: candidates.length,
+      cheaper: alternatives.cheaper.length,
+      equivalent: alternatives.equivalent.length,
+      upgrade: alternatives.upgrade.length,
+      near_misses: nearMisses.length,
+      excluded_costlier_without_gains: excludedCostlier,
+    },
+    policy: policyReport(excluded.filter(e => e.model !== reference)),
+    data_freshness: freshness,
+  };
+}
@@ -0,0 +1,100 @@
+import { fetchModels } from '../catalog.js';
+import { parseSince, pricingSummary, readHistory } from '../history.js';
+
+/**
+ * Tool: model_changes
+ */
+export async function modelChanges(params = {}) {
+  // Refresh first so the history includes the latest catalog
+  let refreshError;
+  let models = [];
+  try {
+    ({ models } = await fetchModels(params.force_refresh));
+  } catch (error) {
+    refreshError = error.message;
+  }
+
+  const history = await readHistory();
+  const since = params.since ? parseSince(params.since) : undefined;
+  const until = params.until ? parseSince(params.until) : undefined;
+  const changeTypes = params.change_types?.length ? params.change_types : undefined;
+  const modelId = params.model_id?.toLowerCase();
+
+  const baselines = history.filter(e => e.change === 'baseline');
+  const matching = history.filter(e => {
+    const time = new Date(e.timestamp).getTime();
+    return e.change !== 'baseline' &&
+      (since === undefined || time >= since) &&
+      (until === undefined || time <= until) &&
+      (!changeTypes || changeTypes.includes(e.change)) &&
+      (!modelId || e.model_id.toLowerCase() === modelId) &&
+      (!params.source || e.source.toLowerCase() === params.source.toLowerCase());
+  });
+
+  const summary = {};
+  for (const e of matching) {
+    summary[e.change] = (summary[e.change] || 0) + 1;
+  }
+
+  const limit = params.limit || 100;
+  const newestFirst = [...matching].reverse();
+
+  const response = {
+    query: {
+      since: since !== undefined ? new Date(since).toISOString() : undefined,
+      until: until !== undefined ? new Date(until).toISOString() : undefined,
+      model_id: params.model_id,
+      source: params.source,
+      change_types: changeTypes,
+    },
+    tracking_since: baselines.length > 0 ? baselines[0].timestamp : undefined,
+    total_changes: matching.length,
+    summary,
+    changes: newestFirst.slice(0, limit).map(e => ({
+      ...e,
+      old_per_1m: e.change === 'pricing' && e.old !== undefined ? e.old * 1_000_000 : undefined,
+      new_per_1m: e.change === 'pricing' && e.new !== undefined ? e.new * 1_000_000 : undefined,
+    })),
+    changes_returned: Math.min(limit, matching.length),
+    refresh_error: refreshError,
+  };
+
+  // Price history: walk back from current pricing so every point carries full prices
+  if (params.model_id) {
+    const events = history.filter(e => e.model_id?.toLowerCase() === modelId);
+    const model = models.find(m => m.id.toLowerCase() === modelId);
+    let state = model ? pricingSummary(model.pricing) : {};
+    const timeline = [];
+
+    for (const e of [...events].reverse()) {
+      if (e.change === 'pricing') {
+        timeline.push({ timestamp: e.timestamp, source: e.source, event: `${e.field} price change`, pricing: { ...state } });
+        if (e.old === undefined) {
+          delete state[e.field];
+        } else {
+          state[e.field] = e.old;
+        }
+      } else if (e.change === 'added') {
+        timeline.push({ timestamp: e.timestamp, source: e.source, event: 'added', pricing: { ...state } });
+        state = {};
+      } else if (e.change === 'removed') {
+        state = { ...e.pricing };
+        timeline.push({ timestamp: e.timestamp, source: e.source, event: 'removed', pricing: {} });
+      }
+    }
+
+    const firstEvent = timeline[timeline.length - 1];
+    if ((model || events.length > 0) && firstEvent?.event !== 'added') {
+      const sourceName = model?.source.name || events[0].source;
+      const baseline = baselines.find(b => b.source === sourceName);
+      if (baseline) {
+        timeline.push({ timestamp: baseline.timestamp, source: sourceName, event: 'tracking started', pricing: state });
+      }
+    }
+
+    timeline.reverse();
+    response.price_history = timeline;
+  }
+
+  return response;
+}
@@ -0,0 +1,1021 @@
+/**
+ * Output schemas for each tool's structuredContent.
+ * Fields a result may omit are left out of `required`
+ */
+
+const FRESHNESS_SCHEMA = {
+  type: 'object',
+  description: 'Where the catalog data came from and how old it is',
+  properties: {
+    origin: { type: 'string', enum: ['live', 'snapshot', 'mixed'] },
+    offline_mode: { type: 'boolean' },
+    fetched_at: { type: 'string', description: 'ISO timestamp of the oldest source fetch' },
+    age_seconds: { type: 'number' },
+    stale: { type: 'boolean' },
+  },
+};
+
+const SOURCES_SCHEMA = {
+  type: 'array',
+  description: 'Status of each catalog source',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string' },
+      model_count: { type: 'number' },
+      origin: { type: 'string' },
+      fetched_at: { type: 'number' },
+      error: { type: 'string' },
+    },
+    required: ['name', 'type'],
+  },
+};
+
+const PRICE_SUMMARY_SCHEMA = {
+  type: 'object',
+  description: 'Prices in USD per 1M tokens',
+  properties: {
+    prompt_per_1m: { type: 'number' },
+    completion_per_1m: { type: 'number' },
+    total_per_1m: { type: 'number' },
+  },
+};
+
+const COST_SCHEMA = {
+  type: 'object',
+  description: 'Estimated workload cost in USD',
+  properties: {
+    total: { type: 'number', description: 'Monthly cost when a request volume is given, otherwise cost per request' },
+    basis: { type: 'string', enum: ['monthly', 'per_request'] },
+    per_request: { type: 'number' },
+    daily: { type: 'number' },
+    monthly: { type: 'number' },
+    annual: { type: 'number' },
+    breakdown: {
+      type: 'object',
+      description: 'Cost per line item (prompt, completion, cache_read, cache_write, reasoning, web_search, images, request_fee)',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          quantity: { type: 'number' },
+          unit: { type: 'string' },
+          unit_price: { type: 'number' },
+          per_request: { type: 'number' },
+          daily: { type: 'number' },
+          monthly: { type: 'number' },
+          annual: { type: 'number' },
+        },
+      },
+    },
+    notes: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['total', 'basis', 'per_request'],
+};
+
+const TOKEN_ESTIMATE_SCHEMA = {
+  type: 'object',
+  description: 'Per-request token counts from sample text',
+  properties: {
+    tokenizer: { type: 'string' },
+    method: { type: 'string' },
+    exact: { type: 'boolean' },
+    prompt_tokens: { type: 'number' },
+    completion_tokens: { type: 'number' },
+  },
+};
+
+const QUALITY_SCHEMA = {
+  type: 'object',
+  description: 'Benchmark quality data from the configured quality files',
+  properties: {
+    score: { type: 'number', description: 'Composite quality score (0-100)' },
+    benchmarks: { type: 'object', additionalProperties: { type: 'number' }, description: 'Raw benchmark scores' },
+    sources: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const ENDPOINT_SCHEMA = {
+  type: 'object',
+  description: 'One host serving the model',
+  properties: {
+    provider: { type: 'string' },
+    name: { type: 'string' },
+    tag: { type: 'string' },
+    quantization: { type: 'string', description: 'Weight precision (e.g., fp8, bf16), when the host reports it' },
+    context_length: { type: 'number' },
+    max_completion_tokens: { type: 'number' },
+    max_prompt_tokens: { type: 'number' },
+    pricing: {
+      type: 'object',
+      description: 'Prices in USD per 1M tokens, plus any per-request fee',
+      properties: {
+        prompt_per_1m: { type: 'number' },
+        completion_per_1m: { type: 'number' },
+        total_per_1m: { type: 'number' },
+        cache_read_per_1m: { type: 'number' },
+        request: { type: 'number' },
+      },
+    },
+    uptime_last_30m: { type: 'number', description: 'Percentage of successful requests over the last 30 minutes' },
+    status: { type: 'number' },
+    supported_parameters: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const LIFECYCLE_SCHEMA = {
+  type: 'object',
+  description: 'Release, deprecation and removal dates',
+  properties: {
+    status: { type: 'string', enum: ['active', 'deprecated', 'scheduled_for_removal', 'expired'] },
+    released: { type: 'string', description: 'Release date (YYYY-MM-DD)' },
+    age_days: { type: 'number' },
+    deprecated: { type: 'boolean' },
+    deprecation_date: { type: 'string' },
+    expiration_date: { type: 'string', description: 'Date the model is removed (YYYY-MM-DD)' },
+    days_until_expiration: { type: 'number' },
+  },
+  required: ['status'],
+};
+
+const POLICY_VIOLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    policy: { type: 'string' },
+    rule: { type: 'string' },
+    reason: { type: 'string' },
+  },
+  required: ['policy', 'rule', 'reason'],
+};
+
+const POLICY_REPORT_SCHEMA = {
+  type: 'object',
+  description: 'Team policies in force and the matching models they excluded (present only when a policy is configured)',
+  properties: {
+    policies: { type: 'array', items: { type: 'string' } },
+    excluded_count: { type: 'number' },
+    excluded: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          source: { type: 'string' },
+          violations: { type: 'array', items: POLICY_VIOLATION_SCHEMA },
+        },
+      },
+    },
+  },
+  required: ['policies', 'excluded_count', 'excluded'],
+};
+
+const MODEL_POLICY_SCHEMA = {
+  type: 'object',
+  description: 'Whether the team policy allows the model (present only when a policy is configured)',
+  properties: {
+    allowed: { type: 'boolean' },
+    violations: { type: 'array', items: POLICY_VIOLATION_SCHEMA },
+  },
+  required: ['allowed', 'violations'],
+};
+
+const SHORTLIST_POSITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    rank: { type: 'number', description: 'Position by cost, cheapest first (unpriced models are not ranked)' },
+    cost: { type: 'number' },
+    total_per_1m: { type: 'number' },
+  },
+};
+
+const CAPABILITIES_SCHEMA = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Derived capabilities (vision, multimodal, tools, reasoning, structured_outputs)',
+};
+
+const TABLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    headers: { type: 'array', items: { type: 'string' } },
+    rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } },
+  },
+  required: ['headers', 'rows'],
+};
+
+const MODEL_SUMMARY_PROPERTIES = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  provider: { type: 'string' },
+  source: { type: 'string' },
+  context_length: { type: 'number' },
+  capabilities: CAPABILITIES_SCHEMA,
+};
+
+const ALTERNATIVE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...MODEL_SUMMARY_PROPERTIES,
+    pricing: PRICE_SUMMARY_SCHEMA,
+    cost_delta: {
+      type: 'object',
+      properties: {
+        basis: { type: 'string' },
+        reference: { type: 'number' },
+        alternative: { type: 'number' },
+        difference: { type: 'number' },
+        percent: { type: 'number' },
+      },
+    },
+    constraints: {
+      type: 'object',
+      properties: {
+        satisfied: { type: 'array', items: { type: 'string' } },
+        violated: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    category: { type: 'string', enum: ['cheaper', 'equivalent', 'upgrade'] },
+    gains: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['id', 'name'],
+};
+
+const PLAN_MODEL_PROPERTIES = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  provider: { type: 'string' },
+  source: { type: 'string' },
+};
+
+export const OUTPUT_SCHEMAS = {
+  get_model: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      canonical_slug: { type: 'string' },
+      name: { type: 'string' },
+      provider: { type: 'string' },
+      source: { type: 'string' },
+      source_type: { type: 'string' },
+      api_endpoint: { type: 'string' },
+      api_format: { type: 'string' },
+      hugging_face_id: { type: 'string' },
+      context_length: { type: 'number' },
+      max_completion_tokens: { type: 'number' },
+      created: { type: 'string' },
+      description: { type: 'string' },
+      modality: { type: 'string' },
+      input_modalities: { type: 'array', items: { type: 'string' } },
+      output_modalities: { type: 'array', items: { type: 'string' } },
+      supported_parameters: { type: 'array', items: { type: 'string' } },
+      pricing: {
+        type: 'object',
+        description: 'Prices in USD; *_per_1m fields are per 1M tokens, the rest per token, call, image or request',
+        properties: {
+          prompt: { type: 'number' },
+          completion: { type: 'number' },
+          prompt_per_1m: { type: 'number' },
+          completion_per_1m: { type: 'number' },
+          total_per_1m: { type: 'number' },
+          request: { type: 'number' },
+          image: { type: 'number' },
+          web_search: { type: 'number' },
+          internal_reasoning: { type: 'number' },
+          has_caching: { type: 'boolean' },
+          cache_read_per_1m: { type: 'number' },
+          cache_write_per_1m: { type: 'number' },
+          available: { type: 'boolean', description: 'False when the source lists no prices' },
+        },
+      },
+      is_moderated: { type: 'boolean' },
+      is_free: { type: 'boolean' },
+      lifecycle: LIFECYCLE_SCHEMA,
+      lifecycle_warning: { type: 'string' },
+      quality: QUALITY_SCHEMA,
+      matched_by_search: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          score: { type: 'number' },
+          did_you_mean: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      endpoints: {
+        type: 'array',
+        description: 'Hosts serving the model, cheapest first (with include_endpoints)',
+        items: ENDPOINT_SCHEMA,
+      },
+      endpoint_summary: {
+        type: 'object',
+        properties: {
+          provider_count: { type: 'number' },
+          quantizations: { type: 'array', items: { type: 'string' } },
+          cheapest_provider: { type: 'string' },
+          largest_context_provider: { type: 'string' },
+        },
+      },
+      endpoints_error: { type: 'string', description: 'Why endpoints could not be listed' },
+      also_available_from: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            api_endpoint: { type: 'string' },
+            pricing: { type: 'object' },
+          },
+        },
+      },
+      policy: MODEL_POLICY_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['id', 'name', 'provider', 'source', 'pricing'],
+  },
+
+  consider_models: {
+    type: 'object',
+    properties: {
+      profile: { type: 'string', description: 'Usage profile applied to the request' },
+      interpretation: {
+        type: 'object',
+        properties: {
+          understood_as: { type: 'string' },
+          applied_filters: { type: 'object' },
+          search_strategy: { type: 'string' },
+          search_terms: { type: 'array', items: { type: 'string' } },
+          constraints: { type: 'array', items: { type: 'object' } },
+          unparsed: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      models: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...MODEL_SUMMARY_PROPERTIES,
+            pricing: PRICE_SUMMARY_SCHEMA,
+            is_free: { type: 'boolean' },
+            quality_score: { type: 'number' },
+            price_per_quality_point: { type: 'number', description: 'Total price per 1M tokens divided by the quality score' },
+            lifecycle_status: { type: 'string', description: 'Set when the model is not active' },
+            released: { type: 'string' },
+            provider_count: { type: 'number', description: 'Hosting providers (when endpoint filters were used)' },
+            quantizations: { type: 'array', items: { type: 'string' } },
+            token_estimate: TOKEN_ESTIMATE_SCHEMA,
+            estimated_cost: COST_SCHEMA,
+          },
+          required: ['id', 'name', 'pricing'],
+        },
+      },
+      quality_note: { type: 'string' },
+      endpoint_note: { type: 'string' },
+      lifecycle_warnings: { type: 'array', items: { type: 'string' } },
+      total_models_found: { type: 'number' },
+      models_returned: { type: 'number' },
+      offset: { type: 'number', description: 'Position of the first returned model in the full result (when paging with a cursor)' },
+      next_cursor: { type: 'string', description: 'Pass as cursor to fetch the next page; absent on the last page' },
+      snapshot_id: { type: 'string', description: 'Catalog snapshot the results were listed from; cursors only work while it is current' },
+      sources: SOURCES_SCHEMA,
+      policy: POLICY_REPORT_SCHEMA,
+      saved_shortlist: { type: 'string', description: 'Name the returned models were saved under (with save_as)' },
+      data_freshness: FRESHNESS_SCHEMA,
+      cache_age: { type: 'number', description: 'Cache age in seconds' },
+      comparison: {
+        type: 'object',
+        description: 'Side-by-side tables when specific models are compared',
+        properties: {
+          pricing: TABLE_SCHEMA,
+          capabilities: TABLE_SCHEMA,
+          quality: TABLE_SCHEMA,
+          cost_estimate: { ...TABLE_SCHEMA, properties: { ...TABLE_SCHEMA.properties, cheapest: { type: 'string' } } },
+          summary: {
+            type: 'object',
+            properties: {
+              cheapest: { type: 'string' },
+              highest_context: { type: 'string' },
+              most_capable: { type: 'string' },
+              highest_quality: { type: 'string' },
+              best_value: { type: 'string' },
+            },
+          },
+        },
+      },
+      cost_analysis: {
+        type: 'object',
+        properties: {
+          cheapest_option: { type: 'object', properties: { id: { type: 'string' }, cost: { type: 'number' } } },
+          most_expensive_option: { type: 'object', properties: { id: { type: 'string' }, cost: { type: 'number' } } },
+          potential_savings: { type: 'number' },
+        },
+      },
+    },
+    required: ['interpretation', 'models', 'total_models_found', 'models_returned'],
+  },
+
+  recommend_model: {
+    type: 'object',
+    properties: {
+      interpretation: {
+        type: 'object',
+        properties: {
+          use_case: { type: 'string' },
+          hard_requirements: { type: 'object' },
+          weights: {
+            type: 'object',
+            properties: {
+              cost: { type: 'number' },
+              context: { type: 'number' },
+              recency: { type: 'number' },
+              capabilities: { type: 'number' },
+            },
+          },
+        },
+      },
+      candidates_considered: { type: 'number' },
+      policy: POLICY_REPORT_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rank: { type: 'number' },
+            ...MODEL_SUMMARY_PROPERTIES,
+            score: { type: 'number', description: 'Weighted score out of 100' },
+            score_breakdown: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  score: { type: 'number' },
+                  weight: { type: 'number' },
+                  contribution: { type: 'number' },
+                },
+              },
+            },
+            pricing: PRICE_SUMMARY_SCHEMA,
+            estimated_cost: COST_SCHEMA,
+            justification: { type: 'string' },
+          },
+          required: ['rank', 'id', 'score'],
+        },
+      },
+      note: { type: 'string', description: 'Set when no model meets the hard requirements' },
+    },
+    required: ['interpretation', 'candidates_considered'],
+  },
+
+  plan_budget: {
+    type: 'object',
+    properties: {
+      budget: {
+        type: 'object',
+        properties: {
+          monthly_budget: { type: 'number' },
+          planned_monthly_cost: { type: 'number' },
+          slack: { type: 'number', description: 'Unspent budget' },
+          overspend: { type: 'number', description: 'Amount over budget when no plan fits' },
+          utilization_percent: { type: 'number' },
+          within_budget: { type: 'boolean' },
+        },
+        required: ['monthly_budget', 'planned_monthly_cost', 'within_budget'],
+      },
+      assignments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            workload: { type: 'string' },
+            model: { type: 'object', properties: PLAN_MODEL_PROPERTIES, required: ['id'] },
+            quality_score: { type: 'number' },
+            monthly_cost: { type: 'number' },
+            share_of_budget: { type: 'number', description: 'Percent of the budget' },
+            estimated_cost: COST_SCHEMA,
+            requirements: { type: 'object' },
+            candidates_considered: { type: 'number' },
+            cheaper_option: {
+              type: 'object',
+              properties: {
+                ...PLAN_MODEL_PROPERTIES,
+                quality_score: { type: 'number' },
+                monthly_cost: { type: 'number' },
+                savings: { type: 'number' },
+                quality_loss: { type: 'number' },
+              },
+            },
+            upgrade_option: {
+              type: 'object',
+              properties: {
+                ...PLAN_MODEL_PROPERTIES,
+                quality_score: { type: 'number' },
+                monthly_cost: { type: 'number' },
+                extra_cost: { type: 'number' },
+                quality_gain: { type: 'number' },
+              },
+            },
+          },
+          required: ['workload', 'model', 'quality_score', 'monthly_cost'],
+        },
+      },
+      plans: {
+        type: 'object',
+        description: 'Total cost and weighted quality of the chosen, cheapest and highest-quality plans',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            monthly_cost: { type: 'number' },
+            quality_score: { type: 'number' },
+          },
+        },
+      },
+      trade_offs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            workload: { type: 'string' },
+            change: { type: 'string', enum: ['upgrade', 'downgrade'] },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            monthly_cost_change: { type: 'number' },
+            quality_change: { type: 'number' },
+            description: { type: 'string' },
+          },
+        },
+      },
+      quality_basis: { type: 'string' },
+      notes: { type: 'array', items: { type: 'string' } },
+      policy: POLICY_REPORT_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['budget', 'assignments', 'plans', 'trade_offs'],
+  },
+
+  get_model_alternatives: {
+    type: 'object',
+    properties: {
+      reference: {
+        type: 'object',
+        properties: {
+          ...MODEL_SUMMARY_PROPERTIES,
+          input_modalities: { type: 'array', items: { type: 'string' } },
+          output_modalities: { type: 'array', items: { type: 'string' } },
+          pricing: PRICE_SUMMARY_SCHEMA,
+          cost: { type: 'number' },
+        },
+        required: ['id'],
+      },
+      constraints: { type: 'array', items: { type: 'string' }, description: 'Constraints every alternative is checked against' },
+      alternatives: {
+        type: 'object',
+        properties: {
+          cheaper: { type: 'array', items: ALTERNATIVE_SCHEMA },
+          equivalent: { type: 'array', items: ALTERNATIVE_SCHEMA },
+          upgrade: { type: 'array', items: ALTERNATIVE_SCHEMA },
+        },
+        required: ['cheaper', 'equivalent', 'upgrade'],
+      },
+      near_misses: { type: 'array', items: ALTERNATIVE_SCHEMA },
+      summary: { type: 'object' },
+      policy: POLICY_REPORT_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['reference', 'alternatives'],
+  },
+
+  estimate_tokens: {
+    type: 'object',
+    properties: {
+      characters: {
+        type: 'object',
+        properties: {
+          prompt: { type: 'number' },
+          completion: { type: 'number' },
+        },
+      },
+      models: {
+        type: 'array',
+        description: 'Counts and costs per requested model',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            ...TOKEN_ESTIMATE_SCHEMA.properties,
+            estimated_cost: COST_SCHEMA,
+          },
+          required: ['id', 'exact'],
+        },
+      },
+      by_tokenizer: {
+        type: 'array',
+        description: 'Counts per tokenizer family when no models were given',
+        items: { ...TOKEN_ESTIMATE_SCHEMA, required: ['tokenizer', 'exact'] },
+      },
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['characters'],
+  },
+
+  replay_costs: {
+    type: 'object',
+    properties: {
+      log: {
+        type: 'object',
+        properties: {
+          file: { type: 'string' },
+          format: { type: 'string' },
+          calls: { type: 'number', description: 'Usable logged calls' },
+          prompt_tokens: { type: 'number' },
+          completion_tokens: { type: 'number' },
+          cached_tokens: { type: 'number' },
+          period: {
+            type: 'object',
+            properties: {
+              from: { type: 'string' },
+              to: { type: 'string' },
+            },
+          },
+          skipped_count: { type: 'number' },
+          skipped: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                call: { type: 'number', description: 'Position in the log, from 1' },
+                reason: { type: 'string' },
+              },
+            },
+          },
+        },
+        required: ['calls'],
+      },
+      actual: {
+        type: 'object',
+        description: 'Spend on the logged models: logged costs where present, else their current catalog price',
+        properties: {
+          total: { type: 'number' },
+          unpriced_calls: { type: 'number' },
+          by_model: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                model: { type: 'string', description: 'Model name as logged' },
+                catalog_id: { type: 'string' },
+                calls: { type: 'number' },
+                prompt_tokens: { type: 'number' },
+                completion_tokens: { type: 'number' },
+                cached_tokens: { type: 'number' },
+                cost: { type: 'number' },
+                basis: { type: 'string', enum: ['logged', 'catalog_pricing', 'mixed', 'unpriced'] },
+                unpriced_calls: { type: 'number' },
+              },
+            },
+          },
+        },
+        required: ['total', 'by_model'],
+      },
+      candidates: {
+        type: 'array',
+        description: 'Candidates, cheapest replayed cost first',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            source: { type: 'string' },
+            context_length: { type: 'number' },
+            max_completion_tokens: { type: 'number' },
+            replayed_cost: { type: 'number' },
+            savings: { type: 'number', description: 'Actual minus replayed cost (negative: the candidate costs more)' },
+            savings_percent: { type: 'number' },
+            breakdown: { type: 'object', additionalProperties: { type: 'number' }, description: 'Replayed cost per pricing component' },
+            by_logged_model: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  model: { type: 'string' },
+                  calls: { type: 'number' },
+                  actual: { type: 'number' },
+                  replayed: { type: 'number' },
+                  savings: { type: 'number' },
+                },
+              },
+            },
+            calls_exceeding_context: { type: 'number' },
+            calls_exceeding_max_completion: { type: 'number' },
+            exceeding_examples: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  call: { type: 'number' },
+                  model: { type: 'string' },
+                  prompt_tokens: { type: 'number' },
+                  completion_tokens: { type: 'number' },
+                  limit: { type: 'string', enum: ['context_length', 'max_completion_tokens'] },
+                },
+              },
+            },
+          },
+          required: ['id', 'replayed_cost'],
+        },
+      },
+      cheapest_fit: { type: 'string', description: 'Cheapest candidate that could serve every logged call' },
+      notes: { type: 'array', items: { type: 'string' } },
+      policy: POLICY_REPORT_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['log', 'actual', 'candidates'],
+  },
+
+  check_context_fit: {
+    type: 'object',
+    properties: {
+      documents: {
+        type: 'object',
+        properties: {
+          files: { type: 'number' },
+          characters: { type: 'number' },
+          tokens: { type: 'number', description: 'Token count with the o200k_base tokenizer; each model row has its own count' },
+          token_method: { type: 'string' },
+          largest_files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                path: { type: 'string' },
+                bytes: { type: 'number' },
+                characters: { type: 'number' },
+                approx_tokens: { type: 'number' },
+              },
+            },
+          },
+          skipped: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                path: { type: 'string' },
+                reason: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      expected_output_tokens: { type: 'number' },
+      prompt_overhead_tokens: { type: 'number' },
+      summary: {
+        type: 'object',
+        properties: {
+          models_checked: { type: 'number' },
+          fit_in_one_call: { type: 'number' },
+          need_chunking: { type: 'number' },
+          cannot_serve: { type: 'number' },
+          cheapest_single_call: { type: 'string' },
+          largest_context: { type: 'string' },
+        },
+      },
+      models: {
+        type: 'array',
+        description: 'Models that fit in one call (cheapest first), then those needing the fewest chunks, then those that cannot serve the request',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            source: { type: 'string' },
+            context_length: { type: 'number' },
+            max_completion_tokens: { type: 'number' },
+            document_tokens: { type: 'number', description: 'Document size in this model\'s tokenizer' },
+            exact: { type: 'boolean' },
+            fits: { type: 'boolean' },
+            headroom_tokens: { type: 'number', description: 'Context left over in a single call' },
+            chunks: { type: 'number', description: 'Calls needed to cover the document' },
+            chunk_tokens: { type: 'number' },
+            total_cost: { type: 'number', description: 'Cost of all calls, with the expected output per call' },
+            reason: { type: 'string', description: 'Why the model cannot serve the request at all' },
+          },
+          required: ['id', 'fits'],
+        },
+      },
+      policy: POLICY_REPORT_SCHEMA,
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['documents', 'summary', 'models'],
+  },
+
+  model_changes: {
+    type: 'object',
+    properties: {
+      query: { type: 'object' },
+      tracking_since: { type: 'string' },
+      total_changes: { type: 'number' },
+      summary: { type: 'object', additionalProperties: { type: 'number' } },
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string' },
+            source: { type: 'string' },
+            model_id: { type: 'string' },
+            change: { type: 'string' },
+            field: { type: 'string' },
+            old_per_1m: { type: 'number' },
+            new_per_1m: { type: 'number' },
+            percent_change: { type: 'number' },
+          },
+          required: ['timestamp', 'change'],
+        },
+      },
+      changes_returned: { type: 'number' },
+      refresh_error: { type: 'string' },
+      price_history: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string' },
+            source: { type: 'string' },
+            event: { type: 'string' },
+            pricing: { type: 'object', additionalProperties: { type: 'number' } },
+          },
+        },
+      },
+    },
+    required: ['total_changes', 'changes', 'changes_returned'],
+  },
+
+  watched_models: {
+    type: 'object',
+    properties: {
+      watched: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            model_id: { type: 'string' },
+            name: { type: 'string' },
+            note: { type: 'string' },
+            watched_since: { type: 'string' },
+            status: { type: 'string', enum: ['active', 'deprecated', 'scheduled_for_removal', 'expired', 'removed'] },
+            in_catalog: { type: 'boolean' },
+            removed_at: { type: 'string' },
+            sources: { type: 'array', items: { type: 'string' } },
+            lifecycle: LIFECYCLE_SCHEMA,
+            pricing: PRICE_SUMMARY_SCHEMA,
+            changes_since_watched: { type: 'number' },
+            recent_changes: { type: 'array', items: { type: 'object' } },
+            warning: { type: 'string' },
+          },
+          required: ['model_id', 'status', 'in_catalog'],
+        },
+      },
+      added: { type: 'array', items: { type: 'string' } },
+      removed: { type: 'array', items: { type: 'string' } },
+      summary: { type: 'object', additionalProperties: { type: 'number' }, description: 'Watched models per status' },
+      alerts: { type: 'array', items: { type: 'string' } },
+      note: { type: 'string' },
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['watched', 'summary', 'alerts'],
+  },
+
+  check_model_policy: {
+    type: 'object',
+    properties: {
+      model_id: { type: 'string' },
+      name: { type: 'string' },
+      source: { type: 'string' },
+      allowed: { type: 'boolean' },
+      violations: { type: 'array', items: POLICY_VIOLATION_SCHEMA },
+      other_sources: {
+        type: 'array',
+        description: 'The same model from other catalog sources',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            allowed: { type: 'boolean' },
+            violations: { type: 'array', items: POLICY_VIOLATION_SCHEMA },
+          },
+        },
+      },
+      policies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            rules: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      note: { type: 'string' },
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+    required: ['model_id', 'allowed', 'violations', 'policies'],
+  },
+
+  usage_profiles: {
+    type: 'object',
+    properties: {
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            use_case: { type: 'string' },
+            filters: { type: 'object' },
+            workload: { type: 'object' },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+          },
+          required: ['name'],
+        },
+      },
+      saved: { type: 'string' },
+      deleted: { type: 'array', items: { type: 'string' } },
+      note: { type: 'string' },
+    },
+    required: ['profiles'],
+  },
+
+  shortlists: {
+    type: 'object',
+    description: 'Saved shortlists, or one shortlist re-evaluated (with name)',
+    properties: {
+      shortlists: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            note: { type: 'string' },
+            saved_at: { type: 'string' },
+            request: { type: 'string' },
+            profile: { type: 'string' },
+            basis: { type: 'string' },
+            model_ids: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['name'],
+        },
+      },
+      deleted: { type: 'array', items: { type: 'string' } },
+      shortlist: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          note: { type: 'string' },
+          saved_at: { type: 'string' },
+          age_days: { type: 'number' },
+          request: { type: 'string' },
+          profile: { type: 'string' },
+          basis: { type: 'string', description: 'What cost means: monthly or per_request workload cost, or total_per_1m price' },
+        },
+      },
+      models: {
+        type: 'array',
+        description: 'Shortlisted models in current cost order; removed models last',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            source: { type: 'string' },
+            in_catalog: { type: 'boolean' },
+            saved: SHORTLIST_POSITION_SCHEMA,
+            current: SHORTLIST_POSITION_SCHEMA,
+            cost_change: { type: 'number' },
+            cost_change_percent: { type: 'number' },
+            rank_change: { type: 'number', description: 'Places moved up the cost ranking (negative: down)' },
+            lifecycle_status: { type: 'string' },
+            policy_allowed: { type: 'boolean' },
+            warning: { type: 'string' },
+          },
+          required: ['id', 'in_catalog', 'saved'],
+        },
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          models: { type: 'number' },
+          removed: { type: 'number' },
+          repriced: { type: 'number' },
+          rank_changes: { type: 'number' },
+          cheapest_when_saved: { type: 'string' },
+          cheapest_now: { type: 'string' },
+        },
+      },
+      alerts: { type: 'array', items: { type: 'string' } },
+      note: { type: 'string' },
+      data_freshness: FRESHNESS_SCHEMA,
+    },
+  },
+};
@@ -0,0 +1,308 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { formatModelData } from '../models.js';
+import { applyPolicy, getPolicies, policyReport } from '../policy.js';
+import { withProfile } from '../profiles.js';
+import { getQuality, qualityStatus } from '../quality.js';
+import { filterByRequirements, scoreModels } from './recommend-model.js';
+
+// Without benchmark data, quality is scored on the non-cost criteria of recommend_model
+const QUALITY_WEIGHTS = {
+  cost: 0,
+  context: 1,
+  recency: 1,
+  capabilities: 1,
+};
+
+const MAX_PLANS = 5000; // partial plans kept while searching
+
+/**
+ * Round a dollar amount to cents
+ */
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Check a workload definition
+ */
+function validateWorkload(entry, index, names) {
+  const label = entry?.name ? `Workload "${entry.name}"` : `Workload ${index + 1}`;
+  if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+    throw new Error(`${label} needs a name`);
+  }
+  if (names.has(entry.name)) {
+    throw new Error(`Workload names must be unique: "${entry.name}" appears more than once`);
+  }
+  names.add(entry.name);
+
+  const volume = entry.workload || {};
+  if (!(volume.requests_per_day > 0) && !(volume.requests_per_month > 0)) {
+    throw new Error(`${label} needs workload.requests_per_day or workload.requests_per_month to be costed against a monthly budget`);
+  }
+  if (entry.priority !== undefined && !(typeof entry.priority === 'number' && entry.priority > 0)) {
+    throw new Error(`${label}: priority must be a positive number`);
+  }
+  if (entry.min_quality !== undefined && !(entry.min_quality >= 0 && entry.min_quality <= 100)) {
+    throw new Error(`${label}: min_quality must be between 0 and 100`);
+  }
+}
+
+/**
+ * Keep only options that no other option beats on both cost and quality,
+ * cheapest first
+ */
+function paretoFrontier(options) {
+  const sorted = [...options].sort((a, b) => a.cost - b.cost || b.quality - a.quality);
+  const frontier = [];
+  for (const option of sorted) {
+    if (frontier.length === 0 || option.quality > frontier[frontier.length - 1].quality) {
+      frontier.push(option);
+    }
+  }
+  return frontier;
+}
+
+/**
+ * Thin a frontier to at most `max` entries, keeping both ends
+ */
+function thin(frontier, max) {
+  if (frontier.length <= max) return frontier;
+  const step = (frontier.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => frontier[Math.round(i * step)]);
+}
+
+/**
+ * Cost every candidate model for one workload and keep the cost/quality frontier
+ */
+function workloadOptions(entry, models, quality) {
+  const { requirements, features, candidates } = filterByRequirements(models, entry);
+  const minQuality = entry.min_quality ?? 0;
+
+  const options = [];
+  let unpriced = 0;
+  let unrated = 0;
+  for (const model of candidates) {
+    const formatted = formatModelData(model);
+    if (!formatted.pricing.available) {
+      unpriced++;
+      continue;
+    }
+    const score = quality.get(model);
+    if (score === undefined) {
+      unrated++;
+      continue;
+    }
+    if (score < minQuality) continue;
+    const estimate = calculateCost(formatted, entry.workload);
+    options.push({ model: formatted, cost: estimate.monthly, quality: score, estimate });
+  }
+
+  return {
+    requirements: { ...requirements, required_features: features.length ? features : undefined },
+    candidates: candidates.length,
+    unpriced,
+    unrated,
+    frontier: paretoFrontier(options),
+  };
+}
+
+/**
+ * Pick one option per workload to maximize priority-weighted quality within the
+ * budget (multiple-choice knapsack over each workload's frontier). Returns the
+ * chosen options, or undefined when even the cheapest plan is over budget
+ */
+function bestPlan(frontiers, priorities, budget) {
+  let plans = [{ cost: 0, value: 0, picks: [] }];
+
+  frontiers.forEach((frontier, i) => {
+    const next = [];
+    for (const plan of plans) {
+      for (const option of frontier) {
+        const cost = plan.cost + option.cost;
+        if (cost > budget + 1e-9) break; // frontier is sorted by cost
+        next.push({ cost, value: plan.value + option.quality * priorities[i], picks: [...plan.picks, option] });
+      }
+    }
+    plans = thin(paretoFrontier(next.map(p => ({ ...p, quality: p.value }))), MAX_PLANS);
+  });
+
+  return plans.length > 0 ? plans[plans.length - 1].picks : undefined;
+}
+
+/**
+ * Summarize a plan's total monthly cost and priority-weighted quality
+ */
+function planSummary(picks, priorities) {
+  const weight = priorities.reduce((sum, p) => sum + p, 0);
+  return {
+    monthly_cost: cents(picks.reduce((sum, o) => sum + o.cost, 0)),
+    quality_score: Math.round(picks.reduce((sum, o, i) => sum + o.quality * priorities[i], 0) / weight * 10) / 10,
+  };
+}
+
+/**
+ * Short model reference for results
+ */
+function modelRef(option) {
+  return {
+    id: option.model.id,
+    name: option.model.name,
+    provider: option.model.provider,
+    source: option.model.source,
+  };
+}
+
+/**
+ * Tool: plan_budget
+ */
+export async function planBudget(params) {
+  const budget = params.budget;
+  if (typeof budget !== 'number' || !(budget >= 0)) {
+    throw new Error('budget must be a non-negative number (USD per month)');
+  }
+  if (!Array.isArray(params.workloads) || params.workloads.length === 0) {
+    throw new Error('workloads must be a non-empty array');
+  }
+  const workloads = await Promise.all(params.workloads.map(entry => withProfile(entry, 'requirements')));
+  const names = new Set();
+  workloads.forEach((entry, i) => validateWorkload(entry, i, names));
+
+  const { models, freshness } = await fetchModels(params.force_refresh);
+
+  // Rate quality on benchmark scores when quality data is loaded (models without
+  // scores are left out), otherwise score it once over the whole catalog so
+  // scores compare across workloads
+  const benchmarked = qualityStatus().models_with_scores > 0;
+  const quality = benchmarked ?
+    new Map(models.filter(m => getQuality(m)).map(m => [m, getQuality(m).score])) :
+    new Map(scoreModels(models, QUALITY_WEIGHTS).map(row => [row.model, row.score]));
+
+  // Only models the team policy allows are assigned
+  const { allowed, excluded } = applyPolicy(models);
+  const options = workloads.map(entry => workloadOptions(entry, allowed, quality));
+  const excludedMatches = new Set(workloads.flatMap(entry => filterByRequirements(excluded.map(e => e.model), entry).candidates));
+  options.forEach((option, i) => {
+    if (option.frontier.length === 0) {
+      throw new Error(`Workload "${workloads[i].name}": no priced${benchmarked ? ', benchmarked' : ''} models meet its requirements` +
+        (workloads[i].min_quality ? ` and min_quality ${workloads[i].min_quality}` : '') +
+        (getPolicies().length > 0 ? ' and the team policy' : ''));
+    }
+  });
+
+  const priorities = workloads.map(entry => entry.priority ?? 1);
+  const frontiers = options.map(option => option.frontier);
+  const cheapest = frontiers.map(frontier => frontier[0]);
+  const bestQuality = frontiers.map(frontier => frontier[frontier.length - 1]);
+  const chosen = bestPlan(frontiers, priorities, budget);
+  const picks = chosen || cheapest;
+
+  const planned = picks.reduce((sum, o) => sum + o.cost, 0);
+  const slack = budget - planned;
+  const notes = [];
+
+  const assignments = picks.map((pick, i) => {
+    const frontier = frontiers[i];
+    const position = frontier.indexOf(pick);
+    const cheaper = frontier[position - 1];
+    const upgrade = frontier[position + 1];
+
+    return {
+      workload: workloads[i].name,
+      model: modelRef(pick),
+      quality_score: pick.quality,
+      monthly_cost: cents(pick.cost),
+      share_of_budget: budget > 0 ? Math.round((pick.cost / budget) * 1000) / 10 : undefined,
+      estimated_cost: pick.estimate,
+      requirements: options[i].requirements,
+      candidates_considered: options[i].candidates,
+      cheaper_option: cheaper ? {
+        ...modelRef(cheaper),
+        quality_score: cheaper.quality,
+        monthly_cost: cents(cheaper.cost),
+        savings: cents(pick.cost - cheaper.cost),
+        quality_loss: Math.round((pick.quality - cheaper.quality) * 10) / 10,
+      } : undefined,
+      upgrade_option: upgrade ? {
+        ...modelRef(upgrade),
+        quality_score: upgrade.quality,
+        monthly_cost: cents(upgrade.cost),
+        extra_cost: cents(upgrade.cost - pick.cost),
+        quality_gain: Math.round((upgrade.quality - pick.quality) * 10) / 10,
+      } : undefined,
+    };
+  });
+
+  // What more budget would buy, and what a cheaper model would save
+  const upgrades = assignments
+    .filter(a => a.upgrade_option)
+    .map(a => ({
+      workload: a.workload,
+      change: 'upgrade',
+      from: a.model.id,
+      to: a.upgrade_option.id,
+      monthly_cost_change: a.upgrade_option.extra_cost,
+      quality_change: a.upgrade_option.quality_gain,
+      description: `Switching "${a.workload}" to ${a.upgrade_option.id} adds $${a.upgrade_option.extra_cost.toFixed(2)}/month ` +
+        `for +${a.upgrade_option.quality_gain} quality` +
+        (chosen ? ` (needs $${cents(a.upgrade_option.extra_cost - slack).toFixed(2)} more budget)` : ''),
+    }))
+    .sort((a, b) => b.quality_change / Math.max(b.monthly_cost_change, 0.01) - a.quality_change / Math.max(a.monthly_cost_change, 0.01));
+  const downgrades = assignments
+    .filter(a => a.cheaper_option)
+    .map(a => ({
+      workload: a.workload,
+      change: 'downgrade',
+      from: a.model.id,
+      to: a.cheaper_option.id,
+      monthly_cost_change: -a.cheaper_option.savings,
+      quality_change: -a.cheaper_option.quality_loss,
+      description: `Switching "${a.workload}" to ${a.cheaper_option.id} saves $${a.cheaper_option.savings.toFixed(2)}/month ` +
+        `for -${a.cheaper_option.quality_loss} quality`,
+    }))
+    .sort((a, b) => a.quality_change / Math.min(a.monthly_cost_change, -0.01) - b.quality_change / Math.min(b.monthly_cost_change, -0.01));
+
+  if (!chosen) {
+    notes.push(`Even the cheapest models that meet every workload's requirements cost $${cents(planned).toFixed(2)}/month, ` +
+      `$${cents(-slack).toFixed(2)} over budget. Showing the cheapest plan; relax requirements or raise the budget.`);
+  }
+  if (allowed.length < models.length) {
+    notes.push(`Only models allowed by the team policy (${getPolicies().map(p => p.name).join(', ')}) were considered`);
+  }
+  const unpriced = options.reduce((sum, o) => sum + o.unpriced, 0);
+  if (unpriced > 0) {
+    notes.push(`${unpriced} candidate model(s) without listed pricing were left out of the plan`);
+  }
+  const unrated = options.reduce((sum, o) => sum + o.unrated, 0);
+  if (unrated > 0) {
+    notes.push(`${unrated} candidate model(s) without benchmark scores were left out of the plan`);
+  }
+  const atBest = assignments.every(a => !a.upgrade_option);
+  if (chosen && atBest) {
+    notes.push('Every workload already uses its highest-quality candidate');
+  }
+
+  return {
+    budget: {
+      monthly_budget: budget,
+      planned_monthly_cost: cents(planned),
+      slack: slack >= 0 ? cents(slack) : 0,
+      overspend: slack < 0 ? cents(-slack) : 0,
+      utilization_percent: budget > 0 ? Math.round((planned / budget) * 1000) / 10 : undefined,
+      within_budget: !!chosen,
+    },
+    assignments,
+    plans: {
+      chosen: planSummary(picks, priorities),
+      cheapest: planSummary(cheapest, priorities),
+      best_quality: planSummary(bestQuality, priorities),
+    },
+    trade_offs: [...upgrades, ...downgrades],
+    quality_basis: benchmarked ?
+      'Quality scores (0-100) are the benchmark composite from the loaded quality data, as in the min_quality filter; cost is handled by the budget' :
+      'No quality data is loaded, so quality scores (0-100) rate context window, recency and capabilities across the whole catalog; cost is handled by the budget',
+    notes: notes.length > 0 ? notes : undefined,
+    policy: policyReport(excluded.filter(e => excludedMatches.has(e.model))),
+    data_freshness: freshness,
+  };
+}
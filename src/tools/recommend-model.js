@@ -0,0 +1,211 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { applyFilters } from '../filters.js';
+import { formatModelData, getCapabilities } from '../models.js';
+import { parseRequest } from '../parse-request.js';
+import { applyPolicy, policyReport } from '../policy.js';
+import { withProfile } from '../profiles.js';
+
+const DEFAULT_WEIGHTS = {
+  cost: 0.4,
+  context: 0.2,
+  recency: 0.2,
+  capabilities: 0.2,
+};
+
+const CAPABILITY_COUNT = 5; // vision, multimodal, tools, reasoning, structured_outputs
+
+/**
+ * Min-max normalize a value into 0..1 (1 when all values are equal)
+ */
+function normalize(value, min, max) {
+  return max === min ? 1 : (value - min) / (max - min);
+}
+
+/**
+ * Score models on weighted criteria, each scaled 0-100 relative to the candidates
+ */
+export function scoreModels(models, weights, workload) {
+  const rows = models.map(m => {
+    const formatted = formatModelData(m);
+    const cost = workload ? calculateCost(formatted, workload) : undefined;
+    return {
+      model: m,
+      formatted,
+      cost: formatted.pricing.available ?
+        (cost ? cost.total : formatted.pricing.total_per_1m) : undefined,
+      capabilities: getCapabilities(m),
+    };
+  });
+
+  // Costs and context lengths span orders of magnitude, so compare them on a log scale
+  const logCost = c => Math.log10(c + 1e-6);
+  const priced = rows.filter(r => r.cost !== undefined);
+  const costRange = [Math.min(...priced.map(r => logCost(r.cost))), Math.max(...priced.map(r => logCost(r.cost)))];
+  const logContext = c => Math.log2(Math.max(c, 1));
+  const contextRange = [Math.min(...rows.map(r => logContext(r.model.context_length))), Math.max(...rows.map(r => logContext(r.model.context_length)))];
+  const created = r => r.model.created ?? 0;
+  const createdRange = [Math.min(...rows.map(created)), Math.max(...rows.map(created))];
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  return rows.map(row => {
+    const criteria = {
+      cost: row.cost !== undefined ? 1 - normalize(logCost(row.cost), ...costRange) : 0,
+      context: normalize(logContext(row.model.context_length), ...contextRange),
+      recency: normalize(created(row), ...createdRange),
+      capabilities: row.capabilities.length / CAPABILITY_COUNT,
+    };
+
+    const breakdown = {};
+    let total = 0;
+    for (const [name, score] of Object.entries(criteria)) {
+      const weight = weights[name] / totalWeight;
+      breakdown[name] = {
+        score: Math.round(score * 100),
+        weight: Math.round(weight * 100) / 100,
+        contribution: Math.round(score * weight * 1000) / 10,
+      };
+      total += score * weight;
+    }
+
+    return { ...row, breakdown, score: Math.round(total * 1000) / 10 };
+  });
+}
+
+/**
+ * Explain a recommendation in plain English
+ */
+function justifyRecommendation(entry, rank, workload) {
+  const { formatted, breakdown, capabilities } = entry;
+  const describe = {
+    cost: () => formatted.pricing.available ?
+      (formatted.is_free ? 'it is free' :
+        workload && entry.cost !== undefined ?
+          `it costs about $${entry.cost.toFixed(2)} for the given workload` :
+          `it costs $${formatted.pricing.total_per_1m.toFixed(2)} per 1M tokens`) :
+      'its pricing is unknown',
+    context: () => `it has a ${formatted.context_length.toLocaleString()}-token context window`,
+    recency: () => formatted.created ? `it was released ${formatted.created.slice(0, 10)}` : 'its release date is unknown',
+    capabilities: () => capabilities.length > 0 ?
+      `it supports ${capabilities.join(', ')}` : 'it has no advanced capabilities listed',
+  };
+
+  const weighted = Object.entries(breakdown).filter(([, b]) => b.weight > 0);
+  const strengths = weighted.filter(([, b]) => b.score >= 70).sort((a, b) => b[1].contribution - a[1].contribution);
+  const weaknesses = weighted.filter(([, b]) => b.score < 40).sort((a, b) => b[1].weight - a[1].weight);
+
+  const parts = [`Ranked #${rank} with ${entry.score}/100.`];
+  if (strengths.length > 0) {
+    parts.push(`Strong on ${strengths.slice(0, 2).map(([name]) => name).join(' and ')}: ${strengths.slice(0, 2).map(([name]) => describe[name]()).join(' and ')}.`);
+  }
+  if (weaknesses.length > 0) {
+    parts.push(`Trade-off on ${weaknesses[0][0]}: ${describe[weaknesses[0][0]]()}.`);
+  }
+  if (strengths.length === 0 && weaknesses.length === 0) {
+    parts.push(`Balanced across criteria: ${describe.cost()} and ${describe.context()}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Build hard requirements from a use case, explicit filters, required features
+ * and a price ceiling, and return the models that meet them
+ */
+export function filterByRequirements(models, params) {
+  const intent = parseRequest(params.use_case || '');
+  const requirements = { ...intent.filters, ...params.requirements };
+  const features = params.required_features || [];
+  if (features.includes('vision')) requirements.has_vision = true;
+  if (features.includes('tools')) requirements.has_tools = true;
+  if (features.includes('reasoning')) requirements.has_reasoning = true;
+  if (params.budget_constraint !== undefined) {
+    requirements.max_price_per_1m = params.budget_constraint;
+  }
+
+  let candidates = applyFilters(models, requirements);
+  if (features.includes('structured_outputs')) {
+    candidates = candidates.filter(m => m.supported_parameters?.includes('structured_outputs'));
+  }
+
+  return { intent, requirements, features, candidates };
+}
+
+/**
+ * Tool: recommend_model
+ */
+export async function recommendModel(params) {
+  params = await withProfile(params, 'requirements');
+  const { models: rawModels, freshness } = await fetchModels(params.force_refresh);
+
+  // Only models the team policy allows are recommended
+  const { allowed, excluded } = applyPolicy(rawModels);
+  const { intent, requirements, features, candidates } = filterByRequirements(allowed, params);
+  const excludedMatches = filterByRequirements(excluded.map(e => e.model), params).candidates;
+
+  // Weights: explicit values override defaults adjusted for the use case
+  const baseWeights = { ...DEFAULT_WEIGHTS };
+  if (intent.sort_preference === 'price') baseWeights.cost = 0.6;
+  if (intent.sort_preference === 'context') baseWeights.context = 0.45;
+  const weights = { ...baseWeights };
+  for (const name of Object.keys(DEFAULT_WEIGHTS)) {
+    if (params.weights?.[name] !== undefined) {
+      if (typeof params.weights[name] !== 'number' || params.weights[name] < 0) {
+        throw new Error(`Weight "${name}" must be a non-negative number`);
+      }
+      weights[name] = params.weights[name];
+    }
+  }
+
+  const weightTotal = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (weightTotal === 0) {
+    throw new Error('At least one weight must be greater than zero');
+  }
+
+  const response = {
+    interpretation: {
+      use_case: params.use_case,
+      hard_requirements: { ...requirements, required_features: features.length ? features : undefined },
+      weights: Object.fromEntries(
+        Object.entries(weights).map(([name, w]) => [name, Math.round((w / weightTotal) * 100) / 100])
+      ),
+    },
+    candidates_considered: candidates.length,
+    policy: policyReport(excluded.filter(e => excludedMatches.includes(e.model))),
+    data_freshness: freshness,
+  };
+
+  if (candidates.length === 0) {
+    response.recommendations = [];
+    response.note = response.policy?.excluded_count > 0 ?
+      `No allowed models meet all hard requirements; ${response.policy.excluded_count} model(s) that do are excluded by the team policy.` :
+      'No models meet all hard requirements. Try relaxing the budget or required features.';
+    return response;
+  }
+
+  const scored = scoreModels(candidates, weights, params.workload)
+    .sort((a, b) => b.score - a.score || (a.cost ?? Infinity) - (b.cost ?? Infinity));
+
+  const maxResults = params.max_results || 5;
+  response.recommendations = scored.slice(0, maxResults).map((entry, i) => ({
+    rank: i + 1,
+    id: entry.formatted.id,
+    name: entry.formatted.name,
+    provider: entry.formatted.provider,
+    source: entry.formatted.source,
+    score: entry.score,
+    score_breakdown: entry.breakdown,
+    context_length: entry.formatted.context_length,
+    pricing: {
+      prompt_per_1m: entry.formatted.pricing.prompt_per_1m,
+      completion_per_1m: entry.formatted.pricing.completion_per_1m,
+      total_per_1m: entry.formatted.pricing.total_per_1m,
+    },
+    capabilities: entry.capabilities,
+    estimated_cost: params.workload ? calculateCost(entry.formatted, params.workload) : undefined,
+    justification: justifyRecommendation(entry, i + 1, params.workload),
+  }));
+
+  return response;
+}
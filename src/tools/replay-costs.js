@@ -0,0 +1,209 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { applyFilters } from '../filters.js';
+import { formatModelData } from '../models.js';
+import { applyPolicy, policyReport } from '../policy.js';
+import { findModel } from '../search.js';
+import { readUsageLog } from '../usage-log.js';
+
+const DEFAULT_MAX_CANDIDATES = 10;
+const SKIPPED_LISTED = 10; // skipped log entries listed with their reason
+const EXAMPLES_LISTED = 5; // calls listed per candidate that would exceed its limits
+
+/**
+ * Token totals of a set of logged calls
+ */
+function totals(calls) {
+  return calls.reduce((sum, c) => ({
+    prompt_tokens: sum.prompt_tokens + c.prompt_tokens,
+    completion_tokens: sum.completion_tokens + c.completion_tokens,
+    cached_tokens: sum.cached_tokens + c.cached_tokens,
+  }), { prompt_tokens: 0, completion_tokens: 0, cached_tokens: 0 });
+}
+
+/**
+ * Price a set of logged calls on a model's current pricing
+ *
+ * Cost is linear in token counts, so the calls are priced as one workload of
+ * their average request repeated once per call.
+ */
+function priceCalls(formatted, calls) {
+  const sum = totals(calls);
+  const cost = calculateCost(formatted, {
+    prompt_tokens: sum.prompt_tokens / calls.length,
+    completion_tokens: sum.completion_tokens / calls.length,
+    cache_hit_ratio: sum.prompt_tokens > 0 ? sum.cached_tokens / sum.prompt_tokens : 0,
+    requests_per_month: calls.length,
+  });
+  return {
+    total: cost.monthly,
+    breakdown: Object.fromEntries(Object.entries(cost.breakdown).map(([name, item]) => [name, item.monthly])),
+  };
+}
+
+/**
+ * Logged calls a model could not have served: over its context window, or
+ * asking for more output than its max completion tokens
+ */
+function exceedingCalls(model, calls) {
+  const context = [];
+  const completion = [];
+  for (const call of calls) {
+    if (model.context_length && call.prompt_tokens + call.completion_tokens > model.context_length) {
+      context.push({ ...call, limit: 'context_length' });
+    }
+    if (model.max_completion_tokens && call.completion_tokens > model.max_completion_tokens) {
+      completion.push({ ...call, limit: 'max_completion_tokens' });
+    }
+  }
+  return { context, completion };
+}
+
+/**
+ * What the logged spend was: logged costs where present, else the logged
+ * model's current catalog price
+ */
+function actualSpend(byModel, models) {
+  const rows = [];
+  let total = 0;
+  let unpricedCalls = 0;
+
+  for (const [name, calls] of byModel) {
+    let catalogModel;
+    try {
+      catalogModel = findModel(models, name)[0];
+    } catch {
+      // Not in the catalog; only logged costs count
+    }
+
+    const logged = calls.filter(c => c.cost !== undefined);
+    const unlogged = calls.filter(c => c.cost === undefined);
+    const formatted = catalogModel ? formatModelData(catalogModel) : undefined;
+    const priceable = formatted?.pricing.available ? unlogged : [];
+
+    let cost = logged.reduce((sum, c) => sum + c.cost, 0);
+    if (priceable.length > 0) {
+      cost += priceCalls(formatted, priceable).total;
+    }
+    unpricedCalls += unlogged.length - priceable.length;
+    total += cost;
+
+    rows.push({
+      model: name,
+      catalog_id: catalogModel?.id,
+      calls: calls.length,
+      ...totals(calls),
+      cost,
+      basis: priceable.length === 0 ? (logged.length > 0 ? 'logged' : 'unpriced') :
+        logged.length > 0 ? 'mixed' : 'catalog_pricing',
+      unpriced_calls: unlogged.length - priceable.length || undefined,
+    });
+  }
+
+  return { total, unpriced_calls: unpricedCalls, by_model: rows.sort((a, b) => b.cost - a.cost) };
+}
+
+/**
+ * Tool: replay_costs
+ *
+ * Re-prices logged traffic against candidate models at current catalog prices.
+ * Candidates are `model_ids`, or the cheapest models passing `filters` that
+ * could have served every logged call.
+ */
+export async function replayCosts(params) {
+  const log = await readUsageLog(params);
+  const { calls, skipped } = log;
+  if (calls.length === 0) {
+    throw new Error('The usage log has no usable calls' +
+      (skipped.length > 0 ? ` (first skipped: call ${skipped[0].call}, ${skipped[0].reason})` : ''));
+  }
+
+  const { models, freshness } = await fetchModels(params.force_refresh);
+  const byModel = new Map();
+  for (const call of calls) {
+    if (!byModel.has(call.model)) byModel.set(call.model, []);
+    byModel.get(call.model).push(call);
+  }
+  const actual = actualSpend(byModel, models);
+
+  // Candidates the team policy allows, from explicit IDs or filters
+  const explicit = params.model_ids?.length > 0;
+  const picked = explicit ?
+    params.model_ids.map(id => findModel(models, id)[0]) :
+    applyFilters(models, params.filters || {});
+  const { allowed, excluded } = applyPolicy([...new Set(picked)]);
+
+  const notes = [];
+  let candidates = allowed
+    .map(model => ({ model, formatted: formatModelData(model) }))
+    .filter(c => explicit || c.formatted.pricing.available)
+    .map(c => ({ ...c, exceeding: exceedingCalls(c.formatted, calls) }));
+  if (!explicit) {
+    const fitting = candidates.filter(c => c.exceeding.context.length === 0 && c.exceeding.completion.length === 0);
+    if (fitting.length < candidates.length) {
+      notes.push(`${candidates.length - fitting.length} model(s) passing the filters were left out because some logged calls exceed their context window or max completion tokens`);
+    }
+    candidates = fitting;
+  }
+
+  // Report only excluded models that would otherwise have been replayed
+  const policyExcluded = explicit ? excluded : excluded.filter(({ model }) => {
+    const formatted = formatModelData(model);
+    const exceeding = exceedingCalls(formatted, calls);
+    return formatted.pricing.available && exceeding.context.length === 0 && exceeding.completion.length === 0;
+  });
+
+  const replayed = candidates.map(({ model, formatted, exceeding }) => {
+    const { total, breakdown } = priceCalls(formatted, calls);
+    const savings = actual.total - total;
+    return {
+      id: model.id,
+      name: model.name,
+      source: model.source.name,
+      context_length: model.context_length,
+      max_completion_tokens: formatted.max_completion_tokens,
+      replayed_cost: total,
+      savings,
+      savings_percent: actual.total > 0 ? Math.round((savings / actual.total) * 10000) / 100 : undefined,
+      breakdown,
+      by_logged_model: actual.by_model.map(row => {
+        const cost = priceCalls(formatted, byModel.get(row.model)).total;
+        return { model: row.model, calls: row.calls, actual: row.cost, replayed: cost, savings: row.cost - cost };
+      }),
+      calls_exceeding_context: exceeding.context.length,
+      calls_exceeding_max_completion: exceeding.completion.length,
+      exceeding_examples: [...exceeding.context, ...exceeding.completion]
+        .sort((a, b) => a.call - b.call)
+        .slice(0, EXAMPLES_LISTED)
+        .map(c => ({ call: c.call, model: c.model, prompt_tokens: c.prompt_tokens, completion_tokens: c.completion_tokens, limit: c.limit })),
+    };
+  }).sort((a, b) => a.replayed_cost - b.replayed_cost);
+
+  const results = explicit ? replayed : replayed.slice(0, params.max_candidates || DEFAULT_MAX_CANDIDATES);
+  if (actual.unpriced_calls > 0) {
+    notes.push(`${actual.unpriced_calls} logged call(s) have no logged cost and no catalog price, so the actual spend leaves them out; replayed costs include every call`);
+  }
+  const unpriced = candidates.filter(c => !c.formatted.pricing.available).map(c => c.model.id);
+  if (unpriced.length > 0) {
+    notes.push(`No pricing listed for ${unpriced.join(', ')}; their replayed cost counts tokens as free`);
+  }
+
+  const timestamps = calls.map(c => c.timestamp).filter(Boolean).sort();
+  return {
+    log: {
+      file: log.path,
+      format: log.format,
+      calls: calls.length,
+      ...totals(calls),
+      period: timestamps.length > 0 ? { from: timestamps[0], to: timestamps[timestamps.length - 1] } : undefined,
+      skipped_count: skipped.length,
+      skipped: skipped.length > 0 ? skipped.slice(0, SKIPPED_LISTED) : undefined,
+    },
+    actual,
+    candidates: results,
+    cheapest_fit: replayed.find(r => r.calls_exceeding_context === 0 && r.calls_exceeding_max_completion === 0)?.id,
+    notes: notes.length > 0 ? notes : undefined,
+    policy: policyReport(policyExcluded),
+    data_freshness: freshness,
+  };
+}
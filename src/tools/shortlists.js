@@ -0,0 +1,178 @@
+import { fetchModels } from '../catalog.js';
+import { calculateCost } from '../cost.js';
+import { lifecycleWarning } from '../lifecycle.js';
+import { formatModelData } from '../models.js';
+import { checkPolicy, getPolicies } from '../policy.js';
+import { deleteShortlists, readShortlists } from '../shortlists.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cost of a model on a shortlist: the workload cost when one is given, else the
+ * total price per 1M tokens (undefined without listed pricing)
+ */
+function shortlistCost(formatted, workload) {
+  if (!formatted.pricing.available) {
+    return undefined;
+  }
+  return workload ? calculateCost(formatted, workload).total : formatted.pricing.total_per_1m;
+}
+
+/**
+ * Number entries by cost, cheapest first; unpriced entries get no rank
+ */
+function rankByCost(entries) {
+  entries
+    .filter(e => e.cost !== undefined)
+    .sort((a, b) => a.cost - b.cost || a.id.localeCompare(b.id))
+    .forEach((e, i) => {
+      e.rank = i + 1;
+    });
+  return entries;
+}
+
+/**
+ * Snapshot of shortlisted models to save: prices, cost and cost rank of each
+ *
+ * Entries are { model, workload }; the workload is kept per model because
+ * sample-based token counts differ by tokenizer.
+ */
+export function shortlistSnapshot(entries) {
+  const first = entries.find(e => e.workload);
+  const basis = first ? calculateCost(formatModelData(first.model), first.workload).basis : 'total_per_1m';
+
+  const models = rankByCost(entries.map(({ model, workload }) => {
+    const formatted = formatModelData(model);
+    return {
+      id: model.id,
+      name: model.name,
+      source: model.source.name,
+      pricing: {
+        prompt_per_1m: formatted.pricing.prompt_per_1m,
+        completion_per_1m: formatted.pricing.completion_per_1m,
+        total_per_1m: formatted.pricing.total_per_1m,
+      },
+      workload,
+      cost: shortlistCost(formatted, workload),
+    };
+  }));
+
+  return { basis, models };
+}
+
+/**
+ * Re-cost a saved shortlist against the current catalog
+ */
+function evaluateShortlist(name, shortlist, models, now) {
+  const policies = getPolicies().length > 0;
+  const current = rankByCost(shortlist.models.map(saved => {
+    const model = models.find(m => m.id === saved.id && m.source.name === saved.source) ||
+      models.find(m => m.id === saved.id);
+    if (!model) {
+      return { id: saved.id, saved };
+    }
+    const formatted = formatModelData(model);
+    return { id: saved.id, saved, model, formatted, cost: shortlistCost(formatted, saved.workload) };
+  }));
+
+  const rows = current.map(({ saved, model, formatted, cost, rank }) => {
+    const row = {
+      id: saved.id,
+      name: saved.name,
+      source: saved.source,
+      in_catalog: !!model,
+      saved: { rank: saved.rank, cost: saved.cost, total_per_1m: saved.pricing.total_per_1m },
+    };
+    if (!model) {
+      row.warning = `${saved.id} is no longer in the catalog. Use get_model_alternatives to find a replacement`;
+      return row;
+    }
+
+    row.current = { rank, cost, total_per_1m: formatted.pricing.total_per_1m };
+    if (cost !== undefined && saved.cost !== undefined) {
+      row.cost_change = cost - saved.cost;
+      row.cost_change_percent = saved.cost > 0 ? Math.round((row.cost_change / saved.cost) * 10000) / 100 : undefined;
+    }
+    if (rank !== undefined && saved.rank !== undefined) {
+      row.rank_change = saved.rank - rank;
+    }
+    if (formatted.lifecycle.status !== 'active') {
+      row.lifecycle_status = formatted.lifecycle.status;
+      row.warning = lifecycleWarning(model, formatted.lifecycle);
+    }
+    if (policies) {
+      row.policy_allowed = checkPolicy(model).length === 0;
+    }
+    return row;
+  });
+
+  // Current ranking first, then unpriced and removed models
+  rows.sort((a, b) => (a.current?.rank ?? Infinity) - (b.current?.rank ?? Infinity));
+
+  const cheapest = ranking => rows.find(r => r[ranking]?.rank === 1)?.id;
+  return {
+    shortlist: {
+      name,
+      note: shortlist.note,
+      saved_at: shortlist.saved_at,
+      age_days: Math.floor((now - new Date(shortlist.saved_at).getTime()) / DAY_MS),
+      request: shortlist.request,
+      profile: shortlist.profile,
+      basis: shortlist.basis,
+    },
+    models: rows,
+    summary: {
+      models: rows.length,
+      removed: rows.filter(r => !r.in_catalog).length,
+      repriced: rows.filter(r => r.cost_change !== undefined && Math.abs(r.cost_change) > 1e-12).length,
+      rank_changes: rows.filter(r => r.rank_change).length,
+      cheapest_when_saved: cheapest('saved'),
+      cheapest_now: cheapest('current'),
+    },
+    alerts: rows.filter(r => r.warning).map(r => r.warning),
+  };
+}
+
+/**
+ * Tool: shortlists
+ *
+ * Lists saved shortlists, deletes them, or re-evaluates one by name to show how
+ * its costs and cost ranking moved since it was saved.
+ */
+export async function shortlists(params = {}, now = Date.now()) {
+  if (params.delete?.length > 0) {
+    await deleteShortlists(params.delete);
+  }
+  const saved = await readShortlists();
+
+  if (params.name) {
+    if (!saved[params.name]) {
+      const names = Object.keys(saved).sort();
+      throw new Error(`No saved shortlist named "${params.name}"` +
+        (names.length > 0 ? ` (saved: ${names.join(', ')})` : ''));
+    }
+    const { models, freshness } = await fetchModels(params.force_refresh);
+    return {
+      ...evaluateShortlist(params.name, saved[params.name], models, now),
+      data_freshness: freshness,
+    };
+  }
+
+  const list = Object.entries(saved)
+    .map(([name, s]) => ({
+      name,
+      note: s.note,
+      saved_at: s.saved_at,
+      request: s.request,
+      profile: s.profile,
+      basis: s.basis,
+      model_ids: s.models.map(m => m.id),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    shortlists: list,
+    deleted: params.delete?.length > 0 ? params.delete : undefined,
+    note: list.length === 0 ? 'No shortlists are saved yet. Pass `save_as` to consider_models to save its results.' : undefined,
+  };
+}
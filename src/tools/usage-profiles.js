@@ -0,0 +1,27 @@
+import { deleteProfiles, readProfiles, saveProfile } from '../profiles.js';
+
+/**
+ * Tool: usage_profiles
+ *
+ * Saves and deletes named profiles (filters, workload, use case) that other
+ * tools apply when called with `profile`. Called with no arguments, it lists them.
+ */
+export async function usageProfiles(params = {}) {
+  if (params.save) {
+    await saveProfile(params.save);
+  }
+  if (params.delete?.length > 0) {
+    await deleteProfiles(params.delete);
+  }
+
+  const profiles = Object.entries(await readProfiles())
+    .map(([name, profile]) => ({ name, ...profile }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    profiles,
+    saved: params.save?.name,
+    deleted: params.delete?.length > 0 ? params.delete : undefined,
+    note: profiles.length === 0 ? 'No profiles are saved yet. Pass `save` with a name, filters and workload.' : undefined,
+  };
+}
@@ -0,0 +1,101 @@
+import { fetchModels } from '../catalog.js';
+import { readHistory } from '../history.js';
+import { lifecycleWarning } from '../lifecycle.js';
+import { formatModelData } from '../models.js';
+import { findModel } from '../search.js';
+import { readWatchlist, updateWatchlist } from '../watchlist.js';
+
+const RECENT_CHANGES = 5; // changes listed per watched model
+
+/**
+ * Status of one watched model: lifecycle, current prices and changes since it was watched
+ */
+function watchedStatus(entry, models, history) {
+  const id = entry.model_id.toLowerCase();
+  const since = new Date(entry.watched_since).getTime();
+  const events = history.filter(e => e.model_id?.toLowerCase() === id);
+  const changes = events.filter(e => new Date(e.timestamp).getTime() >= since);
+  const matches = models.filter(m => m.id.toLowerCase() === id);
+
+  const base = {
+    model_id: entry.model_id,
+    note: entry.note,
+    watched_since: entry.watched_since,
+  };
+  const recent = {
+    changes_since_watched: changes.length,
+    recent_changes: changes.slice(-RECENT_CHANGES).reverse(),
+  };
+
+  if (matches.length === 0) {
+    const removed = events.filter(e => e.change === 'removed').pop();
+    return {
+      ...base,
+      status: 'removed',
+      in_catalog: false,
+      removed_at: removed?.timestamp,
+      ...recent,
+      warning: `${entry.model_id} is no longer in the catalog` +
+        (removed ? ` (removed ${removed.timestamp.slice(0, 10)} from ${removed.source})` : '') +
+        '. Use get_model_alternatives to find a replacement',
+    };
+  }
+
+  const model = formatModelData(matches[0]);
+  const priceChanges = changes.filter(e => e.change === 'pricing').length;
+  const warning = lifecycleWarning(matches[0], model.lifecycle) ||
+    (priceChanges > 0 ? `${entry.model_id} has had ${priceChanges} price change(s) since it was watched` : undefined);
+
+  return {
+    ...base,
+    name: model.name,
+    status: model.lifecycle.status,
+    in_catalog: true,
+    sources: matches.map(m => m.source.name),
+    lifecycle: model.lifecycle,
+    pricing: {
+      prompt_per_1m: model.pricing.prompt_per_1m,
+      completion_per_1m: model.pricing.completion_per_1m,
+      total_per_1m: model.pricing.total_per_1m,
+    },
+    ...recent,
+    warning,
+  };
+}
+
+/**
+ * Tool: watched_models
+ */
+export async function watchedModels(params = {}) {
+  const { models, freshness } = await fetchModels(params.force_refresh);
+
+  // Store catalog IDs, so a typo fails now rather than reading as "removed" later
+  const add = (params.add || []).map(id => findModel(models, id)[0].id);
+  const remove = params.remove || [];
+  const current = await readWatchlist();
+  const unknown = remove.filter(id => !current.some(entry => entry.model_id.toLowerCase() === id.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new Error(`Not on the watchlist: ${unknown.join(', ')}`);
+  }
+
+  const watchlist = add.length > 0 || remove.length > 0 ?
+    await updateWatchlist({ add, remove, note: params.note }) :
+    current;
+  const history = await readHistory();
+  const watched = watchlist.map(entry => watchedStatus(entry, models, history));
+
+  const summary = {};
+  for (const w of watched) {
+    summary[w.status] = (summary[w.status] || 0) + 1;
+  }
+
+  return {
+    watched,
+    added: add.length > 0 ? add : undefined,
+    removed: remove.length > 0 ? remove : undefined,
+    summary,
+    alerts: watched.filter(w => w.warning).map(w => w.warning),
+    note: watched.length === 0 ? 'No models are watched yet. Pass `add` with the model IDs you depend on.' : undefined,
+    data_freshness: freshness,
+  };
+}
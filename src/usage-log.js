@@ -0,0 +1,147 @@
+import { readFile, stat } from 'fs/promises';
+import { extname } from 'path';
+import { resolveAllowedPath } from './file-access.js';
+import { parseCsv } from './quality.js';
+
+const MAX_LOG_BYTES = 50 * 1024 * 1024; // 50 MB per usage log
+
+// Accepted names for each field, checked in order. Dotted names are looked up
+// as a column of that name first, then as a path into nested JSON (OpenAI-style
+// `usage` objects).
+const FIELDS = {
+  model: ['model', 'model_id', 'model_name'],
+  prompt_tokens: ['prompt_tokens', 'input_tokens', 'tokens_prompt', 'usage.prompt_tokens', 'usage.input_tokens'],
+  completion_tokens: ['completion_tokens', 'output_tokens', 'tokens_completion', 'usage.completion_tokens', 'usage.output_tokens'],
+  cached_tokens: ['cached_tokens', 'cache_read_tokens', 'prompt_tokens_details.cached_tokens', 'usage.prompt_tokens_details.cached_tokens'],
+  cost: ['cost', 'total_cost', 'usage.cost'],
+  timestamp: ['timestamp', 'created_at', 'time', 'created'],
+};
+
+export const LOG_FORMATS = ['jsonl', 'csv'];
+
+/**
+ * Value of the first of `names` a record has
+ */
+function pick(record, names) {
+  for (const name of names) {
+    const value = name in record ?
+      record[name] :
+      name.split('.').reduce((obj, key) => obj && typeof obj === 'object' ? obj[key] : undefined, record);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a logged timestamp (ISO string, Unix seconds or milliseconds)
+ */
+function parseTimestamp(value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  const time = Number.isFinite(number) ? (number > 1e12 ? number : number * 1000) : new Date(value).getTime();
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+/**
+ * Normalize one logged call, or return why it cannot be used
+ */
+function normalizeCall(record, call) {
+  const model = pick(record, FIELDS.model);
+  if (typeof model !== 'string' || model.trim() === '') {
+    return { call, reason: 'no model' };
+  }
+
+  const counts = {};
+  for (const field of ['prompt_tokens', 'completion_tokens', 'cached_tokens']) {
+    const raw = pick(record, FIELDS[field]);
+    const value = raw === undefined ? 0 : Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      return { call, reason: `${field} is not a non-negative number` };
+    }
+    counts[field] = value;
+  }
+  if (counts.prompt_tokens === 0 && counts.completion_tokens === 0) {
+    return { call, reason: 'no token counts' };
+  }
+
+  const cost = pick(record, FIELDS.cost);
+  return {
+    call,
+    model: model.trim(),
+    ...counts,
+    cached_tokens: Math.min(counts.cached_tokens, counts.prompt_tokens),
+    cost: cost !== undefined && Number.isFinite(Number(cost)) ? Number(cost) : undefined,
+    timestamp: parseTimestamp(pick(record, FIELDS.timestamp)),
+  };
+}
+
+/**
+ * Parse a usage log: JSON Lines (one call per line; a JSON array also works) or
+ * CSV with a header row. Returns the usable calls, numbered from 1 in log order,
+ * and the skipped ones with the reason.
+ */
+export function parseUsageLog(text, format) {
+  let records;
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return { calls: [], skipped: [] };
+    }
+    const columns = header.map(c => c.trim().toLowerCase());
+    records = rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]?.trim()])));
+  } else if (text.trimStart().startsWith('[')) {
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Usage log is not valid JSON: ${error.message}`);
+    }
+  } else {
+    records = text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    });
+  }
+
+  const calls = [];
+  const skipped = [];
+  records.forEach((record, i) => {
+    const entry = record && typeof record === 'object' ?
+      normalizeCall(record, i + 1) :
+      { call: i + 1, reason: 'not a JSON object' };
+    (entry.reason ? skipped : calls).push(entry);
+  });
+  return { calls, skipped };
+}
+
+/**
+ * Read and parse a usage log from inline text or a file; the format comes from
+ * `format`, else the file extension (.csv), else the content
+ */
+export async function readUsageLog({ log_text: text, log_file: filePath, format } = {}) {
+  if ((text === undefined) === (filePath === undefined)) {
+    throw new Error('Give either log_text or log_file');
+  }
+  if (format !== undefined && !LOG_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+
+  let path;
+  if (filePath !== undefined) {
+    path = await resolveAllowedPath(filePath, 'log_file');
+    const { size } = await stat(path);
+    if (size > MAX_LOG_BYTES) {
+      throw new Error(`log_file is larger than ${MAX_LOG_BYTES / 1024 / 1024} MB: ${path}`);
+    }
+    text = await readFile(path, 'utf8');
+  }
+
+  const detected = format ||
+    (path && extname(path).toLowerCase() === '.csv' ? 'csv' : undefined) ||
+    (/^\s*[[{]/.test(text) ? 'jsonl' : 'csv');
+  return { path, format: detected, ...parseUsageLog(text, detected) };
+}
@@ -0,0 +1,31 @@
+import { watchlistPath } from './config.js';
+import { readDataFile, writeDataFile } from './store.js';
+
+/**
+ * Read the watched models: [{ model_id, note, watched_since }]
+ */
+export async function readWatchlist() {
+  const data = await readDataFile(watchlistPath());
+  return Array.isArray(data?.models) ? data.models : [];
+}
+
+/**
+ * Add models to the watchlist (a model already watched keeps its watched_since
+ * date; a new note replaces the old one) and remove others
+ */
+export async function updateWatchlist({ add = [], remove = [], note } = {}, now = Date.now()) {
+  const removing = new Set(remove.map(id => id.toLowerCase()));
+  const models = (await readWatchlist()).filter(entry => !removing.has(entry.model_id.toLowerCase()));
+
+  for (const id of add) {
+    const existing = models.find(entry => entry.model_id.toLowerCase() === id.toLowerCase());
+    if (existing) {
+      if (note !== undefined) existing.note = note;
+    } else {
+      models.push({ model_id: id, note, watched_since: new Date(now).toISOString() });
+    }
+  }
+
+  await writeDataFile(watchlistPath(), { version: 1, models });
+  return models;
+}
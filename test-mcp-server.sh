@@ -20,19 +20,19 @@ echo ""
 # Test 1: List tools
 echo "Test 1: Requesting available tools"
 echo "-----------------------------------"
-echo '{"jsonrpc":"2.0","id":1,"method":"tools/list","params":{}}' | node index.js 2>/dev/null | head -20
+echo '{"jsonrpc":"2.0","id":1,"method":"tools/list","params":{}}' | node cli.js 2>/dev/null | head -20
 echo ""
 
 # Test 2: Call get_model tool
 echo "Test 2: Calling get_model tool"
 echo "-------------------------------"
-echo '{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"get_model","arguments":{"model_id":"openai/gpt-4"}}}' | timeout 5 node index.js 2>/dev/null | head -30
+echo '{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"get_model","arguments":{"model_id":"openai/gpt-4"}}}' | timeout 5 node cli.js 2>/dev/null | head -30
 echo ""
 
 # Test 3: Call consider_models tool
 echo "Test 3: Calling consider_models tool (free models)"
 echo "---------------------------------------------------"
-echo '{"jsonrpc":"2.0","id":3,"method":"tools/call","params":{"name":"consider_models","arguments":{"request":"free models","max_results":3}}}' | timeout 5 node index.js 2>/dev/null | head -40
+echo '{"jsonrpc":"2.0","id":3,"method":"tools/call","params":{"name":"consider_models","arguments":{"request":"free models","max_results":3}}}' | timeout 5 node cli.js 2>/dev/null | head -40
 echo ""
 
 echo "==============================="
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  applyFilters,
+  calculateCost,
+  configure,
+  considerModels,
+  createServer,
+  fetchModels,
+  findModel,
+  searchModels,
+  settings,
+} from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-api-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('configure rejects unknown settings', () => {
+  assert.throws(() => configure({ dataDirectory: '/tmp' }), /Unknown setting: dataDirectory/);
+  assert.equal(settings.dataDir, dataDir);
+});
+
+test('loads the catalog from a configured source', async () => {
+  const { models, sources } = await fetchModels();
+  assert.equal(models.length, 10);
+  assert.deepEqual(sources.map(s => [s.name, s.origin]), [['fixture', 'live']]);
+  assert.equal(models[0].source.name, 'fixture');
+});
+
+test('filters, searches and looks up models', async () => {
+  const { models } = await fetchModels();
+
+  const cheapVision = applyFilters(models, { has_vision: true, max_price_per_1m: 1 });
+  assert.ok(cheapVision.length > 0);
+  assert.ok(cheapVision.every(m => m.architecture.input_modalities.includes('image')));
+
+  const hits = searchModels(models, ['claude', 'sonnet']);
+  assert.equal(hits[0].model.id, 'anthropic/claude-sonnet-4');
+
+  assert.equal(findModel(models, 'gpt-4o-mini')[0].id, 'openai/gpt-4o-mini');
+  assert.throws(() => findModel(models, 'zzzz-nothing'), /not found/i);
+});
+
+test('consider_models searches misspelled and joined model names', async () => {
+  const joined = await considerModels({ request: 'gpt4o' });
+  assert.equal(joined.interpretation.search_strategy, 'keyword search');
+  assert.equal(joined.models[0].id, 'openai/gpt-4o');
+
+  const misspelled = await considerModels({ request: 'sonet 4' });
+  assert.deepEqual(misspelled.interpretation.search_terms, ['sonet', '4']);
+  assert.equal(misspelled.interpretation.unparsed, undefined);
+  assert.equal(misspelled.models[0].id, 'anthropic/claude-sonnet-4');
+
+  // A provider word plus a model name ranks the named model first
+  const named = await considerModels({ request: 'claude sonnet' });
+  assert.deepEqual(named.models.map(m => m.id), ['anthropic/claude-sonnet-4', 'anthropic/claude-3-haiku']);
+
+  // Words that name no model stay unparsed and do not narrow the list
+  const other = await considerModels({ request: 'coding models' });
+  assert.deepEqual(other.interpretation.unparsed, ['coding']);
+  assert.equal(other.total_models_found, 10);
+});
+
+test('costs a workload', async () => {
+  const { models } = await fetchModels();
+  const [mini] = findModel(models, 'openai/gpt-4o-mini');
+
+  const single = calculateCost(mini, { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 });
+  assert.equal(single.basis, 'per_request');
+  assert.ok(Math.abs(single.total - 0.75) < 1e-9);
+
+  const monthly = calculateCost(mini, { prompt_tokens: 1000, requests_per_day: 100 });
+  assert.equal(monthly.basis, 'monthly');
+  assert.ok(Math.abs(monthly.total - 0.00015 * 100 * 30) < 1e-9);
+});
+
+test('createServer serves tools over any transport', async () => {
+  const server = createServer();
+  const client = new Client({ name: 'api-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+  try {
+    const { tools } = await client.listTools();
+    assert.ok(tools.some(t => t.name === 'consider_models'));
+
+    const result = await client.callTool({ name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } });
+    assert.equal(JSON.parse(result.content[0].text).source, 'fixture');
+
+    // Filter expressions are part of the consider_models input schema
+    const consider = tools.find(t => t.name === 'consider_models');
+    assert.ok(consider.inputSchema.properties.filters.properties.where.properties.field.enum.includes('pricing.request'));
+    const images = await client.callTool({
+      name: 'consider_models',
+      arguments: { filters: { where: { field: 'output_modalities', op: 'contains', value: 'image' } } },
+    });
+    assert.deepEqual(images.structuredContent.models.map(m => m.id), ['openai/gpt-image-1']);
+
+    const bad = await client.callTool({
+      name: 'consider_models',
+      arguments: { filters: { where: { field: 'is_moderated', op: 'lt', value: 1 } } },
+    });
+    assert.equal(bad.isError, true);
+    assert.match(bad.content[0].text, /operator "lt" does not apply to boolean field is_moderated/);
+  } finally {
+    await client.close();
+  }
+});
@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configure, fetchModels, isFree, readHistory } from '../index.js';
+import { FIXTURE, loadFixture, startMockCatalog } from './helpers.js';
+
+let mock;
+let dataDir;
+
+before(async () => {
+  mock = await startMockCatalog();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-catalog-'));
+  mock.recover();
+  mock.setCatalog(loadFixture());
+  mock.requests.length = 0;
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Point the catalog at the mock OpenRouter endpoint
+ */
+function useOpenRouter(extra = {}) {
+  configure({
+    sources: 'openrouter',
+    openRouterApiUrl: mock.openRouterUrl,
+    openRouterApiKey: 'test-key',
+    dataDir,
+    offline: false,
+    snapshotFile: undefined,
+    ...extra,
+  });
+}
+
+test('fetches and normalizes the OpenRouter catalog', async () => {
+  useOpenRouter();
+  const result = await fetchModels();
+
+  assert.equal(result.cached, false);
+  assert.equal(result.models.length, 10);
+  assert.equal(mock.requests[0].authorization, 'Bearer test-key');
+
+  const gpt4o = result.models.find(m => m.id === 'openai/gpt-4o');
+  assert.equal(gpt4o.provider, 'openai');
+  assert.deepEqual(gpt4o.source, {
+    name: 'openrouter',
+    type: 'openrouter',
+    api_endpoint: `${mock.openRouterUrl.replace(/\/models$/, '')}/chat/completions`,
+    api_format: 'OpenAI-compatible',
+  });
+  assert.equal(result.freshness.origin, 'live');
+});
+
+test('serves repeat calls from the cache', async () => {
+  useOpenRouter();
+  await fetchModels();
+  const again = await fetchModels();
+
+  assert.equal(again.cached, true);
+  assert.equal(mock.requests.length, 1);
+});
+
+test('shares one request between concurrent callers', async () => {
+  useOpenRouter();
+  await Promise.all([fetchModels(), fetchModels(), fetchModels()]);
+  assert.equal(mock.requests.length, 1);
+});
+
+test('merges an OpenAI-compatible source with unknown pricing', async () => {
+  useOpenRouter({ sources: `openrouter,local=openai-compatible:${mock.openAIUrl}` });
+  const { models, sources } = await fetchModels();
+
+  assert.equal(models.length, 20);
+  assert.deepEqual(sources.map(s => [s.name, s.model_count]), [['openrouter', 10], ['local', 10]]);
+
+  const local = models.find(m => m.source.name === 'local' && m.id === 'openai/gpt-4o');
+  assert.equal(local.provider, 'openai');
+  assert.equal(local.source.api_endpoint, `${mock.openAIUrl}/chat/completions`);
+  assert.equal(isFree(local.pricing), false);
+});
+
+test('falls back to the snapshot when a source fails', async () => {
+  useOpenRouter();
+  await fetchModels();
+
+  mock.fail(503);
+  useOpenRouter();
+  const result = await fetchModels(true);
+
+  assert.equal(result.models.length, 10);
+  assert.equal(result.sources[0].origin, 'snapshot');
+  assert.match(result.sources[0].error, /503/);
+});
+
+test('fails when no source and no snapshot is available', async () => {
+  mock.fail(500);
+  useOpenRouter();
+  await assert.rejects(fetchModels(), /OpenRouter API error: 500/);
+});
+
+test('offline mode never touches the network', async () => {
+  useOpenRouter();
+  await fetchModels();
+  mock.requests.length = 0;
+
+  useOpenRouter({ offline: true });
+  const result = await fetchModels(true);
+
+  assert.equal(mock.requests.length, 0);
+  assert.equal(result.models.length, 10);
+  assert.equal(result.freshness.origin, 'snapshot');
+  assert.equal(result.freshness.offline_mode, true);
+});
+
+test('records catalog changes in the history', async () => {
+  useOpenRouter();
+  await fetchModels();
+
+  const changed = loadFixture();
+  changed.data = changed.data.filter(m => m.id !== 'openai/gpt-image-1');
+  changed.data.find(m => m.id === 'openai/gpt-4o').pricing.prompt = '0.000002';
+  changed.data.push({ ...changed.data[0], id: 'openai/gpt-5', name: 'OpenAI: GPT-5' });
+  mock.setCatalog(changed);
+
+  await fetchModels(true);
+  const history = await readHistory();
+
+  assert.equal(history[0].change, 'baseline');
+  const changes = history.slice(1).map(e => [e.change, e.model_id, e.field]);
+  assert.deepEqual(changes.sort(), [
+    ['added', 'openai/gpt-5', undefined],
+    ['pricing', 'openai/gpt-4o', 'prompt'],
+    ['removed', 'openai/gpt-image-1', undefined],
+  ]);
+  assert.equal(history.find(e => e.change === 'pricing').percent_change, -20);
+});
+
+test('a raw snapshot file needs a source to attribute its models to', async () => {
+  useOpenRouter({ sources: [], snapshotFile: FIXTURE });
+  await assert.rejects(fetchModels(), /No catalog source configured to attribute MODEL_SCOUT_SNAPSHOT_FILE to/);
+});
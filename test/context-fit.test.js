@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, relative } from 'node:path';
+import { checkContextFit, collectDocuments, configure } from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+let dataDir;
+let docsDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-fit-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, policyFile: '' });
+
+  docsDir = join(dataDir, 'project');
+  mkdirSync(join(docsDir, 'src'), { recursive: true });
+  mkdirSync(join(docsDir, 'node_modules', 'dep'), { recursive: true });
+  mkdirSync(join(docsDir, '.git'));
+  writeFileSync(join(docsDir, 'README.md'), '# Project\n\nA small project.\n');
+  writeFileSync(join(docsDir, 'src', 'main.js'), 'export const answer = 42;\n'.repeat(20));
+  writeFileSync(join(docsDir, 'node_modules', 'dep', 'index.js'), 'module.exports = {};\n');
+  writeFileSync(join(docsDir, '.git', 'config'), '[core]\n');
+  writeFileSync(join(docsDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('collects text files from directories', async () => {
+  const documents = await collectDocuments([docsDir]);
+  const rel = path => relative(process.cwd(), join(docsDir, path));
+
+  assert.deepEqual(documents.files.map(f => f.path), [rel('README.md'), rel('src/main.js')]);
+  assert.deepEqual(documents.skipped, [{ path: rel('logo.png'), reason: 'binary file (extract its text first)' }]);
+  assert.ok(documents.text.startsWith(`=== ${rel('README.md')} ===\n# Project`));
+
+  const scripts = await collectDocuments([docsDir], { extensions: ['js'] });
+  assert.deepEqual(scripts.files.map(f => f.path), [rel('src/main.js')]);
+
+  await assert.rejects(collectDocuments([join(docsDir, 'missing.txt')]), /No such file or directory/);
+});
+
+test('reports which models fit a document in one call', async () => {
+  const result = await checkContextFit({ paths: [docsDir], model_ids: ['openai/gpt-4o', 'anthropic/claude-3-haiku'] });
+
+  assert.equal(result.documents.files, 2);
+  assert.ok(result.documents.tokens > 0);
+  assert.equal(result.documents.largest_files[0].path, relative(process.cwd(), join(docsDir, 'src', 'main.js')));
+  assert.equal(result.summary.fit_in_one_call, 2);
+  assert.ok(result.models.every(m => m.fits && m.chunks === 1));
+
+  const gpt4o = result.models.find(m => m.id === 'openai/gpt-4o');
+  assert.equal(gpt4o.exact, true);
+  assert.equal(gpt4o.headroom_tokens, 128000 - 1000 - gpt4o.document_tokens);
+  const expected = (gpt4o.document_tokens * 2.5 + 1000 * 10) / 1e6;
+  assert.ok(Math.abs(gpt4o.total_cost - expected) < 1e-9);
+});
+
+test('counts the chunks and cost for models that are too small', async () => {
+  const text = 'word '.repeat(40000);
+  const result = await checkContextFit({
+    text,
+    model_ids: ['openai/gpt-image-1', 'google/gemini-2.5-flash'],
+    prompt_overhead_tokens: 200,
+  });
+
+  assert.deepEqual(result.models.map(m => [m.id, m.fits]), [['google/gemini-2.5-flash', true], ['openai/gpt-image-1', false]]);
+  const image = result.models[1];
+  const perChunk = 32000 - 1000 - 200;
+  assert.equal(image.chunks, Math.ceil(image.document_tokens / perChunk));
+  assert.equal(image.chunks, 2);
+  const expected = 0.04 * 2 + (image.document_tokens + 200 * 2) * 5e-6 + 1000 * 2 * 40e-6;
+  assert.ok(Math.abs(image.total_cost - expected) < 1e-9);
+  assert.equal(result.summary.cheapest_single_call, 'google/gemini-2.5-flash');
+
+  // Output larger than a model can produce in one call
+  const long = await checkContextFit({ text: 'hello', model_ids: ['anthropic/claude-3-haiku'], expected_output_tokens: 5000 });
+  assert.equal(long.models[0].fits, false);
+  assert.match(long.models[0].reason, /exceeds max_completion_tokens/);
+  assert.equal(long.summary.cannot_serve, 1);
+
+  await assert.rejects(checkContextFit({ model_ids: ['openai/gpt-4o'] }), /Give either paths or text/);
+});
+
+test('reports only excluded models that could have served the documents', async () => {
+  const policyFile = join(dataDir, 'policy.json');
+  writeFileSync(policyFile, JSON.stringify({ name: 'no-openai-google', deny_models: ['openai/*', 'google/*'] }));
+  configure({ policyFile });
+  try {
+    // No OpenAI model can write 20,000 tokens in one call, so only Gemini 2.5 Flash is reported
+    const result = await checkContextFit({ text: 'hello', expected_output_tokens: 20000 });
+    assert.deepEqual(result.policy.excluded.map(e => e.id), ['google/gemini-2.5-flash']);
+  } finally {
+    configure({ policyFile: '' });
+  }
+});
+
+test('reads paths only inside the allowed file roots', async () => {
+  const outside = join(dataDir, 'secret.txt');
+  writeFileSync(outside, 'not for the model\n');
+  symlinkSync(outside, join(docsDir, 'secret-link.txt'));
+  configure({ fileRoots: [docsDir] });
+  try {
+    const documents = await collectDocuments([docsDir]);
+    const link = relative(process.cwd(), join(docsDir, 'secret-link.txt'));
+    assert.ok(documents.files.every(f => f.path !== link));
+    assert.deepEqual(documents.skipped.find(s => s.path === link), { path: link, reason: 'symlink outside the allowed file roots' });
+    assert.doesNotMatch(documents.text, /not for the model/);
+
+    await assert.rejects(checkContextFit({ paths: [outside] }), /paths is outside the allowed file roots/);
+    await assert.rejects(collectDocuments([join(docsDir, 'secret-link.txt')]), /paths is outside the allowed file roots/);
+  } finally {
+    configure({ fileRoots: undefined });
+    rmSync(join(docsDir, 'secret-link.txt'));
+  }
+});
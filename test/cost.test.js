@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCost, formatModelData } from '../index.js';
+import { fixtureModels } from './helpers.js';
+
+const models = fixtureModels();
+
+/**
+ * Formatted fixture model by ID
+ */
+function model(id) {
+  return formatModelData(models.find(m => m.id === id));
+}
+
+/**
+ * Assert two dollar amounts are equal to within floating point error
+ */
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('prices prompt and completion tokens per request', () => {
+  const cost = calculateCost(model('openai/gpt-4o-mini'), { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 });
+  assert.equal(cost.basis, 'per_request');
+  near(cost.total, 0.75);
+  near(cost.breakdown.prompt.per_request, 0.15);
+  near(cost.breakdown.completion.per_request, 0.6);
+  assert.equal(cost.daily, undefined);
+  assert.equal(cost.monthly, undefined);
+});
+
+test('an empty workload costs nothing', () => {
+  const cost = calculateCost(model('openai/gpt-4o'), {});
+  assert.equal(cost.total, 0);
+  assert.deepEqual(cost.breakdown, {});
+  assert.equal(cost.notes, undefined);
+});
+
+test('free models cost nothing at any volume', () => {
+  const cost = calculateCost(model('meta-llama/llama-3.3-70b-instruct:free'), {
+    prompt_tokens: 50_000,
+    completion_tokens: 10_000,
+    requests_per_day: 10_000,
+  });
+  assert.equal(cost.total, 0);
+  assert.equal(cost.annual, 0);
+});
+
+test('flags models without pricing instead of silently costing zero', () => {
+  const unpriced = formatModelData({ ...models[0], pricing: {} });
+  const cost = calculateCost(unpriced, { prompt_tokens: 1000 });
+  assert.equal(cost.total, 0);
+  assert.match(cost.notes.join(' '), /No pricing listed/);
+});
+
+test('splits prompt tokens into uncached, cache reads and cache writes', () => {
+  const cost = calculateCost(model('anthropic/claude-sonnet-4'), {
+    prompt_tokens: 1_000_000,
+    cache_hit_ratio: 0.5,
+    cache_write_ratio: 0.2,
+  });
+  near(cost.breakdown.prompt.quantity, 300_000);
+  near(cost.breakdown.prompt.per_request, 0.9);
+  near(cost.breakdown.cache_read.per_request, 0.15);
+  near(cost.breakdown.cache_write.per_request, 0.75);
+  near(cost.total, 1.8);
+});
+
+test('bills cache reads at the prompt price when no cache price is listed', () => {
+  const cost = calculateCost(model('deepseek/deepseek-r1'), { prompt_tokens: 1000, cache_hit_ratio: 0.5 });
+  near(cost.total, 1000 * 0.0000004);
+  assert.match(cost.notes.join(' '), /No cache read price/);
+});
+
+test('rejects invalid cache ratios', () => {
+  const gpt4o = model('openai/gpt-4o');
+  assert.throws(() => calculateCost(gpt4o, { cache_hit_ratio: 1.5 }), /between 0 and 1/);
+  assert.throws(() => calculateCost(gpt4o, { cache_write_ratio: -0.1 }), /between 0 and 1/);
+  assert.throws(() => calculateCost(gpt4o, { cache_hit_ratio: 0.7, cache_write_ratio: 0.5 }), /cannot exceed 1/);
+});
+
+test('prices reasoning tokens', () => {
+  const gemini = model('google/gemini-2.5-flash');
+  near(calculateCost(gemini, { reasoning_tokens: 1000 }).total, 0.0025);
+
+  const multiplied = calculateCost(gemini, { completion_tokens: 1000, reasoning_multiplier: 2 });
+  assert.equal(multiplied.breakdown.reasoning.quantity, 2000);
+  near(multiplied.total, 0.0025 + 0.005);
+
+  // No separate price: falls back to the completion price
+  const r1 = calculateCost(model('deepseek/deepseek-r1'), { reasoning_tokens: 1000 });
+  near(r1.total, 0.002);
+  assert.match(r1.notes.join(' '), /No separate reasoning price/);
+});
+
+test('bills reasoning tokens at a listed price of zero', () => {
+  const r1 = models.find(m => m.id === 'deepseek/deepseek-r1');
+  const freeReasoning = formatModelData({ ...r1, pricing: { ...r1.pricing, internal_reasoning: '0' } });
+  assert.equal(freeReasoning.pricing.internal_reasoning, 0);
+
+  const cost = calculateCost(freeReasoning, { completion_tokens: 1000, reasoning_tokens: 1000 });
+  assert.equal(cost.breakdown.reasoning.unit_price, 0);
+  near(cost.breakdown.reasoning.per_request, 0);
+  near(cost.total, 0.002);
+  assert.equal(cost.notes, undefined);
+});
+
+test('prices web search calls and images', () => {
+  near(calculateCost(model('openai/gpt-4o'), { web_search_calls: 3 }).total, 0.03);
+  near(calculateCost(model('anthropic/claude-3-haiku'), { images: 2 }).total, 0.0008);
+
+  const noSearch = calculateCost(model('openai/gpt-4o-mini'), { web_search_calls: 3 });
+  assert.equal(noSearch.total, 0);
+  assert.match(noSearch.notes.join(' '), /No web search price/);
+
+  const noImages = calculateCost(model('deepseek/deepseek-r1'), { images: 1 });
+  assert.match(noImages.notes.join(' '), /No per-image price/);
+});
+
+test('adds per-request fees', () => {
+  const cost = calculateCost(model('openai/gpt-image-1'), {});
+  near(cost.total, 0.04);
+  assert.deepEqual(Object.keys(cost.breakdown), ['request_fee']);
+});
+
+test('projects daily volume to monthly and annual spend', () => {
+  const cost = calculateCost(model('openai/gpt-4o'), { prompt_tokens: 1000, requests_per_day: 100 });
+  assert.equal(cost.basis, 'monthly');
+  near(cost.per_request, 0.0025);
+  near(cost.daily, 0.25);
+  near(cost.monthly, 7.5);
+  near(cost.annual, 90);
+  near(cost.total, cost.monthly);
+  near(cost.breakdown.prompt.monthly, 7.5);
+});
+
+test('derives daily volume from monthly volume', () => {
+  const cost = calculateCost(model('openai/gpt-4o'), { prompt_tokens: 1000, requests_per_month: 3000 });
+  near(cost.daily, 0.25);
+  near(cost.monthly, 7.5);
+});
+
+test('uses each volume figure when both are given', () => {
+  const cost = calculateCost(model('openai/gpt-4o'), { prompt_tokens: 1000, requests_per_day: 10, requests_per_month: 200 });
+  near(cost.daily, 0.025);
+  near(cost.monthly, 0.5);
+  assert.match(cost.notes.join(' '), /does not match/);
+});
@@ -0,0 +1,219 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { connect, ROOT, startMockCatalog, startServer } from './helpers.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockCatalog();
+});
+
+after(() => mock.close());
+
+/**
+ * Environment pointing the server at the mock OpenRouter endpoint
+ */
+function mockEnv() {
+  return {
+    OPENROUTER_API_URL: mock.openRouterUrl,
+    OPENROUTER_API_KEY: 'test-key',
+    MODEL_SOURCES: 'openrouter',
+  };
+}
+
+/**
+ * Call a tool and parse its JSON result
+ */
+async function callJson(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(!result.isError, result.content[0].text);
+  return JSON.parse(result.content[0].text);
+}
+
+const transports = {
+  stdio: async () => {
+    const dataDir = mkdtempSync(join(tmpdir(), 'model-scout-e2e-'));
+    const client = new Client({ name: 'e2e-stdio', version: '1.0.0' });
+    await client.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [join(ROOT, 'cli.js')],
+      env: { PATH: process.env.PATH, MODEL_SCOUT_DATA_DIR: dataDir, ...mockEnv() },
+      stderr: 'ignore',
+    }));
+    return {
+      client,
+      async close() {
+        await client.close();
+        rmSync(dataDir, { recursive: true, force: true });
+      },
+    };
+  },
+
+  http: async () => {
+    const server = await startServer(mockEnv());
+    const client = await connect(server.url);
+    return {
+      client,
+      async close() {
+        await client.close();
+        server.stop();
+      },
+    };
+  },
+};
+
+for (const [transport, open] of Object.entries(transports)) {
+  describe(`MCP over ${transport}`, () => {
+    let session;
+    let client;
+
+    before(async () => {
+      session = await open();
+      client = session.client;
+    });
+
+    after(() => session?.close());
+
+    test('lists every tool', async () => {
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map(t => t.name).sort(), [
+        'check_context_fit',
+        'check_model_policy',
+        'consider_models',
+        'estimate_tokens',
+        'get_model',
+        'get_model_alternatives',
+        'model_changes',
+        'plan_budget',
+        'recommend_model',
+        'replay_costs',
+        'shortlists',
+        'usage_profiles',
+        'watched_models',
+      ]);
+    });
+
+    test('get_model', async () => {
+      const model = await callJson(client, 'get_model', { model_id: 'claude sonnet 4' });
+      assert.equal(model.id, 'anthropic/claude-sonnet-4');
+      assert.equal(model.source, 'openrouter');
+      assert.equal(model.matched_by_search.query, 'claude sonnet 4');
+    });
+
+    test('consider_models with a natural language request and workload', async () => {
+      const result = await callJson(client, 'consider_models', {
+        request: 'cheap vision models under $1 per million',
+        workload: { prompt_tokens: 1000, completion_tokens: 500, requests_per_day: 100 },
+        max_results: 5,
+      });
+      assert.deepEqual(result.models.map(m => m.id), [
+        'mistralai/mistral-small-3.1-24b-instruct',
+        'openai/gpt-4o-mini',
+      ]);
+      assert.ok(result.models.every(m => m.estimated_cost?.basis === 'monthly'));
+    });
+
+    test('consider_models with structured filters and sorting', async () => {
+      const result = await callJson(client, 'consider_models', {
+        filters: { has_reasoning: true },
+        sort_by: 'context',
+      });
+      assert.deepEqual(result.models.map(m => m.id), [
+        'google/gemini-2.5-flash',
+        'anthropic/claude-sonnet-4',
+        'deepseek/deepseek-r1',
+      ]);
+    });
+
+    test('recommend_model', async () => {
+      const result = await callJson(client, 'recommend_model', { use_case: 'coding assistant with function calling' });
+      assert.deepEqual(result.interpretation.hard_requirements, { has_tools: true });
+      assert.ok(result.recommendations.length > 0);
+      assert.ok(result.recommendations.every(r => r.capabilities.includes('tools')));
+    });
+
+    test('get_model_alternatives', async () => {
+      const result = await callJson(client, 'get_model_alternatives', { model_id: 'openai/gpt-4o' });
+      assert.equal(result.reference.id, 'openai/gpt-4o');
+      assert.ok(result.alternatives.cheaper.length > 0);
+    });
+
+    test('plan_budget', async () => {
+      const result = await callJson(client, 'plan_budget', {
+        budget: 20,
+        workloads: [
+          { name: 'chat', required_features: ['tools'], workload: { prompt_tokens: 1000, completion_tokens: 300, requests_per_day: 500 } },
+          { name: 'summaries', workload: { prompt_tokens: 4000, completion_tokens: 200, requests_per_month: 2000 } },
+        ],
+      });
+      assert.equal(result.budget.within_budget, true);
+      assert.deepEqual(result.assignments.map(a => a.workload), ['chat', 'summaries']);
+    });
+
+    test('watched_models', async () => {
+      const result = await callJson(client, 'watched_models', { add: ['gpt-4o mini'], note: 'production' });
+      assert.deepEqual(result.added, ['openai/gpt-4o-mini']);
+      assert.equal(result.watched.find(w => w.model_id === 'openai/gpt-4o-mini').status, 'active');
+    });
+
+    test('estimate_tokens', async () => {
+      const result = await callJson(client, 'estimate_tokens', {
+        prompt_text: 'Summarize the following meeting notes in three bullet points.',
+        model_ids: ['openai/gpt-4o'],
+      });
+      assert.equal(result.models[0].exact, true);
+      assert.ok(result.models[0].prompt_tokens > 5);
+    });
+
+    test('file parameters are disabled over HTTP unless roots are configured', async () => {
+      const result = await client.callTool({ name: 'estimate_tokens', arguments: { prompt_file: join(ROOT, 'package.json') } });
+      if (transport === 'http') {
+        assert.equal(result.isError, true);
+        assert.match(result.content[0].text, /prompt_file is disabled on this server/);
+      } else {
+        assert.ok(!result.isError, result.content[0].text);
+      }
+    });
+
+    test('model_changes', async () => {
+      const result = await callJson(client, 'model_changes', {});
+      assert.equal(result.total_changes, 0);
+      assert.ok(result.tracking_since);
+    });
+
+    test('returns structured content alongside the requested text format', async () => {
+      const result = await client.callTool({
+        name: 'consider_models',
+        arguments: { request: 'free models', output_format: 'markdown' },
+      });
+      assert.match(result.content[0].text, /^\*\*Understood as:\*\* free models only/);
+      assert.deepEqual(result.structuredContent.models.map(m => m.id), ['meta-llama/llama-3.3-70b-instruct:free']);
+    });
+
+    test('reports tool errors without failing the request', async () => {
+      const missing = await client.callTool({ name: 'get_model', arguments: { model_id: 'zzzz-no-such-model' } });
+      assert.equal(missing.isError, true);
+      assert.match(missing.content[0].text, /^Error: /);
+
+      const unknown = await client.callTool({ name: 'no_such_tool', arguments: {} });
+      assert.equal(unknown.isError, true);
+      assert.match(unknown.content[0].text, /Unknown tool/);
+    });
+
+    test('resources and prompts', async () => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.ok(resourceTemplates.some(t => t.uriTemplate === 'models://{id}'));
+
+      const { contents } = await client.readResource({ uri: 'models://provider/anthropic' });
+      assert.equal(JSON.parse(contents[0].text).total, 2);
+
+      const prompt = await client.getPrompt({ name: 'pick_model_for_task', arguments: { task: 'summarize emails' } });
+      assert.ok(prompt.messages.length > 0);
+    });
+  });
+}
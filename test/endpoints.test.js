@@ -0,0 +1,154 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  configure,
+  considerModels,
+  fetchEndpoints,
+  fetchModels,
+  getEndpoints,
+  getModel,
+  handleToolCall,
+  normalizeEndpoint,
+  withProgress,
+} from '../index.js';
+import { FIXTURE, startMockCatalog } from './helpers.js';
+
+let mock;
+let dataDir;
+
+before(async () => {
+  mock = await startMockCatalog();
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-endpoints-'));
+});
+
+after(async () => {
+  await mock.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  configure({ sources: `openrouter:${mock.openRouterUrl}`, dataDir, offline: false });
+  mock.requests.length = 0;
+});
+
+/**
+ * Requests the mock received for endpoint lists
+ */
+function endpointRequests() {
+  return mock.requests.filter(r => r.url.endsWith('/endpoints')).map(r => r.url);
+}
+
+test('normalizes endpoint prices, quantization and uptime', () => {
+  const endpoint = normalizeEndpoint({
+    provider_name: 'Together',
+    tag: 'together/fp8',
+    quantization: 'FP8',
+    context_length: 131072,
+    max_completion_tokens: 2048,
+    max_prompt_tokens: null,
+    pricing: { prompt: '0.00000088', completion: '0.00000088' },
+    uptime_last_30m: null,
+    status: 0,
+  });
+
+  assert.equal(endpoint.provider, 'Together');
+  assert.equal(endpoint.quantization, 'fp8');
+  assert.equal(endpoint.max_prompt_tokens, undefined);
+  assert.equal(endpoint.uptime_last_30m, undefined);
+  assert.ok(Math.abs(endpoint.pricing.total_per_1m - 1.76) < 1e-9);
+});
+
+test('get_model merges the hosts serving a model, cheapest first', async () => {
+  const model = await getModel('meta-llama/llama-3.3-70b-instruct', undefined, true);
+
+  assert.deepEqual(model.endpoints.map(e => e.provider), ['DeepInfra', 'Together', 'Fireworks']);
+  assert.deepEqual(model.endpoint_summary, {
+    provider_count: 3,
+    quantizations: ['bf16', 'fp8'],
+    cheapest_provider: 'DeepInfra',
+    largest_context_provider: 'DeepInfra',
+  });
+  assert.equal(model.endpoints[1].max_completion_tokens, 2048);
+  assert.deepEqual(endpointRequests(), ['/api/v1/models/meta-llama/llama-3.3-70b-instruct/endpoints']);
+
+  const plain = await getModel('meta-llama/llama-3.3-70b-instruct');
+  assert.equal(plain.endpoints, undefined);
+});
+
+test('reports why endpoints are unavailable', async () => {
+  const model = await getModel('openai/gpt-4o-mini', undefined, true);
+  assert.equal(model.endpoints, undefined);
+  assert.match(model.endpoints_error, /OpenRouter endpoints API error: 404/);
+
+  configure({ sources: `fixture=static:${FIXTURE}` });
+  const local = await getModel('openai/gpt-4o', undefined, true);
+  assert.match(local.endpoints_error, /source "fixture" has no endpoint data/);
+});
+
+test('caches endpoint lookups until the catalog cache expires', async () => {
+  const { models } = await fetchModels();
+  const llama = models.filter(m => m.id === 'meta-llama/llama-3.3-70b-instruct');
+
+  await fetchEndpoints(llama);
+  await fetchEndpoints(llama);
+  assert.equal(endpointRequests().length, 1);
+  assert.equal(getEndpoints(llama[0]).length, 3);
+
+  await fetchEndpoints(llama, true);
+  assert.equal(endpointRequests().length, 2);
+});
+
+test('reports progress for each endpoint lookup', async () => {
+  const { models } = await fetchModels();
+  const picked = models.filter(m => m.provider === 'deepseek' || m.id === 'meta-llama/llama-3.3-70b-instruct');
+
+  const updates = [];
+  await withProgress(update => updates.push(update), () => fetchEndpoints(picked, true));
+  assert.deepEqual(updates.map(u => [u.progress, u.total]), [[1, 2], [2, 2]]);
+  assert.match(updates[1].message, /^Looked up hosting endpoints 2\/2: /);
+});
+
+test('offline mode does not fetch endpoints', async () => {
+  await fetchModels();
+  configure({ offline: true });
+  const model = await getModel('deepseek/deepseek-r1', undefined, true);
+  assert.match(model.endpoints_error, /offline mode/);
+  assert.deepEqual(endpointRequests(), []);
+});
+
+test('consider_models filters by quantization and provider count', async () => {
+  const fp8 = await considerModels({ request: 'models', filters: { quantization: 'FP8' } });
+  assert.deepEqual(fp8.models.map(m => m.id).sort(), ['deepseek/deepseek-r1', 'meta-llama/llama-3.3-70b-instruct']);
+  assert.match(fp8.endpoint_note, /7 candidate model\(s\) have no endpoint details/);
+
+  const hosted = await considerModels({ request: 'models', filters: { min_providers: 3 } });
+  assert.deepEqual(hosted.models.map(m => m.id), ['meta-llama/llama-3.3-70b-instruct']);
+  assert.equal(hosted.models[0].provider_count, 3);
+  assert.deepEqual(hosted.models[0].quantizations, ['bf16', 'fp8']);
+
+  // Providers are counted among hosts at the requested precision
+  const both = await considerModels({ request: 'models', filters: { quantization: 'bf16', min_providers: 2 } });
+  assert.equal(both.models.length, 0);
+});
+
+test('endpoint lookups are limited to candidates that pass the other filters', async () => {
+  await considerModels({ request: 'models', filters: { provider: 'deepseek', min_providers: 2 } });
+  assert.deepEqual(endpointRequests(), ['/api/v1/models/deepseek/deepseek-r1/endpoints']);
+
+  const listing = await considerModels({ request: 'models' });
+  assert.ok(listing.models.every(m => m.provider_count === undefined));
+});
+
+test('renders endpoints in Markdown', async () => {
+  const result = await handleToolCall({
+    params: { name: 'get_model', arguments: { model_id: 'deepseek/deepseek-r1', include_endpoints: true, output_format: 'markdown' } },
+  });
+  const text = result.content[0].text;
+
+  assert.match(text, /### Endpoints\n\nServed by 2 provider\(s\) at fp8 precision\./);
+  assert.match(text, /\| Novita \| fp8 \| 163,840 \| 163,840 \| \$0\.40 \| \$2\.00 \| 98\.4% \|/);
+  assert.equal(result.structuredContent.endpoint_summary.cheapest_provider, 'Novita');
+});
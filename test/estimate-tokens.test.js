@@ -0,0 +1,105 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { configure, createServer, estimateTokens, settings, startHttpServer } from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+const PROMPT = 'Hello world, this is a test prompt.';
+const COMPLETION = 'Sure thing.';
+
+let dataDir;
+let samplesDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-tokens-'));
+  samplesDir = join(dataDir, 'samples');
+  mkdirSync(samplesDir);
+  writeFileSync(join(samplesDir, 'prompt.txt'), PROMPT);
+  writeFileSync(join(dataDir, 'secret.txt'), 'not for clients');
+  symlinkSync(join(dataDir, 'secret.txt'), join(samplesDir, 'link.txt'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, policyFile: '' });
+});
+
+afterEach(() => configure({ fileRoots: undefined }));
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('counts sample text per tokenizer family', async () => {
+  const result = await estimateTokens({ prompt_text: PROMPT, completion_text: COMPLETION });
+
+  assert.deepEqual(result.characters, { prompt: 35, completion: 11 });
+  const byFamily = Object.fromEntries(result.by_tokenizer.map(r => [r.tokenizer, r]));
+  assert.equal(byFamily.openai, undefined);
+  assert.deepEqual(byFamily['openai-o200k'], {
+    tokenizer: 'openai-o200k', method: 'exact (o200k_base)', exact: true, prompt_tokens: 9, completion_tokens: 3,
+  });
+  // Other families scale the o200k count by their ratio, rounding up
+  assert.equal(byFamily.claude.method, 'estimate (o200k_base × 1.2)');
+  assert.deepEqual([byFamily.claude.prompt_tokens, byFamily.claude.completion_tokens], [11, 4]);
+  assert.equal(byFamily.claude.exact, false);
+});
+
+test('costs the counted tokens on each model', async () => {
+  const result = await estimateTokens({
+    prompt_text: PROMPT,
+    completion_text: COMPLETION,
+    model_ids: ['openai/gpt-4o', 'claude 3 haiku'],
+    workload: { requests_per_month: 1000 },
+  });
+
+  const [gpt4o, haiku] = result.models;
+  assert.equal(gpt4o.tokenizer, 'openai-o200k');
+  assert.ok(Math.abs(gpt4o.estimated_cost.monthly - (9 * 2.5e-6 + 3 * 10e-6) * 1000) < 1e-9);
+  assert.equal(haiku.id, 'anthropic/claude-3-haiku');
+  assert.ok(Math.abs(haiku.estimated_cost.monthly - (11 * 0.25e-6 + 4 * 1.25e-6) * 1000) < 1e-9);
+});
+
+test('reads sample files and rejects ambiguous or missing samples', async () => {
+  const result = await estimateTokens({ prompt_file: join(samplesDir, 'prompt.txt') });
+  assert.equal(result.characters.prompt, 35);
+
+  await assert.rejects(estimateTokens({ prompt_text: PROMPT, prompt_file: join(samplesDir, 'prompt.txt') }), /Give either prompt_text or prompt_file/);
+  await assert.rejects(estimateTokens({}), /Provide prompt_text, prompt_file/);
+});
+
+test('sample files are limited to the allowed roots', async () => {
+  configure({ fileRoots: samplesDir });
+  assert.equal((await estimateTokens({ prompt_file: join(samplesDir, 'prompt.txt') })).characters.prompt, 35);
+  await assert.rejects(estimateTokens({ prompt_file: join(dataDir, 'secret.txt') }), /prompt_file is outside the allowed file roots/);
+  await assert.rejects(estimateTokens({ prompt_file: join(samplesDir, '..', 'secret.txt') }), /outside the allowed file roots/);
+  await assert.rejects(estimateTokens({ completion_file: join(samplesDir, 'link.txt') }), /completion_file is outside the allowed file roots/);
+
+  // An empty list disables file parameters, as the HTTP transport does by default
+  configure({ fileRoots: '' });
+  await assert.rejects(estimateTokens({ prompt_file: join(samplesDir, 'prompt.txt') }), /prompt_file is disabled on this server/);
+});
+
+test('a server can limit file parameters without changing the settings', async () => {
+  const server = createServer({ fileRoots: [samplesDir] });
+  const client = new Client({ name: 'roots-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+  try {
+    const inside = await client.callTool({ name: 'estimate_tokens', arguments: { prompt_file: join(samplesDir, 'prompt.txt') } });
+    assert.ok(!inside.isError, inside.content[0].text);
+    const outside = await client.callTool({ name: 'estimate_tokens', arguments: { prompt_file: join(dataDir, 'secret.txt') } });
+    assert.equal(outside.isError, true);
+    assert.match(outside.content[0].text, /prompt_file is outside the allowed file roots/);
+  } finally {
+    await client.close();
+  }
+
+  // Library calls outside that server keep the process-wide setting
+  assert.equal(settings.fileRoots, undefined);
+  assert.equal((await estimateTokens({ prompt_file: join(dataDir, 'secret.txt') })).characters.prompt, 15);
+
+  // Starting the HTTP transport leaves the setting alone too
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1' });
+  httpServer.close();
+  assert.equal(settings.fileRoots, undefined);
+});
@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilters } from '../index.js';
+import { fixtureModels } from './helpers.js';
+
+const models = fixtureModels();
+
+/**
+ * IDs of the models left after filtering
+ */
+function ids(filters) {
+  return applyFilters(models, filters).map(m => m.id).sort();
+}
+
+test('no filters keeps every model', () => {
+  assert.equal(applyFilters(models, {}).length, models.length);
+});
+
+test('provider', () => {
+  assert.deepEqual(ids({ provider: 'OpenAI' }), ['openai/gpt-4o', 'openai/gpt-4o-mini', 'openai/gpt-image-1']);
+  assert.deepEqual(ids({ provider: ['anthropic', 'google'] }), [
+    'anthropic/claude-3-haiku',
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+  ]);
+});
+
+test('exclude_provider', () => {
+  assert.deepEqual(ids({ exclude_provider: ['openai', 'meta-llama'] }), [
+    'anthropic/claude-3-haiku',
+    'anthropic/claude-sonnet-4',
+    'deepseek/deepseek-r1',
+    'google/gemini-2.5-flash',
+    'mistralai/mistral-small-3.1-24b-instruct',
+  ]);
+});
+
+test('source', () => {
+  assert.equal(ids({ source: 'FIXTURE' }).length, models.length);
+  assert.deepEqual(ids({ source: ['elsewhere'] }), []);
+});
+
+test('free_only', () => {
+  assert.deepEqual(ids({ free_only: true }), ['meta-llama/llama-3.3-70b-instruct:free']);
+});
+
+test('free_only skips models without known pricing', () => {
+  const unpriced = { ...models[0], id: 'local/unpriced', pricing: {} };
+  assert.deepEqual(applyFilters([unpriced], { free_only: true }), []);
+});
+
+test('min_context and max_context', () => {
+  assert.deepEqual(ids({ min_context: 200_000 }), [
+    'anthropic/claude-3-haiku',
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+  ]);
+  assert.deepEqual(ids({ max_context: 65_536 }), ['meta-llama/llama-3.3-70b-instruct:free', 'openai/gpt-image-1']);
+  assert.deepEqual(ids({ min_context: 131_072, max_context: 131_072 }), [
+    'meta-llama/llama-3.3-70b-instruct',
+    'mistralai/mistral-small-3.1-24b-instruct',
+  ]);
+});
+
+test('max_price_per_1m compares prompt plus completion price', () => {
+  assert.deepEqual(ids({ max_price_per_1m: 1 }), [
+    'meta-llama/llama-3.3-70b-instruct',
+    'meta-llama/llama-3.3-70b-instruct:free',
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'openai/gpt-4o-mini',
+  ]);
+  // gpt-4o-mini is exactly $0.75 per 1M
+  assert.ok(ids({ max_price_per_1m: 0.75 }).includes('openai/gpt-4o-mini'));
+  assert.ok(!ids({ max_price_per_1m: 0.74 }).includes('openai/gpt-4o-mini'));
+});
+
+test('has_vision', () => {
+  assert.deepEqual(ids({ has_vision: true }), [
+    'anthropic/claude-3-haiku',
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'openai/gpt-4o',
+    'openai/gpt-4o-mini',
+    'openai/gpt-image-1',
+  ]);
+});
+
+test('has_tools', () => {
+  assert.deepEqual(ids({ has_tools: true }), [
+    'anthropic/claude-3-haiku',
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+    'meta-llama/llama-3.3-70b-instruct',
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'openai/gpt-4o',
+    'openai/gpt-4o-mini',
+  ]);
+});
+
+test('has_reasoning', () => {
+  assert.deepEqual(ids({ has_reasoning: true }), [
+    'anthropic/claude-sonnet-4',
+    'deepseek/deepseek-r1',
+    'google/gemini-2.5-flash',
+  ]);
+});
+
+test('modality matches the architecture string exactly', () => {
+  assert.deepEqual(ids({ modality: 'text+image->image' }), ['openai/gpt-image-1']);
+  assert.deepEqual(ids({ modality: 'text+image+audio->text' }), ['google/gemini-2.5-flash']);
+});
+
+test('input_modalities requires every listed modality', () => {
+  assert.deepEqual(ids({ input_modalities: ['audio'] }), ['google/gemini-2.5-flash']);
+  assert.deepEqual(ids({ input_modalities: ['image', 'file'] }), [
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+    'openai/gpt-4o',
+  ]);
+  assert.equal(ids({ input_modalities: [] }).length, models.length);
+});
+
+test('output_modalities', () => {
+  assert.deepEqual(ids({ output_modalities: ['image'] }), ['openai/gpt-image-1']);
+});
+
+test('required_parameters', () => {
+  assert.deepEqual(ids({ required_parameters: ['tools', 'structured_outputs'] }), [
+    'google/gemini-2.5-flash',
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'openai/gpt-4o',
+    'openai/gpt-4o-mini',
+  ]);
+  assert.deepEqual(ids({ required_parameters: ['logprobs'] }), ['meta-llama/llama-3.3-70b-instruct']);
+});
+
+test('filters combine with AND', () => {
+  assert.deepEqual(ids({ has_vision: true, max_price_per_1m: 1 }), [
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'openai/gpt-4o-mini',
+  ]);
+  assert.deepEqual(ids({ has_reasoning: true, has_tools: true, exclude_provider: 'google' }), [
+    'anthropic/claude-sonnet-4',
+  ]);
+});
+
+test('does not modify the input list', () => {
+  const before = models.map(m => m.id);
+  applyFilters(models, { free_only: true });
+  assert.deepEqual(models.map(m => m.id), before);
+});
+
+test('where: conditions on list, boolean, price and number fields', () => {
+  assert.deepEqual(ids({ where: { field: 'output_modalities', op: 'contains', value: 'IMAGE' } }), ['openai/gpt-image-1']);
+  assert.deepEqual(ids({ where: { field: 'supported_parameters', op: 'contains_all', value: ['seed', 'logprobs'] } }), [
+    'meta-llama/llama-3.3-70b-instruct',
+  ]);
+  assert.deepEqual(ids({ where: { field: 'pricing.request', op: 'gt', value: 0 } }), ['openai/gpt-image-1']);
+  assert.deepEqual(ids({ where: { field: 'pricing.cache_write_per_1m', op: 'exists', value: true } }), ['anthropic/claude-sonnet-4']);
+  assert.deepEqual(ids({ where: { field: 'max_completion_tokens', op: 'gte', value: 96000 } }), [
+    'deepseek/deepseek-r1',
+    'mistralai/mistral-small-3.1-24b-instruct',
+  ]);
+  // Models without a max completion limit never match a condition on it
+  assert.equal(ids({ where: { field: 'max_completion_tokens', op: 'lt', value: 1e9 } }).includes('meta-llama/llama-3.3-70b-instruct:free'), false);
+});
+
+test('where: combinators and date ranges', () => {
+  assert.deepEqual(ids({
+    where: {
+      all: [
+        { field: 'pricing.has_caching', op: 'eq', value: true },
+        { not: { field: 'is_moderated', op: 'eq', value: true } },
+        { any: [
+          { field: 'pricing.prompt_per_1m', op: 'lte', value: 0.5 },
+          { field: 'provider', op: 'in', value: ['Anthropic'] },
+        ] },
+      ],
+    },
+  }), ['anthropic/claude-sonnet-4', 'google/gemini-2.5-flash']);
+
+  assert.deepEqual(ids({
+    where: { all: [
+      { field: 'created', op: 'gte', value: '2025-03-01' },
+      { field: 'created', op: 'lt', value: 1747958400 },
+    ] },
+  }), ['mistralai/mistral-small-3.1-24b-instruct', 'openai/gpt-image-1']);
+
+  // Named filters and expressions combine
+  assert.deepEqual(ids({ provider: 'openai', where: { field: 'pricing.web_search', op: 'gt', value: 0 } }), ['openai/gpt-4o']);
+});
+
+test('where: rejects unknown fields, mismatched operators and bad values', () => {
+  assert.throws(() => applyFilters(models, { where: { field: 'colour', op: 'eq', value: 'red' } }), /where: unknown field "colour"/);
+  assert.throws(() => applyFilters(models, { where: { all: [{ field: 'is_free', op: 'gt', value: 1 }] } }),
+    /where\.all\[0\]: operator "gt" does not apply to boolean field is_free/);
+  assert.throws(() => applyFilters(models, { where: { field: 'context_length', op: 'gte', value: '100k' } }), /context_length gte needs a number/);
+  assert.throws(() => applyFilters(models, { where: { field: 'created', op: 'gte', value: 'soon' } }), /Invalid date: soon/);
+  assert.throws(() => applyFilters(models, { where: { any: [] } }), /where\.any: expected a non-empty array/);
+  assert.throws(() => applyFilters(models, { where: { not: { field: 'id', op: 'eq', value: 'x' }, field: 'id' } }), /a combinator must be the only key/);
+});
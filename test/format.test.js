@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  configure,
+  getToolsList,
+  handleToolCall,
+  OUTPUT_SCHEMAS,
+  renderModelListCsv,
+  renderModelListMarkdown,
+  renderResult,
+} from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-format-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Call a tool and return its text and structured content
+ */
+async function call(name, args) {
+  const result = await handleToolCall({ params: { name, arguments: args } });
+  assert.ok(!result.isError, result.content[0].text);
+  return { text: result.content[0].text, structured: result.structuredContent };
+}
+
+test('json is indented and compact is a single line', async () => {
+  const json = await call('consider_models', { request: 'free models', output_format: 'json' });
+  const compact = await call('consider_models', { request: 'free models', output_format: 'compact' });
+
+  assert.match(json.text, /\n {2}"models"/);
+  assert.doesNotMatch(compact.text, /\n/);
+  assert.deepEqual(JSON.parse(json.text), json.structured);
+  assert.deepEqual(JSON.parse(compact.text), compact.structured);
+});
+
+test('structured content does not depend on the text format', async () => {
+  const { text, structured } = await call('get_model', { model_id: 'openai/gpt-4o' });
+  assert.deepEqual(structured, JSON.parse(text));
+
+  const markdown = await call('get_model', { model_id: 'openai/gpt-4o', output_format: 'markdown' });
+  assert.deepEqual(markdown.structured, structured);
+});
+
+test('every tool declares an output schema', () => {
+  for (const tool of getToolsList()) {
+    assert.equal(tool.outputSchema, OUTPUT_SCHEMAS[tool.name], tool.name);
+    assert.equal(tool.outputSchema.type, 'object');
+  }
+});
+
+test('renders a model listing as a Markdown table', async () => {
+  const { text } = await call('consider_models', {
+    request: 'vision models',
+    workload: { prompt_tokens: 1000, requests_per_day: 100 },
+    sort_by: 'price',
+    output_format: 'markdown',
+  });
+
+  assert.match(text, /^\*\*Understood as:\*\* image input \(vision\)/);
+  assert.match(text, /\| # \| Model \| ID \| Context \| Prompt\/1M \| Completion\/1M \| Capabilities \| Est\. cost\/month \|/);
+  assert.match(text, /\| 1 \| Mistral: Mistral Small 3\.1 24B \| `mistralai\/mistral-small-3\.1-24b-instruct` \| 131,072 \| \$0\.050 \|/);
+  assert.match(text, /_Catalog data: live, fetched /);
+});
+
+test('renders comparison tables in Markdown', async () => {
+  const { text } = await call('consider_models', {
+    request: 'compare',
+    model_ids: ['openai/gpt-4o', 'anthropic/claude-sonnet-4'],
+    output_format: 'markdown',
+  });
+
+  assert.match(text, /### Pricing\n\n\| Model \| Prompt\/1M \| Completion\/1M \| Total\/1M \|/);
+  assert.match(text, /### Capabilities/);
+  assert.match(text, /Cheapest: `openai\/gpt-4o`\./);
+});
+
+test('renders a model listing as CSV', async () => {
+  const { text } = await call('consider_models', {
+    request: 'anthropic',
+    sort_by: 'price',
+    workload: { prompt_tokens: 1000 },
+    output_format: 'csv',
+  });
+  const [header, ...rows] = text.split('\n');
+
+  assert.equal(header, 'id,name,provider,source,context_length,prompt_per_1m,completion_per_1m,total_per_1m,capabilities,is_free,estimated_cost,cost_basis');
+  assert.equal(rows.length, 2);
+  assert.match(rows[0], /^anthropic\/claude-3-haiku,Anthropic: Claude 3 Haiku,anthropic,fixture,200000,0\.25,/);
+  assert.match(rows[0], /,vision;multimodal;tools,false,0\.00025,per_request$/);
+});
+
+test('renders a single model in Markdown and CSV', async () => {
+  const markdown = await call('get_model', { model_id: 'anthropic/claude-sonnet-4', output_format: 'markdown' });
+  assert.match(markdown.text, /^## Anthropic: Claude Sonnet 4\n\n`anthropic\/claude-sonnet-4` from fixture \(static\)/);
+  assert.match(markdown.text, /\| Context length \| 200,000 \|/);
+  assert.match(markdown.text, /\| Cache write \| \$3\.75 \/ 1M tokens \|/);
+
+  const csv = await call('get_model', { model_id: 'anthropic/claude-sonnet-4', output_format: 'csv' });
+  const lines = csv.text.split('\n');
+  assert.equal(lines[0], 'field,value');
+  assert.ok(lines.includes('pricing.total_per_1m,18'));
+  assert.ok(lines.some(line => /^supported_parameters,tools;/.test(line)));
+});
+
+test('escapes table and CSV special characters', () => {
+  const listing = {
+    interpretation: { understood_as: 'model listing' },
+    models: [{
+      id: 'acme/x',
+      name: 'Acme | "Quoted", model',
+      provider: 'acme',
+      source: 'local',
+      context_length: 8192,
+      pricing: { prompt_per_1m: 1, completion_per_1m: 2, total_per_1m: 3 },
+      capabilities: [],
+      is_free: false,
+    }],
+    total_models_found: 1,
+    models_returned: 1,
+  };
+
+  assert.match(renderModelListMarkdown(listing), /\| 1 \| Acme \\\| "Quoted", model \|/);
+  assert.equal(renderModelListCsv(listing).split('\n')[1], 'acme/x,"Acme | ""Quoted"", model",acme,local,8192,1,2,3,,false');
+});
+
+test('rejects unknown and unsupported formats', async () => {
+  const unknown = await handleToolCall({ params: { name: 'consider_models', arguments: { request: 'free', output_format: 'xml' } } });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.content[0].text, /Unknown output_format "xml"/);
+
+  assert.throws(() => renderResult({}, 'markdown'), /not supported by this tool/);
+});
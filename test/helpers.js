@@ -0,0 +1,209 @@
+import { spawn } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createServer as createHttpServer } from 'node:http';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { normalizeModel } from '../index.js';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const FIXTURE = join(ROOT, 'test', 'fixtures', 'models.json');
+export const ENDPOINTS_FIXTURE = join(ROOT, 'test', 'fixtures', 'endpoints.json');
+
+/**
+ * Find a free local port
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server in HTTP mode and wait until it is listening
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = mkdtempSync(join(tmpdir(), 'model-scout-test-'));
+  const child = spawn(process.execPath, [join(ROOT, 'cli.js')], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      MCP_TRANSPORT: 'http',
+      MCP_PORT: String(port),
+      MODEL_SOURCES: `fixture=static:${FIXTURE}`,
+      MODEL_SCOUT_DATA_DIR: dataDir,
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+
+  let stderr = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${stderr}`)), 10000);
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      if (stderr.includes('running on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${stderr}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}/mcp`,
+    port,
+    stop() {
+      child.kill();
+      rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Run the server to completion and capture its exit code and stderr
+ */
+export function runToExit(env) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [join(ROOT, 'cli.js')], {
+      cwd: ROOT,
+      env: { PATH: process.env.PATH, MCP_TRANSPORT: 'http', MODEL_SOURCES: `static:${FIXTURE}`, ...env },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const timer = setTimeout(() => child.kill(), 10000);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, stderr });
+    });
+  });
+}
+
+/**
+ * Connect an MCP client with the given request headers
+ */
+export async function connect(url, headers = {}) {
+  const client = new Client({ name: 'http-auth-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } }));
+  return client;
+}
+
+export const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } },
+};
+
+/**
+ * POST a raw JSON-RPC message
+ */
+export function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Load the fixture catalog (a fresh copy each call)
+ */
+export function loadFixture() {
+  return JSON.parse(readFileSync(FIXTURE, 'utf8'));
+}
+
+/**
+ * Load the fixture endpoint lists, keyed by model ID
+ */
+export function loadEndpointsFixture() {
+  return JSON.parse(readFileSync(ENDPOINTS_FIXTURE, 'utf8'));
+}
+
+/**
+ * Start a local stand-in for the OpenRouter and OpenAI-compatible models endpoints
+ *
+ * `/api/v1/models` serves the catalog as OpenRouter does, and
+ * `/api/v1/models/{id}/endpoints` the fixture hosts of a model (404 for others);
+ * `/v1/models` serves the catalog as a plain OpenAI-compatible list. Call
+ * `fail(status)` to make every route error out.
+ */
+export async function startMockCatalog(catalog = loadFixture(), endpoints = loadEndpointsFixture()) {
+  const state = { catalog, endpoints, status: 200, requests: [] };
+
+  const server = createHttpServer((req, res) => {
+    state.requests.push({ url: req.url, authorization: req.headers.authorization });
+
+    if (state.status !== 200) {
+      res.writeHead(state.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'mock failure' } }));
+      return;
+    }
+
+    let body;
+    const endpointsMatch = req.url.match(/^\/api\/v1\/models\/(.+)\/endpoints$/);
+    if (req.url === '/api/v1/models') {
+      body = state.catalog;
+    } else if (endpointsMatch && state.endpoints[decodeURIComponent(endpointsMatch[1])]) {
+      const id = decodeURIComponent(endpointsMatch[1]);
+      body = { data: { id, name: id, endpoints: state.endpoints[id] } };
+    } else if (req.url === '/v1/models') {
+      body = {
+        object: 'list',
+        data: state.catalog.data.map(m => ({ id: m.id, object: 'model', created: m.created, owned_by: m.id.split('/')[0] })),
+      };
+    } else {
+      res.writeHead(404).end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    openRouterUrl: `${base}/api/v1/models`,
+    openAIUrl: `${base}/v1`,
+    requests: state.requests,
+    setCatalog(next) {
+      state.catalog = next;
+    },
+    fail(status = 500) {
+      state.status = status;
+    },
+    recover() {
+      state.status = 200;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Fixture catalog normalized as if loaded from a static source
+ */
+export function fixtureModels() {
+  const source = { name: 'fixture', type: 'static', api_format: 'OpenAI-compatible' };
+  return loadFixture().data.map(m => normalizeModel(m, source));
+}
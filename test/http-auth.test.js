@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { connect, freePort, initialize, post, runToExit, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    MCP_API_KEYS: 'alice:alice-secret,bob:bob-secret:2',
+    MCP_RATE_LIMIT: '5',
+  });
+});
+
+after(() => server?.stop());
+
+test('rejects requests without an API key', async () => {
+  const res = await post(server.url, initialize);
+  assert.equal(res.status, 401);
+  assert.match(res.headers.get('www-authenticate'), /^Bearer/);
+  const body = await res.json();
+  assert.equal(body.error.code, -32001);
+  // The body of an unauthenticated request is never read, so its ID is unknown
+  assert.equal(body.id, null);
+});
+
+test('answers malformed and oversize bodies with JSON-RPC errors', async () => {
+  const send = (body, headers = {}) => fetch(server.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body,
+  });
+
+  // Unauthenticated bodies are rejected before parsing
+  assert.equal((await send('{ "jsonrpc": ')).status, 401);
+
+  const malformed = await send('{ "jsonrpc": ', { 'X-API-Key': 'alice-secret' });
+  assert.equal(malformed.status, 400);
+  assert.deepEqual((await malformed.json()).error, { code: -32700, message: 'Parse error: request body is not valid JSON' });
+
+  const oversize = await send(JSON.stringify({ ...initialize, padding: 'x'.repeat(11 * 1024 * 1024) }), { 'X-API-Key': 'alice-secret' });
+  assert.equal(oversize.status, 413);
+  assert.match((await oversize.json()).error.message, /larger than the 10mb limit/);
+});
+
+test('protects the health endpoint', async () => {
+  const health = `http://127.0.0.1:${server.port}/health`;
+  assert.equal((await fetch(health)).status, 401);
+  assert.equal((await fetch(health, { headers: { 'X-API-Key': 'alice-secret' } })).status, 200);
+});
+
+test('rejects an unknown API key', async () => {
+  const res = await post(server.url, initialize, { Authorization: 'Bearer nope' });
+  assert.equal(res.status, 401);
+  assert.match((await res.json()).error.message, /invalid API key/);
+});
+
+test('accepts a Bearer token and serves tool calls', async () => {
+  const client = await connect(server.url, { Authorization: 'Bearer alice-secret' });
+  try {
+    const result = await client.callTool({ name: 'get_model', arguments: { model_id: 'openai/gpt-4o-mini' } });
+    assert.ok(!result.isError);
+    assert.equal(JSON.parse(result.content[0].text).id, 'openai/gpt-4o-mini');
+  } finally {
+    await client.close();
+  }
+});
+
+test('accepts an X-API-Key header', async () => {
+  const res = await post(server.url, initialize, { 'X-API-Key': 'alice-secret' });
+  assert.equal(res.status, 200);
+  assert.ok(res.headers.get('mcp-session-id'));
+});
+
+test('rejects cross-origin requests and foreign Host headers', async () => {
+  const auth = { Authorization: 'Bearer alice-secret' };
+
+  const badOrigin = await post(server.url, initialize, { ...auth, Origin: 'https://evil.example' });
+  assert.equal(badOrigin.status, 403);
+  assert.equal((await badOrigin.json()).error.code, -32003);
+
+  const sameOrigin = await post(server.url, initialize, { ...auth, Origin: `http://127.0.0.1:${server.port}` });
+  assert.equal(sameOrigin.status, 200);
+
+  // fetch() will not send a custom Host header, so use node:http directly
+  const status = await new Promise((resolve, reject) => {
+    request({ port: server.port, host: '127.0.0.1', path: '/health', headers: { Host: 'evil.example' } }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject).end();
+  });
+  assert.equal(status, 403);
+});
+
+test('limits tool calls per API key', async () => {
+  const client = await connect(server.url, { Authorization: 'Bearer bob-secret' });
+  try {
+    for (let i = 0; i < 2; i++) {
+      await client.callTool({ name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } });
+    }
+    // Listing tools is not a tool call and is never limited
+    await client.listTools();
+    await assert.rejects(
+      client.callTool({ name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } }),
+      /429|Rate limit/
+    );
+  } finally {
+    await client.close();
+  }
+
+  // Other keys have their own budget
+  const other = await connect(server.url, { Authorization: 'Bearer alice-secret' });
+  try {
+    const result = await other.callTool({ name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } });
+    assert.ok(!result.isError);
+  } finally {
+    await other.close();
+  }
+});
+
+test('returns Retry-After when the limit is exceeded', async () => {
+  const init = await post(server.url, initialize, { 'X-API-Key': 'bob-secret' });
+  const sessionId = init.headers.get('mcp-session-id');
+  const call = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } } };
+
+  const res = await post(server.url, call, { 'X-API-Key': 'bob-secret', 'Mcp-Session-Id': sessionId });
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.equal(res.headers.get('ratelimit-remaining'), '0');
+  const body = await res.json();
+  assert.equal(body.error.code, -32029);
+  assert.equal(body.id, 7);
+});
+
+test('refuses a non-loopback bind without API keys', async () => {
+  const { code, stderr } = await runToExit({ MCP_HOST: '0.0.0.0', MCP_PORT: String(await freePort()) });
+  assert.equal(code, 1);
+  assert.match(stderr, /Refusing to listen/);
+});
+
+test('refuses to start with an invalid rate limit window', async () => {
+  const { code, stderr } = await runToExit({ MCP_RATE_LIMIT_WINDOW: 'a minute', MCP_PORT: String(await freePort()) });
+  assert.equal(code, 1);
+  assert.match(stderr, /Invalid MCP_RATE_LIMIT_WINDOW: a minute/);
+});
@@ -0,0 +1,143 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { freePort, initialize, post, runToExit, startServer } from './helpers.js';
+
+const servers = [];
+
+after(() => servers.forEach(s => s.stop()));
+
+/**
+ * Start a server that is stopped after all tests
+ */
+async function start(env) {
+  const server = await startServer(env);
+  servers.push(server);
+  return server;
+}
+
+/**
+ * Open an initialized session and return its request headers
+ */
+async function openSession(url) {
+  const res = await post(url, initialize);
+  assert.equal(res.status, 200);
+  await res.text();
+  const headers = { 'Mcp-Session-Id': res.headers.get('mcp-session-id'), 'MCP-Protocol-Version': '2025-03-26' };
+  await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, headers);
+  return headers;
+}
+
+const toolCall = id => ({
+  jsonrpc: '2.0',
+  id,
+  method: 'tools/call',
+  params: { name: 'get_model', arguments: { model_id: 'openai/gpt-4o' } },
+});
+
+test('rejects new sessions beyond the cap', async () => {
+  const server = await start({ MCP_MAX_SESSIONS: '2' });
+  await openSession(server.url);
+  await openSession(server.url);
+
+  const res = await post(server.url, initialize);
+  assert.equal(res.status, 503);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  const body = await res.json();
+  assert.equal(body.error.code, -32000);
+  assert.match(body.error.message, /Too many active sessions/);
+
+  const stats = await (await fetch(server.url.replace('/mcp', '/sessions'))).json();
+  assert.equal(stats.active, 2);
+  assert.equal(stats.max_sessions, 2);
+  assert.equal(stats.totals.rejected, 1);
+  assert.equal(stats.sessions.length, 2);
+  assert.ok(stats.sessions.every(s => s.id.length < 36 && s.requests >= 2));
+});
+
+test('frees a slot when a session is deleted', async () => {
+  const server = await start({ MCP_MAX_SESSIONS: '1' });
+  const headers = await openSession(server.url);
+
+  const del = await fetch(server.url, { method: 'DELETE', headers });
+  assert.equal(del.status, 200);
+
+  const gone = await post(server.url, toolCall(2), headers);
+  assert.equal(gone.status, 404);
+
+  await openSession(server.url);
+  const stats = await (await fetch(server.url.replace('/mcp', '/sessions'))).json();
+  assert.deepEqual(stats.totals, { created: 2, closed: 1, expired: 0, rejected: 0 });
+});
+
+test('expires idle sessions', async () => {
+  const server = await start({ MCP_SESSION_IDLE_TIMEOUT: '1' });
+  const headers = await openSession(server.url);
+
+  await sleep(2500);
+
+  const res = await post(server.url, toolCall(2), headers);
+  assert.equal(res.status, 404);
+  assert.match((await res.json()).error.message, /expired/);
+
+  const stats = await (await fetch(server.url.replace('/mcp', '/sessions'))).json();
+  assert.equal(stats.active, 0);
+  assert.equal(stats.totals.expired, 1);
+});
+
+test('replays missed events after Last-Event-ID', async () => {
+  const server = await start();
+  const headers = await openSession(server.url);
+
+  // Both responses go out on one SSE stream
+  const res = await post(server.url, [toolCall(2), toolCall(3)], headers);
+  const ids = [...(await res.text()).matchAll(/^id: (\S+)$/gm)].map(m => m[1]);
+  assert.equal(ids.length, 2);
+
+  const resumed = await fetch(server.url, {
+    headers: { ...headers, Accept: 'text/event-stream', 'Last-Event-ID': ids[0] },
+  });
+  assert.equal(resumed.status, 200);
+  const reader = resumed.body.getReader();
+  let replayed = '';
+  while (!replayed.includes('\n\n')) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    replayed += new TextDecoder().decode(value);
+  }
+  await reader.cancel();
+
+  assert.match(replayed, new RegExp(`^id: ${ids[1]}$`, 'm'));
+  assert.match(replayed, /"id":3/);
+
+  const unknown = await fetch(server.url, {
+    headers: { ...headers, Accept: 'text/event-stream', 'Last-Event-ID': 'does-not-exist' },
+  });
+  assert.equal(unknown.status, 400);
+});
+
+test('keeps sessions bound to the client that opened them', async () => {
+  const server = await start({ MCP_API_KEYS: 'alice:alice-secret,bob:bob-secret' });
+  const init = await post(server.url, initialize, { 'X-API-Key': 'alice-secret' });
+  const sessionId = init.headers.get('mcp-session-id');
+
+  const res = await post(server.url, toolCall(2), { 'X-API-Key': 'bob-secret', 'Mcp-Session-Id': sessionId });
+  assert.equal(res.status, 403);
+
+  // Each key sees only the details of its own sessions
+  const stats = key => fetch(server.url.replace('/mcp', '/sessions'), { headers: { 'X-API-Key': key } }).then(r => r.json());
+  const alice = await stats('alice-secret');
+  assert.equal(alice.active, 1);
+  assert.deepEqual(alice.sessions.map(s => s.client), ['key:alice']);
+  const bob = await stats('bob-secret');
+  assert.equal(bob.active, 1);
+  assert.deepEqual(bob.sessions, []);
+});
+
+test('refuses to start with invalid session settings', async () => {
+  for (const [name, value] of [['MCP_SESSION_IDLE_TIMEOUT', '0'], ['MCP_MAX_SESSIONS', 'lots'], ['MCP_EVENT_BUFFER_SIZE', '-5']]) {
+    const { code, stderr } = await runToExit({ [name]: value, MCP_PORT: String(await freePort()) });
+    assert.equal(code, 1);
+    assert.match(stderr, new RegExp(`Invalid ${name}: ${value}`));
+  }
+});
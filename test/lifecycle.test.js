@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  configure,
+  considerModels,
+  fetchModels,
+  getLifecycle,
+  getModel,
+  handleToolCall,
+  watchedModels,
+} from '../index.js';
+import { loadFixture, startMockCatalog } from './helpers.js';
+
+const DAY = 24 * 60 * 60;
+const NOW = Math.floor(Date.now() / 1000);
+
+let mock;
+let dataDir;
+
+/**
+ * Fixture catalog with one model expiring soon, one expired, and one released this week
+ */
+function lifecycleCatalog() {
+  const catalog = loadFixture();
+  const byId = id => catalog.data.find(m => m.id === id);
+  byId('openai/gpt-4o').expiration_date = new Date((NOW + 10 * DAY) * 1000).toISOString().slice(0, 10);
+  byId('anthropic/claude-3-haiku').expiration_date = '2025-01-01';
+  byId('mistralai/mistral-small-3.1-24b-instruct').created = NOW - 2 * DAY;
+  return catalog;
+}
+
+before(async () => {
+  mock = await startMockCatalog();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-lifecycle-'));
+  mock.setCatalog(lifecycleCatalog());
+  configure({ sources: `openrouter:${mock.openRouterUrl}`, dataDir, offline: false });
+});
+
+test('derives lifecycle status from expiration and deprecation dates', () => {
+  const now = Date.parse('2025-06-01T00:00:00Z');
+  const created = Date.parse('2025-05-02T00:00:00Z') / 1000;
+
+  assert.deepEqual(getLifecycle({ created }, now), {
+    status: 'active',
+    released: '2025-05-02',
+    age_days: 30,
+    deprecated: false,
+    deprecation_date: undefined,
+    expiration_date: undefined,
+    days_until_expiration: undefined,
+  });
+  assert.equal(getLifecycle({ created, expiration_date: '2025-06-15' }, now).days_until_expiration, 14);
+  assert.equal(getLifecycle({ created, expiration_date: '2025-06-15' }, now).status, 'scheduled_for_removal');
+  assert.equal(getLifecycle({ created, expiration_date: '2025-05-15' }, now).status, 'expired');
+  assert.equal(getLifecycle({ created, deprecated: true }, now).status, 'deprecated');
+  assert.equal(getLifecycle({ created, deprecation_date: '2025-07-01' }, now).status, 'active');
+  assert.equal(getLifecycle({ created: 0 }, now).released, undefined);
+});
+
+test('get_model reports lifecycle fields and a warning', async () => {
+  const model = await getModel('openai/gpt-4o');
+  assert.equal(model.lifecycle.status, 'scheduled_for_removal');
+  assert.equal(model.lifecycle.days_until_expiration, 10);
+  assert.match(model.lifecycle_warning, /scheduled for removal on \d{4}-\d{2}-\d{2} \(in 10 days\)/);
+
+  const result = await handleToolCall({ params: { name: 'get_model', arguments: { model_id: 'anthropic/claude-3-haiku', output_format: 'markdown' } } });
+  assert.match(result.content[0].text, /\*\*Warning:\*\* anthropic\/claude-3-haiku expired on 2025-01-01/);
+  assert.match(result.content[0].text, /\| Status \| expired \|/);
+});
+
+test('consider_models warns about models scheduled for removal', async () => {
+  const result = await considerModels({ request: 'openai', filters: { has_tools: true } });
+  const gpt4o = result.models.find(m => m.id === 'openai/gpt-4o');
+  assert.equal(gpt4o.lifecycle_status, 'scheduled_for_removal');
+  assert.equal(result.lifecycle_warnings.length, 1);
+  assert.match(result.lifecycle_warnings[0], /^openai\/gpt-4o is scheduled for removal/);
+
+  const current = await considerModels({ request: 'models', filters: { exclude_deprecated: true } });
+  assert.equal(current.lifecycle_warnings, undefined);
+  assert.equal(current.models_returned, 8);
+});
+
+test('new_models mode lists recent releases, newest first', async () => {
+  const recent = await considerModels({ mode: 'new_models' });
+  assert.deepEqual(recent.models.map(m => m.id), ['mistralai/mistral-small-3.1-24b-instruct']);
+  assert.match(recent.interpretation.understood_as, /^released in the last 7 days/);
+
+  const none = await considerModels({ mode: 'new_models', days: 1 });
+  assert.equal(none.models.length, 0);
+
+  const parsed = await considerModels({ request: 'vision models released in the last 3 days' });
+  assert.deepEqual(parsed.models.map(m => m.id), ['mistralai/mistral-small-3.1-24b-instruct']);
+});
+
+test('watched models report removals, price changes and lifecycle', async () => {
+  await fetchModels();
+  const first = await watchedModels({ add: ['gpt-4o mini', 'openai/gpt-image-1', 'openai/gpt-4o'], note: 'production' });
+  assert.deepEqual(first.added, ['openai/gpt-4o-mini', 'openai/gpt-image-1', 'openai/gpt-4o']);
+  assert.deepEqual(first.summary, { active: 2, scheduled_for_removal: 1 });
+  assert.equal(first.watched[0].note, 'production');
+
+  const changed = lifecycleCatalog();
+  changed.data = changed.data.filter(m => m.id !== 'openai/gpt-image-1');
+  changed.data.find(m => m.id === 'openai/gpt-4o-mini').pricing.prompt = '0.0000002';
+  mock.setCatalog(changed);
+
+  const report = await watchedModels({ force_refresh: true });
+  const byId = Object.fromEntries(report.watched.map(w => [w.model_id, w]));
+  assert.equal(byId['openai/gpt-image-1'].status, 'removed');
+  assert.equal(byId['openai/gpt-image-1'].in_catalog, false);
+  assert.ok(byId['openai/gpt-image-1'].removed_at);
+  assert.equal(byId['openai/gpt-4o-mini'].changes_since_watched, 1);
+  assert.equal(byId['openai/gpt-4o-mini'].recent_changes[0].change, 'pricing');
+  assert.deepEqual(report.alerts.map(a => a.split(' ')[0]), ['openai/gpt-4o-mini', 'openai/gpt-image-1', 'openai/gpt-4o']);
+
+  const trimmed = await watchedModels({ remove: ['openai/gpt-image-1'] });
+  assert.deepEqual(trimmed.watched.map(w => w.model_id), ['openai/gpt-4o-mini', 'openai/gpt-4o']);
+  await assert.rejects(watchedModels({ remove: ['openai/gpt-image-1'] }), /Not on the watchlist: openai\/gpt-image-1/);
+});
+
+test('an empty watchlist explains how to add models', async () => {
+  const result = await watchedModels();
+  assert.deepEqual(result.watched, []);
+  assert.match(result.note, /Pass `add`/);
+});
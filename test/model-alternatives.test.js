@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configure, getModelAlternatives } from '../index.js';
+import { loadFixture } from './helpers.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-alternatives-'));
+
+  // Two hosts reselling GPT-4o: one within 10% of its price, one dearer
+  const catalog = loadFixture();
+  const gpt4o = catalog.data.find(m => m.id === 'openai/gpt-4o');
+  catalog.data.push(
+    { ...gpt4o, id: 'acme/gpt-4o', name: 'Acme: GPT-4o', pricing: { prompt: '0.0000024', completion: '0.0000095' } },
+    { ...gpt4o, id: 'pricey/gpt-4o', name: 'Pricey: GPT-4o', pricing: { prompt: '0.000004', completion: '0.000015' } },
+  );
+  const catalogFile = join(dataDir, 'catalog.json');
+  writeFileSync(catalogFile, JSON.stringify(catalog));
+  configure({ sources: `fixture=static:${catalogFile}`, dataDir, offline: false, policyFile: '' });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('groups alternatives into cheaper, equivalent and upgrade', async () => {
+  const result = await getModelAlternatives({ model_id: 'openai/gpt-4o' });
+
+  assert.equal(result.reference.cost, 12.5);
+  assert.deepEqual(result.constraints, [
+    'context window of at least 128,000 tokens',
+    'supports vision',
+    'supports multimodal',
+    'supports tools',
+    'supports structured_outputs',
+    'accepts text/image/file input and produces text output',
+  ]);
+
+  const [cheaper] = result.alternatives.cheaper;
+  assert.equal(cheaper.id, 'google/gemini-2.5-flash');
+  assert.equal(cheaper.cost_delta.percent, -77.6);
+  assert.deepEqual(cheaper.gains, ['adds reasoning', 'larger context (1,048,576 vs 128,000)']);
+
+  assert.deepEqual(result.alternatives.equivalent.map(a => [a.id, a.cost_delta.percent]), [['acme/gpt-4o', -4.8]]);
+  assert.deepEqual(result.alternatives.upgrade, []);
+
+  // Models missing exactly one requirement but cheaper are near misses; dearer ones without gains are left out
+  assert.deepEqual(result.near_misses.map(n => [n.id, n.constraints.violated]), [
+    ['mistralai/mistral-small-3.1-24b-instruct', ['accepts text/image/file input and produces text output']],
+    ['openai/gpt-4o-mini', ['accepts text/image/file input and produces text output']],
+  ]);
+  assert.equal(result.summary.excluded_costlier_without_gains, 1);
+});
+
+test('upgrades add capabilities or context, best gains first', async () => {
+  const result = await getModelAlternatives({ model_id: 'anthropic/claude-3-haiku' });
+  assert.deepEqual(result.alternatives.cheaper, []);
+  assert.deepEqual(result.alternatives.upgrade.map(a => [a.id, a.gains.length]), [
+    ['google/gemini-2.5-flash', 3],
+    ['anthropic/claude-sonnet-4', 1],
+  ]);
+
+  // A smaller min_context admits the 128k models as cheaper alternatives
+  const relaxed = await getModelAlternatives({ model_id: 'anthropic/claude-3-haiku', min_context: 128000 });
+  assert.deepEqual(relaxed.alternatives.cheaper.map(a => a.id), ['mistralai/mistral-small-3.1-24b-instruct', 'openai/gpt-4o-mini']);
+});
+
+test('costs alternatives on a workload when one is given', async () => {
+  const result = await getModelAlternatives({
+    model_id: 'openai/gpt-4o',
+    workload: { prompt_tokens: 1000, completion_tokens: 0, requests_per_month: 1000 },
+  });
+  assert.equal(result.reference.cost, 2.5);
+  assert.equal(result.alternatives.cheaper[0].cost_delta.basis, 'workload');
+  assert.ok(Math.abs(result.alternatives.cheaper[0].cost_delta.alternative - 0.3) < 1e-9);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatModelData, getCapabilities, isFree, normalizeModel, parsePrice, sortModels } from '../index.js';
+import { fixtureModels } from './helpers.js';
+
+const models = fixtureModels();
+
+test('sorts by total price, cheapest first', () => {
+  assert.deepEqual(sortModels(models, 'price').map(m => m.id), [
+    'meta-llama/llama-3.3-70b-instruct:free',
+    'mistralai/mistral-small-3.1-24b-instruct',
+    'meta-llama/llama-3.3-70b-instruct',
+    'openai/gpt-4o-mini',
+    'anthropic/claude-3-haiku',
+    'deepseek/deepseek-r1',
+    'google/gemini-2.5-flash',
+    'openai/gpt-4o',
+    'anthropic/claude-sonnet-4',
+    'openai/gpt-image-1',
+  ]);
+});
+
+test('sorts by context length, largest first', () => {
+  const sorted = sortModels(models, 'context');
+  assert.equal(sorted[0].id, 'google/gemini-2.5-flash');
+  assert.equal(sorted.at(-1).id, 'openai/gpt-image-1');
+  for (let i = 1; i < sorted.length; i++) {
+    assert.ok(sorted[i - 1].context_length >= sorted[i].context_length);
+  }
+});
+
+test('sorts by release date, newest first', () => {
+  const sorted = sortModels(models, 'created');
+  assert.deepEqual(sorted.slice(0, 3).map(m => m.id), [
+    'google/gemini-2.5-flash',
+    'anthropic/claude-sonnet-4',
+    'openai/gpt-image-1',
+  ]);
+  assert.equal(sorted.at(-1).id, 'anthropic/claude-3-haiku');
+});
+
+test('sorts by name', () => {
+  const sorted = sortModels(models, 'name');
+  assert.equal(sorted[0].id, 'anthropic/claude-3-haiku');
+  for (let i = 1; i < sorted.length; i++) {
+    assert.ok(sorted[i - 1].name.localeCompare(sorted[i].name) <= 0);
+  }
+});
+
+test('relevance and unknown sorts keep the given order', () => {
+  const order = models.map(m => m.id);
+  assert.deepEqual(sortModels(models, 'relevance').map(m => m.id), order);
+  assert.deepEqual(sortModels(models, 'popularity').map(m => m.id), order);
+  assert.deepEqual(sortModels(models).map(m => m.id), order);
+});
+
+test('sorting does not modify the input list', () => {
+  const order = models.map(m => m.id);
+  sortModels(models, 'price');
+  assert.deepEqual(models.map(m => m.id), order);
+});
+
+test('parses prices', () => {
+  assert.equal(parsePrice('0.0000025'), 0.0000025);
+  assert.equal(parsePrice('0'), 0);
+  assert.equal(parsePrice(undefined), 0);
+  assert.equal(parsePrice(''), 0);
+});
+
+test('free means known and zero pricing', () => {
+  assert.equal(isFree({ prompt: '0', completion: '0' }), true);
+  assert.equal(isFree({ prompt: '0', completion: '0.000001' }), false);
+  assert.equal(isFree({}), false);
+  assert.equal(isFree(undefined), false);
+});
+
+test('derives capabilities from modalities and parameters', () => {
+  const byId = id => models.find(m => m.id === id);
+  assert.deepEqual(getCapabilities(byId('google/gemini-2.5-flash')),
+    ['vision', 'multimodal', 'tools', 'reasoning', 'structured_outputs']);
+  assert.deepEqual(getCapabilities(byId('meta-llama/llama-3.3-70b-instruct:free')), []);
+  assert.deepEqual(getCapabilities(byId('deepseek/deepseek-r1')), ['reasoning']);
+});
+
+test('formats model data with per-1M pricing', () => {
+  const formatted = formatModelData(models.find(m => m.id === 'anthropic/claude-sonnet-4'));
+  assert.equal(formatted.provider, 'anthropic');
+  assert.equal(formatted.source, 'fixture');
+  assert.equal(formatted.created, '2025-05-23T00:00:00.000Z');
+  assert.equal(formatted.max_completion_tokens, 64000);
+  assert.ok(Math.abs(formatted.pricing.total_per_1m - 18) < 1e-9);
+  assert.ok(Math.abs(formatted.pricing.cache_write_per_1m - 3.75) < 1e-9);
+  assert.equal(formatted.pricing.has_caching, true);
+  assert.equal(formatted.pricing.available, true);
+  assert.equal(formatted.is_free, false);
+});
+
+test('normalizes release dates and drops unparseable ones', () => {
+  const source = { name: 'fixture', type: 'static' };
+  const created = value => normalizeModel({ id: 'acme/model', pricing: {}, created: value }, source).created;
+
+  assert.equal(created(1715558400), 1715558400);
+  assert.equal(created('1715558400'), 1715558400);
+  assert.equal(created('2024-05-13T00:00:00Z'), 1715558400);
+  for (const bad of ['soon', NaN, Infinity, null, {}, undefined]) {
+    assert.equal(created(bad), undefined);
+  }
+
+  const undated = normalizeModel({ id: 'acme/model', pricing: {}, created: 'soon' }, source);
+  assert.equal(formatModelData(undated).created, undefined);
+  assert.equal(sortModels([undated, models[0]], 'created')[0].id, models[0].id);
+});
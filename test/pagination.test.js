@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { configure, considerModels, createServer, fetchModels, saveProfile } from '../index.js';
+import { FIXTURE, ROOT } from './helpers.js';
+
+let dataDir;
+let catalogFile;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-pages-'));
+  catalogFile = join(dataDir, 'catalog.json');
+  writeFileSync(catalogFile, readFileSync(FIXTURE));
+  configure({ sources: `fixture=static:${catalogFile}`, dataDir, offline: false, policyFile: '' });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('pages through every result with cursors', async () => {
+  const everything = await considerModels({ sort_by: 'price', max_results: 100 });
+  assert.equal(everything.next_cursor, undefined);
+
+  const seen = [];
+  let page = await considerModels({ sort_by: 'price', max_results: 4 });
+  assert.equal(page.offset, undefined);
+  while (true) {
+    seen.push(...page.models.map(m => m.id));
+    assert.equal(page.snapshot_id, everything.snapshot_id);
+    if (!page.next_cursor) break;
+    page = await considerModels({ sort_by: 'price', max_results: 4, cursor: page.next_cursor });
+  }
+
+  assert.equal(page.offset, 8);
+  assert.equal(page.models_returned, 2);
+  assert.deepEqual(seen, everything.models.map(m => m.id));
+});
+
+test('rejects cursors from another query or catalog snapshot', async () => {
+  const first = await considerModels({ filters: { has_tools: true }, max_results: 2 });
+  assert.ok(first.next_cursor);
+
+  await assert.rejects(considerModels({ filters: { has_vision: true }, cursor: first.next_cursor }), /belongs to a different query/);
+  await assert.rejects(considerModels({ filters: { has_tools: true }, cursor: 'not-a-cursor' }), /Invalid cursor/);
+
+  // The same content keeps its snapshot ID across refreshes; a changed catalog does not
+  const refreshed = await fetchModels(true);
+  assert.equal(refreshed.snapshot_id, first.snapshot_id);
+  const second = await considerModels({ filters: { has_tools: true }, max_results: 2, cursor: first.next_cursor });
+  assert.equal(second.offset, 2);
+
+  const changed = JSON.parse(readFileSync(FIXTURE, 'utf8'));
+  changed.data[0].pricing.prompt = '0.000002';
+  writeFileSync(catalogFile, JSON.stringify(changed));
+  await fetchModels(true);
+  await assert.rejects(considerModels({ filters: { has_tools: true }, cursor: first.next_cursor }), /The catalog changed since this cursor was issued/);
+});
+
+test('rejects cursors once the policy, quality data or profile changed', async () => {
+  const policyFile = join(dataDir, 'policy.json');
+  writeFileSync(policyFile, JSON.stringify({ name: 'no-image', deny_models: ['*image*'] }));
+  writeFileSync(catalogFile, readFileSync(FIXTURE));
+  configure({ policyFile });
+  try {
+    const first = await considerModels({ sort_by: 'price', max_results: 2 });
+    writeFileSync(policyFile, JSON.stringify({ name: 'no-free', deny_free: true }));
+    utimesSync(policyFile, new Date(), new Date(Date.now() + 5000));
+    await assert.rejects(considerModels({ sort_by: 'price', max_results: 2, cursor: first.next_cursor }), /model policy, quality data, profile or endpoint data changed/);
+  } finally {
+    configure({ policyFile: '' });
+  }
+
+  const unrated = await considerModels({ sort_by: 'quality', max_results: 2 });
+  configure({ qualitySources: join(ROOT, 'test/fixtures/quality.csv') });
+  try {
+    await assert.rejects(considerModels({ sort_by: 'quality', max_results: 2, cursor: unrated.next_cursor }), /quality data/);
+  } finally {
+    configure({ qualitySources: '' });
+  }
+
+  await saveProfile({ name: 'paging', filters: { has_tools: true } });
+  const profiled = await considerModels({ profile: 'paging', max_results: 2 });
+  await saveProfile({ name: 'paging', filters: { has_vision: true } });
+  await assert.rejects(considerModels({ profile: 'paging', max_results: 2, cursor: profiled.next_cursor }), /profile/);
+});
+
+test('later pages resolve relative dates as of the first page', async () => {
+  // acme/fresh-a leaves a one-hour window about two seconds after this runs
+  const seconds = Math.floor(Date.now() / 1000);
+  const catalog = JSON.parse(readFileSync(FIXTURE, 'utf8'));
+  const gpt4o = catalog.data.find(m => m.id === 'openai/gpt-4o');
+  catalog.data.push(
+    { ...gpt4o, id: 'acme/fresh-a', name: 'Acme: Fresh A', created: seconds - 3600 + 2 },
+    { ...gpt4o, id: 'acme/fresh-b', name: 'Acme: Fresh B', created: seconds - 60 },
+  );
+  writeFileSync(catalogFile, JSON.stringify(catalog));
+  await fetchModels(true);
+
+  try {
+    const queries = [
+      { filters: { where: { field: 'created', op: 'gte', value: '1h' } }, sort_by: 'created', max_results: 1 },
+      { filters: { released_within_days: 1 / 24 }, sort_by: 'created', max_results: 1 },
+    ];
+    const firstPages = await Promise.all(queries.map(query => considerModels(query)));
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    for (const [i, first] of firstPages.entries()) {
+      assert.deepEqual(first.models.map(m => m.id), ['acme/fresh-b']);
+      const second = await considerModels({ ...queries[i], cursor: first.next_cursor });
+      assert.deepEqual(second.models.map(m => m.id), ['acme/fresh-a']);
+      assert.equal(second.total_models_found, 2);
+    }
+  } finally {
+    writeFileSync(catalogFile, readFileSync(FIXTURE));
+  }
+});
+
+test('compares the models on the current page', async () => {
+  await fetchModels(true);
+  const ids = ['openai/gpt-4o', 'anthropic/claude-sonnet-4', 'google/gemini-2.5-flash'];
+  const first = await considerModels({ model_ids: ids, sort_by: 'price', max_results: 2 });
+  const second = await considerModels({ model_ids: ids, sort_by: 'price', max_results: 2, cursor: first.next_cursor });
+
+  assert.deepEqual(first.comparison.pricing.rows.map(row => row[0]), first.models.map(m => m.name));
+  assert.deepEqual(second.comparison.pricing.rows.map(row => row[0]), second.models.map(m => m.name));
+  assert.deepEqual(second.models.map(m => m.id), ['anthropic/claude-sonnet-4']);
+});
+
+test('sends progress notifications for forced refreshes', async () => {
+  const server = createServer();
+  const client = new Client({ name: 'progress-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+  try {
+    const updates = [];
+    const result = await client.callTool(
+      { name: 'consider_models', arguments: { force_refresh: true, max_results: 1 } },
+      undefined,
+      { onprogress: update => updates.push(update) }
+    );
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(updates, [{ progress: 1, total: 1, message: 'Fetched catalog source 1/1: fixture' }]);
+
+    // Without a progress token nothing is sent
+    updates.length = 0;
+    await client.callTool({ name: 'consider_models', arguments: { force_refresh: true, max_results: 1 } });
+    assert.deepEqual(updates, []);
+  } finally {
+    await client.close();
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRequest } from '../index.js';
+
+test('price ceilings in different units', () => {
+  assert.deepEqual(parseRequest('cheap vision models under $1 per million').filters, { max_price_per_1m: 1, has_vision: true });
+  assert.equal(parseRequest('max 5 dollars per million').filters.max_price_per_1m, 5);
+  assert.equal(parseRequest('under $0.50 per 1k tokens').filters.max_price_per_1m, 500);
+});
+
+test('cost words prefer the cheapest models', () => {
+  assert.equal(parseRequest('cheap vision models').sort_preference, 'price');
+  assert.equal(parseRequest('the latest').sort_preference, 'created');
+  assert.equal(parseRequest('claude').sort_preference, 'relevance');
+});
+
+test('context sizes', () => {
+  assert.equal(parseRequest('at least 200k context').filters.min_context, 200_000);
+  assert.equal(parseRequest('100k+ context').filters.min_context, 100_000);
+  assert.deepEqual(parseRequest('newest models with 1M context').filters, { min_context: 1_000_000 });
+});
+
+test('release windows', () => {
+  assert.deepEqual(parseRequest('models released in the last 30 days').filters, { released_within_days: 30 });
+  assert.equal(parseRequest('vision models from the past 2 weeks').filters.released_within_days, 14);
+  assert.equal(parseRequest('new this week').filters.released_within_days, 7);
+  assert.equal(parseRequest('released in the last month').sort_preference, 'created');
+});
+
+test('providers and exclusions', () => {
+  assert.deepEqual(parseRequest('at least 200k context from anthropic or google').filters.provider, ['anthropic', 'google']);
+  assert.deepEqual(parseRequest('from mistral').filters.provider, ['mistralai']);
+  assert.deepEqual(parseRequest('not openai, reasoning models').filters, {
+    exclude_provider: ['openai'],
+    has_reasoning: true,
+  });
+});
+
+test('capabilities, modalities and parameters', () => {
+  assert.deepEqual(parseRequest('free models with tools').filters, { has_tools: true, free_only: true });
+  assert.deepEqual(parseRequest('function calling').filters, { has_tools: true });
+  assert.deepEqual(parseRequest('json mode').filters, { required_parameters: ['response_format'] });
+  assert.deepEqual(parseRequest('models that output images').filters, { output_modalities: ['image'] });
+  assert.deepEqual(parseRequest('models with audio input and structured outputs').filters, {
+    input_modalities: ['audio'],
+    required_parameters: ['structured_outputs'],
+  });
+});
+
+test('model names become search terms', () => {
+  assert.deepEqual(parseRequest('claude').search_terms, ['claude']);
+  assert.deepEqual(parseRequest('search for llama').search_terms, ['llama']);
+});
+
+test('reports constraints in request order and what it could not parse', () => {
+  const intent = parseRequest('best coding model with 128k context under $2 per million');
+  assert.deepEqual(intent.constraints.map(c => c.type), ['context', 'price']);
+  assert.deepEqual(intent.unparsed, ['coding']);
+  assert.match(intent.understood_as, /128,000/);
+});
+
+test('an empty request applies nothing', () => {
+  const intent = parseRequest('');
+  assert.deepEqual(intent.filters, {});
+  assert.deepEqual(intent.search_terms, []);
+  assert.deepEqual(intent.unparsed, []);
+});
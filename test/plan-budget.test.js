@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configure, planBudget } from '../index.js';
+import { FIXTURE, ROOT } from './helpers.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-plan-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+// 1M prompt tokens a month: $0.30 on Gemini 2.5 Flash, $0.05 on Mistral Small
+const volume = { prompt_tokens: 1000, requests_per_month: 1000 };
+
+/**
+ * Model ID assigned to each workload
+ */
+function assigned(plan) {
+  return Object.fromEntries(plan.assignments.map(a => [a.workload, a.model.id]));
+}
+
+test('spends the budget on the highest-quality models that fit', async () => {
+  const plan = await planBudget({
+    budget: 50,
+    workloads: [
+      { name: 'chatbot', required_features: ['tools'], workload: { prompt_tokens: 2000, completion_tokens: 500, requests_per_day: 1000 } },
+      { name: 'vision triage', use_case: 'vision', workload: { prompt_tokens: 1000, completion_tokens: 100, requests_per_day: 200 } },
+      { name: 'batch summaries', workload: { prompt_tokens: 8000, completion_tokens: 400, requests_per_month: 3000 } },
+    ],
+  });
+
+  assert.deepEqual(assigned(plan), {
+    'chatbot': 'mistralai/mistral-small-3.1-24b-instruct',
+    'vision triage': 'google/gemini-2.5-flash',
+    'batch summaries': 'google/gemini-2.5-flash',
+  });
+  assert.deepEqual(plan.budget, {
+    monthly_budget: 50,
+    planned_monthly_cost: 18,
+    slack: 32,
+    overspend: 0,
+    utilization_percent: 36,
+    within_budget: true,
+  });
+  assert.equal(plan.assignments[0].estimated_cost.basis, 'monthly');
+  assert.equal(plan.assignments[1].requirements.has_vision, true);
+});
+
+test('reports what an upgrade or downgrade would cost', async () => {
+  const plan = await planBudget({
+    budget: 0.4,
+    workloads: [{ name: 'a', workload: volume }, { name: 'b', workload: volume }],
+  });
+
+  const upgrade = plan.trade_offs.find(t => t.change === 'upgrade');
+  assert.equal(upgrade.to, 'google/gemini-2.5-flash');
+  assert.equal(upgrade.monthly_cost_change, 0.25);
+  assert.match(upgrade.description, /needs \$0\.20 more budget/);
+
+  const downgrade = plan.trade_offs.find(t => t.change === 'downgrade');
+  assert.equal(downgrade.from, 'google/gemini-2.5-flash');
+  assert.ok(downgrade.monthly_cost_change < 0 && downgrade.quality_change < 0);
+
+  assert.ok(plan.plans.cheapest.monthly_cost <= plan.plans.chosen.monthly_cost);
+  assert.ok(plan.plans.chosen.quality_score <= plan.plans.best_quality.quality_score);
+});
+
+test('priority decides which workload gets the better model', async () => {
+  const plan = await planBudget({
+    budget: 0.4,
+    workloads: [{ name: 'a', workload: volume, priority: 3 }, { name: 'b', workload: volume }],
+  });
+  assert.deepEqual(assigned(plan), {
+    a: 'google/gemini-2.5-flash',
+    b: 'mistralai/mistral-small-3.1-24b-instruct',
+  });
+});
+
+test('min_quality rules out weaker models', async () => {
+  const plan = await planBudget({
+    budget: 0.01,
+    workloads: [{ name: 'a', workload: volume }],
+  });
+  assert.equal(plan.assignments[0].model.id, 'meta-llama/llama-3.3-70b-instruct:free');
+
+  const strict = await planBudget({
+    budget: 1,
+    workloads: [{ name: 'a', workload: volume, min_quality: 90 }],
+  });
+  assert.equal(strict.assignments[0].model.id, 'google/gemini-2.5-flash');
+  assert.ok(strict.assignments.every(a => a.quality_score >= 90));
+});
+
+test('rates quality on benchmark scores when quality data is loaded', async () => {
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, qualitySources: join(ROOT, 'test/fixtures/quality.csv') });
+  try {
+    const plan = await planBudget({ budget: 0.01, workloads: [{ name: 'a', workload: volume }] });
+    assert.equal(plan.assignments[0].model.id, 'meta-llama/llama-3.3-70b-instruct:free');
+    assert.equal(plan.assignments[0].quality_score, 68.8);
+    assert.match(plan.quality_basis, /benchmark composite/);
+    // Mistral Small, DeepSeek R1 and GPT Image 1 have no benchmark scores
+    assert.ok(plan.notes.includes('3 candidate model(s) without benchmark scores were left out of the plan'));
+
+    // min_quality reads the same scores as the min_quality filter
+    const strict = await planBudget({ budget: 1, workloads: [{ name: 'a', workload: volume, min_quality: 95 }] });
+    assert.equal(strict.assignments[0].model.id, 'google/gemini-2.5-flash');
+    assert.equal(strict.assignments[0].quality_score, 100);
+  } finally {
+    configure({ qualitySources: '' });
+  }
+
+  const plan = await planBudget({ budget: 0.01, workloads: [{ name: 'a', workload: volume }] });
+  assert.match(plan.quality_basis, /No quality data is loaded/);
+});
+
+test('falls back to the cheapest plan when nothing fits', async () => {
+  const plan = await planBudget({
+    budget: 0.01,
+    workloads: [
+      { name: 'a', required_features: ['tools'], workload: volume },
+      { name: 'b', required_features: ['tools'], workload: volume },
+    ],
+  });
+
+  assert.equal(plan.budget.within_budget, false);
+  assert.equal(plan.budget.planned_monthly_cost, 0.1);
+  assert.equal(plan.budget.overspend, 0.09);
+  assert.equal(plan.budget.slack, 0);
+  assert.match(plan.notes[0], /over budget/);
+});
+
+test('validates workloads', async () => {
+  await assert.rejects(planBudget({ budget: 10, workloads: [] }), /non-empty array/);
+  await assert.rejects(planBudget({ workloads: [{ name: 'a', workload: volume }] }), /budget must be/);
+  await assert.rejects(
+    planBudget({ budget: 10, workloads: [{ name: 'a', workload: { prompt_tokens: 1000 } }] }),
+    /Workload "a" needs workload\.requests_per_day or workload\.requests_per_month/
+  );
+  await assert.rejects(
+    planBudget({ budget: 10, workloads: [{ name: 'a', workload: volume }, { name: 'a', workload: volume }] }),
+    /must be unique/
+  );
+  await assert.rejects(
+    planBudget({ budget: 10, workloads: [{ name: 'a', requirements: { min_context: 10_000_000 }, workload: volume }] }),
+    /Workload "a": no priced models meet its requirements/
+  );
+});
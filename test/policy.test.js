@@ -0,0 +1,164 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  checkModelPolicy,
+  configure,
+  considerModels,
+  getModel,
+  getModelAlternatives,
+  handleToolCall,
+  parsePolicyFile,
+  planBudget,
+  recommendModel,
+} from '../index.js';
+import { FIXTURE, ROOT, loadFixture } from './helpers.js';
+
+const POLICY_FIXTURE = join(ROOT, 'test', 'fixtures', 'policy.json');
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-policy-'));
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, policyFile: POLICY_FIXTURE });
+});
+
+test('validates policy files', () => {
+  const [policy] = parsePolicyFile('{"deny_models": ["openai/*"]}', 'team.json');
+  assert.equal(policy.name, 'team.json');
+  assert.deepEqual(policy.rules, ['deny_models']);
+
+  assert.throws(() => parsePolicyFile('{"allow_vendors": ["openai"]}'), /unknown rule "allow_vendors"/);
+  assert.throws(() => parsePolicyFile('{"deny_providers": "openai"}'), /deny_providers must be an array of strings/);
+  assert.throws(() => parsePolicyFile('{"max_price_per_1m": -1}'), /must be a non-negative number/);
+  assert.throws(() => parsePolicyFile('{"deny_prompt_training": "yes"}'), /deny_prompt_training must be true or false/);
+  assert.throws(() => parsePolicyFile('{"policies": [{"deny_free": true},'), /invalid JSON/);
+});
+
+test('consider_models leaves out excluded models and says which policy excluded them', async () => {
+  const result = await considerModels({ request: 'models', max_results: 20 });
+  const ids = result.models.map(m => m.id);
+
+  assert.equal(ids.length, 7);
+  assert.ok(!ids.includes('deepseek/deepseek-r1'));
+  assert.deepEqual(result.policy.policies, ['approved-vendors', 'cost-ceiling']);
+  assert.equal(result.policy.excluded_count, 3);
+
+  const reasons = Object.fromEntries(result.policy.excluded.map(e => [e.id, e.violations]));
+  assert.deepEqual(reasons['deepseek/deepseek-r1'], [
+    { policy: 'approved-vendors', rule: 'allow_providers', reason: 'provider "deepseek" is not approved' },
+  ]);
+  assert.equal(reasons['meta-llama/llama-3.3-70b-instruct:free'][0].rule, 'deny_free');
+  assert.match(reasons['openai/gpt-image-1'][0].reason, /total price \$45\/1M is over the \$20\/1M ceiling/);
+
+  // Only excluded models that match the request are reported
+  const openai = await considerModels({ request: 'openai', filters: { has_tools: true } });
+  assert.equal(openai.policy.excluded_count, 0);
+});
+
+test('check_model_policy explains why a model is not allowed', async () => {
+  const denied = await checkModelPolicy({ model_id: 'deepseek r1' });
+  assert.equal(denied.model_id, 'deepseek/deepseek-r1');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.violations[0].policy, 'approved-vendors');
+  assert.equal(denied.policies[0].description, 'Providers with a signed data processing agreement');
+
+  const allowed = await checkModelPolicy({ model_id: 'openai/gpt-4o' });
+  assert.equal(allowed.allowed, true);
+  assert.deepEqual(allowed.violations, []);
+
+  const model = await getModel('openai/gpt-image-1');
+  assert.equal(model.policy.allowed, false);
+
+  configure({ policyFile: '' });
+  const open = await checkModelPolicy({ model_id: 'deepseek/deepseek-r1' });
+  assert.equal(open.allowed, true);
+  assert.match(open.note, /No model policy is configured/);
+  assert.equal((await getModel('deepseek/deepseek-r1')).policy, undefined);
+});
+
+test('recommendations, budget plans and alternatives only use allowed models', async () => {
+  const recommended = await recommendModel({ use_case: 'reasoning model', max_results: 10 });
+  assert.ok(recommended.recommendations.every(r => r.id !== 'deepseek/deepseek-r1'));
+  assert.ok(recommended.policy.excluded.some(e => e.id === 'deepseek/deepseek-r1'));
+
+  const plan = await planBudget({
+    budget: 100,
+    workloads: [{ name: 'reasoning', required_features: ['reasoning'], workload: { prompt_tokens: 1000, requests_per_month: 1000 } }],
+  });
+  assert.notEqual(plan.assignments[0].model.id, 'deepseek/deepseek-r1');
+  assert.match(plan.notes.join('\n'), /team policy \(approved-vendors, cost-ceiling\)/);
+  // Only excluded models that could have served a workload are reported
+  assert.deepEqual(plan.policy.excluded.map(e => e.id), ['deepseek/deepseek-r1']);
+
+  // A denied model can still be the reference, but is never suggested
+  const alternatives = await getModelAlternatives({ model_id: 'deepseek/deepseek-r1', min_context: 0 });
+  const suggested = Object.values(alternatives.alternatives).flat().map(a => a.id);
+  assert.ok(!suggested.includes('meta-llama/llama-3.3-70b-instruct:free'));
+  assert.ok(alternatives.policy.excluded.every(e => e.id !== 'deepseek/deepseek-r1'));
+});
+
+test('data policy rules check prompt training and retention', async () => {
+  const catalog = loadFixture();
+  const dataPolicies = {
+    'openai/gpt-4o': { training: false, retains_prompts: true, retention_days: 30 },
+    'openai/gpt-4o-mini': { training: false, retainsPrompts: false },
+    'anthropic/claude-sonnet-4': { training: true, retains_prompts: true },
+  };
+  for (const model of catalog.data) {
+    model.data_policy = dataPolicies[model.id];
+  }
+  const catalogFile = join(dataDir, 'data-policy-catalog.json');
+  const policyFile = join(dataDir, 'data-policy.json');
+  writeFileSync(catalogFile, JSON.stringify(catalog));
+  writeFileSync(policyFile, JSON.stringify({ name: 'no-training', deny_free: true, deny_prompt_training: true, max_retention_days: 7 }));
+  configure({ sources: `reviewed=static:${catalogFile}`, policyFile });
+
+  assert.equal((await checkModelPolicy({ model_id: 'openai/gpt-4o-mini' })).allowed, true);
+  assert.deepEqual((await checkModelPolicy({ model_id: 'openai/gpt-4o' })).violations.map(v => v.reason), [
+    'retains prompts for 30 days, over the 7-day limit',
+  ]);
+  assert.deepEqual((await checkModelPolicy({ model_id: 'anthropic/claude-sonnet-4' })).violations.map(v => v.reason), [
+    'provider may train on prompts',
+    'retains prompts for an unlisted period (limit 7 days)',
+  ]);
+  assert.deepEqual((await checkModelPolicy({ model_id: 'google/gemini-2.5-flash' })).violations.map(v => v.reason), [
+    'no listed data policy to check prompt training against',
+    'no listed data policy to check against the 7-day retention limit',
+  ]);
+
+  const result = await considerModels({ request: 'models', max_results: 20 });
+  assert.deepEqual(result.models.map(m => m.id), ['openai/gpt-4o-mini']);
+});
+
+test('reloads the policy file when it changes and fails closed when it is broken', async () => {
+  const file = join(dataDir, 'policy.json');
+  writeFileSync(file, JSON.stringify({ name: 'no-openai', deny_models: ['openai/*'] }));
+  configure({ policyFile: file });
+
+  const first = await considerModels({ request: 'openai' });
+  assert.equal(first.models.length, 0);
+  assert.equal(first.policy.excluded_count, 3);
+
+  writeFileSync(file, JSON.stringify({ name: 'no-image', deny_models: ['*image*'] }));
+  utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  const second = await considerModels({ request: 'openai' });
+  assert.deepEqual(second.policy.policies, ['no-image']);
+  assert.equal(second.models.length, 2);
+
+  writeFileSync(file, '{ "deny_models": ');
+  utimesSync(file, new Date(), new Date(Date.now() + 10000));
+  const result = await handleToolCall({ params: { name: 'consider_models', arguments: { request: 'openai' } } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /policy\.json: invalid JSON/);
+
+  configure({ policyFile: join(dataDir, 'missing.json') });
+  await assert.rejects(checkModelPolicy({ model_id: 'openai/gpt-4o' }), /Could not read model policy/);
+});
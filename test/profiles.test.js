@@ -0,0 +1,150 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  configure,
+  considerModels,
+  handleToolCall,
+  planBudget,
+  recommendModel,
+  shortlists,
+  usageProfiles,
+  withProfile,
+} from '../index.js';
+import { loadFixture, startMockCatalog } from './helpers.js';
+
+const SUPPORT_BOT = {
+  name: 'support-bot',
+  description: 'Customer support chatbot',
+  filters: { has_vision: true, has_tools: true },
+  workload: { prompt_tokens: 2000, completion_tokens: 500, requests_per_day: 10000 },
+};
+
+let mock;
+let dataDir;
+
+before(async () => {
+  mock = await startMockCatalog();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-profiles-'));
+  mock.setCatalog(loadFixture());
+  configure({ sources: `openrouter:${mock.openRouterUrl}`, dataDir, offline: false });
+});
+
+test('saves, lists and deletes usage profiles', async () => {
+  const saved = await usageProfiles({ save: SUPPORT_BOT });
+  assert.equal(saved.saved, 'support-bot');
+  assert.deepEqual(saved.profiles.map(p => p.name), ['support-bot']);
+  assert.deepEqual(saved.profiles[0].filters, SUPPORT_BOT.filters);
+  assert.ok(saved.profiles[0].created_at);
+
+  await usageProfiles({ save: { name: 'batch', workload: { prompt_tokens: 8000, requests_per_month: 3000 } } });
+  const listed = await usageProfiles();
+  assert.deepEqual(listed.profiles.map(p => p.name), ['batch', 'support-bot']);
+
+  const trimmed = await usageProfiles({ delete: ['batch'] });
+  assert.deepEqual(trimmed.profiles.map(p => p.name), ['support-bot']);
+  await assert.rejects(usageProfiles({ delete: ['batch'] }), /No profiles named: batch/);
+  await assert.rejects(usageProfiles({ save: { name: 'x', filter: {} } }), /unknown field "filter"/);
+  await assert.rejects(usageProfiles({ save: { name: 'x', workload: 5 } }), /workload must be an object/);
+});
+
+test('explicit parameters override the profile field by field', async () => {
+  await usageProfiles({ save: SUPPORT_BOT });
+  const params = await withProfile({
+    profile: 'support-bot',
+    filters: { has_vision: false, provider: 'openai' },
+    workload: { requests_per_day: 500 },
+  });
+
+  assert.deepEqual(params.filters, { has_vision: false, has_tools: true, provider: 'openai' });
+  assert.deepEqual(params.workload, { prompt_tokens: 2000, completion_tokens: 500, requests_per_day: 500 });
+
+  await assert.rejects(withProfile({ profile: 'support' }), /Unknown profile "support" \(saved profiles: support-bot\)/);
+});
+
+test('tools apply a profile by name', async () => {
+  await usageProfiles({ save: SUPPORT_BOT });
+
+  const listing = await considerModels({ request: 'models', profile: 'support-bot' });
+  assert.equal(listing.profile, 'support-bot');
+  assert.ok(listing.models.length > 0);
+  assert.ok(listing.models.every(m => m.capabilities.includes('vision') && m.capabilities.includes('tools')));
+  assert.ok(listing.models.every(m => m.estimated_cost.basis === 'monthly'));
+
+  const recommended = await recommendModel({ profile: 'support-bot' });
+  assert.equal(recommended.interpretation.hard_requirements.has_vision, true);
+  assert.ok(recommended.recommendations.every(r => r.estimated_cost));
+
+  const plan = await planBudget({ budget: 1000, workloads: [{ name: 'support', profile: 'support-bot' }] });
+  assert.ok(plan.assignments[0].model.id);
+
+  const result = await handleToolCall({ params: { name: 'consider_models', arguments: { request: 'models', profile: 'nope' } } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /Unknown profile "nope"/);
+});
+
+test('re-evaluates a saved shortlist against the current catalog', async () => {
+  await usageProfiles({ save: SUPPORT_BOT });
+  const first = await considerModels({
+    request: 'compare',
+    model_ids: ['openai/gpt-4o-mini', 'google/gemini-2.5-flash', 'openai/gpt-4o'],
+    profile: 'support-bot',
+    save_as: 'support candidates',
+    shortlist_note: 'Q3 review',
+  });
+  assert.equal(first.saved_shortlist, 'support candidates');
+
+  const unchanged = await shortlists({ name: 'support candidates' });
+  assert.equal(unchanged.shortlist.basis, 'monthly');
+  assert.equal(unchanged.shortlist.note, 'Q3 review');
+  assert.deepEqual(unchanged.models.map(m => m.id), ['openai/gpt-4o-mini', 'google/gemini-2.5-flash', 'openai/gpt-4o']);
+  assert.deepEqual(unchanged.summary, {
+    models: 3,
+    removed: 0,
+    repriced: 0,
+    rank_changes: 0,
+    cheapest_when_saved: 'openai/gpt-4o-mini',
+    cheapest_now: 'openai/gpt-4o-mini',
+  });
+
+  // GPT-4o mini quadruples in price and GPT-4o leaves the catalog
+  const changed = loadFixture();
+  const mini = changed.data.find(m => m.id === 'openai/gpt-4o-mini');
+  mini.pricing.prompt = '0.0000006';
+  mini.pricing.completion = '0.0000024';
+  changed.data = changed.data.filter(m => m.id !== 'openai/gpt-4o');
+  mock.setCatalog(changed);
+
+  const report = await shortlists({ name: 'support candidates', force_refresh: true });
+  const byId = Object.fromEntries(report.models.map(m => [m.id, m]));
+  assert.deepEqual(report.models.map(m => m.id), ['google/gemini-2.5-flash', 'openai/gpt-4o-mini', 'openai/gpt-4o']);
+  assert.equal(byId['openai/gpt-4o-mini'].cost_change_percent, 300);
+  assert.equal(byId['openai/gpt-4o-mini'].rank_change, -1);
+  assert.equal(byId['google/gemini-2.5-flash'].rank_change, 1);
+  assert.equal(byId['openai/gpt-4o'].in_catalog, false);
+  assert.equal(report.summary.cheapest_now, 'google/gemini-2.5-flash');
+  assert.equal(report.summary.removed, 1);
+  assert.match(report.alerts[0], /openai\/gpt-4o is no longer in the catalog/);
+});
+
+test('lists and deletes saved shortlists', async () => {
+  assert.match((await shortlists()).note, /Pass `save_as`/);
+
+  await considerModels({ request: 'openai', save_as: 'openai' });
+  await considerModels({ request: 'anthropic', save_as: 'anthropic' });
+  const listed = await shortlists();
+  assert.deepEqual(listed.shortlists.map(s => s.name), ['anthropic', 'openai']);
+  assert.equal(listed.shortlists[1].basis, 'total_per_1m');
+
+  const trimmed = await shortlists({ delete: ['openai'] });
+  assert.deepEqual(trimmed.shortlists.map(s => s.name), ['anthropic']);
+  await assert.rejects(shortlists({ name: 'openai' }), /No saved shortlist named "openai" \(saved: anthropic\)/);
+});
@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  applyFilters,
+  configure,
+  considerModels,
+  fetchModels,
+  getModel,
+  getQuality,
+  parseQualityFile,
+  pricePerQualityPoint,
+  qualityStatus,
+  sortModels,
+} from '../index.js';
+import { FIXTURE, ROOT } from './helpers.js';
+
+const QUALITY_CSV = join(ROOT, 'test/fixtures/quality.csv');
+const QUALITY_JSON = join(ROOT, 'test/fixtures/quality.json');
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-quality-'));
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Load the fixture catalog with the given quality sources
+ */
+async function load(qualitySources = `${QUALITY_CSV},${QUALITY_JSON}`) {
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, qualitySources });
+  const { models } = await fetchModels();
+  const byId = id => models.find(m => m.id === id);
+  return { models, byId };
+}
+
+test('parses CSV with quoted fields and empty cells', () => {
+  const { scores } = parseQualityFile('model,arena_elo,notes\n"Acme, ""Large""",1200,\nother,,\n', 'test.csv', 'csv');
+  assert.deepEqual(scores, [{ model: 'Acme, "Large"', benchmark: 'arena_elo', value: 1200 }]);
+});
+
+test('parses JSON score maps and row arrays', () => {
+  const map = parseQualityFile('{"scores": {"a": {"mmlu": 80}}, "aliases": {"a": "x/a"}}', 'a.json', 'json');
+  assert.deepEqual(map.scores, [{ model: 'a', benchmark: 'mmlu', value: 80 }]);
+  assert.deepEqual(map.aliases, { a: 'x/a' });
+
+  const rows = parseQualityFile('[{"id": "b", "mmlu": "70.5"}]', 'b.json', 'json');
+  assert.deepEqual(rows.scores, [{ model: 'b', benchmark: 'mmlu', value: 70.5 }]);
+
+  assert.throws(() => parseQualityFile('[{"mmlu": 1}]', 'c.json', 'json'), /needs a "model"/);
+});
+
+test('matches benchmark names to catalog models', async () => {
+  const { byId } = await load();
+
+  // "GPT-4o" by name, "Claude 3 Haiku" ignoring case and spacing, "deepseek-reasoner" by alias
+  assert.deepEqual(getQuality(byId('openai/gpt-4o')).benchmarks, { arena_elo: 1285, mmlu: 88.7, hallucination_rate: 3.1 });
+  assert.deepEqual(getQuality(byId('openai/gpt-4o')).sources, ['quality.csv', 'quality.json']);
+  assert.equal(getQuality(byId('anthropic/claude-3-haiku')).benchmarks.arena_elo, 1180);
+  assert.equal(getQuality(byId('deepseek/deepseek-r1')).benchmarks.arena_elo, 1290);
+
+  // Variants share the base model's scores
+  assert.deepEqual(getQuality(byId('meta-llama/llama-3.3-70b-instruct:free')), getQuality(byId('meta-llama/llama-3.3-70b-instruct')));
+
+  assert.equal(getQuality(byId('openai/gpt-image-1')), undefined);
+  assert.deepEqual(qualityStatus().unmatched, ['acme/unknown-model']);
+  assert.equal(qualityStatus().models_with_scores, 7);
+});
+
+test('scales benchmarks into a 0-100 composite score', async () => {
+  const { byId } = await load();
+
+  assert.equal(getQuality(byId('google/gemini-2.5-flash')).score, 100);
+  assert.equal(getQuality(byId('anthropic/claude-3-haiku')).score, 0);
+
+  // hallucination_rate is lower-is-better: GPT-4o has the best rate
+  const hallucination = qualityStatus().benchmarks.find(b => b.name === 'hallucination_rate');
+  assert.equal(hallucination.higher_is_better, false);
+  assert.equal(getQuality(byId('openai/gpt-4o')).score, 93.6);
+});
+
+test('reports sources that fail to load without failing the catalog', async () => {
+  const { models } = await load(`${QUALITY_CSV},${join(dataDir, 'missing.json')}`);
+  assert.equal(models.length, 10);
+  const [csv, missing] = qualityStatus().sources;
+  assert.equal(csv.entries, 12);
+  assert.match(missing.error, /ENOENT/);
+});
+
+test('reloads a quality file when it changes', async () => {
+  const path = join(dataDir, 'scores.csv');
+  writeFileSync(path, 'model,mmlu\ngpt-4o,80\n');
+  const { byId } = await load(path);
+  assert.equal(getQuality(byId('openai/gpt-4o')).benchmarks.mmlu, 80);
+
+  writeFileSync(path, 'model,mmlu\ngpt-4o,90\n');
+  const later = new Date(Date.now() + 5000);
+  utimesSync(path, later, later);
+  await fetchModels();
+  assert.equal(getQuality(byId('openai/gpt-4o')).benchmarks.mmlu, 90);
+});
+
+test('filters by quality score and benchmark minimums', async () => {
+  const { models } = await load();
+
+  assert.deepEqual(applyFilters(models, { min_quality: 90 }).map(m => m.id).sort(), [
+    'anthropic/claude-sonnet-4',
+    'google/gemini-2.5-flash',
+    'openai/gpt-4o',
+  ]);
+  assert.deepEqual(applyFilters(models, { min_benchmarks: { arena_elo: 1290, mmlu: 80 } }), []);
+  assert.deepEqual(applyFilters(models, { min_benchmarks: { arena_elo: 1290 } }).map(m => m.id).sort(), [
+    'anthropic/claude-sonnet-4',
+    'deepseek/deepseek-r1',
+    'google/gemini-2.5-flash',
+  ]);
+});
+
+test('sorts by quality and by price per quality point', async () => {
+  const { models, byId } = await load();
+
+  const byQuality = sortModels(models, 'quality');
+  assert.equal(byQuality[0].id, 'google/gemini-2.5-flash');
+  assert.deepEqual(byQuality.slice(-2).map(m => m.id).sort(), ['mistralai/mistral-small-3.1-24b-instruct', 'openai/gpt-image-1']);
+
+  const byValue = sortModels(models, 'value');
+  assert.equal(byValue[0].id, 'meta-llama/llama-3.3-70b-instruct:free');
+  assert.equal(pricePerQualityPoint(byId('meta-llama/llama-3.3-70b-instruct:free')), 0);
+  assert.ok(Math.abs(pricePerQualityPoint(byId('google/gemini-2.5-flash')) - 0.028) < 1e-9);
+  assert.equal(pricePerQualityPoint(byId('openai/gpt-image-1')), undefined);
+});
+
+test('get_model and consider_models expose quality', async () => {
+  await load();
+
+  const model = await getModel('openai/gpt-4o');
+  assert.equal(model.quality.score, 93.6);
+
+  const result = await considerModels({
+    request: 'compare',
+    model_ids: ['openai/gpt-4o', 'google/gemini-2.5-flash'],
+    sort_by: 'value',
+  });
+  assert.deepEqual(result.models.map(m => [m.id, m.quality_score]), [
+    ['google/gemini-2.5-flash', 100],
+    ['openai/gpt-4o', 93.6],
+  ]);
+  assert.ok(result.models[1].price_per_quality_point > result.models[0].price_per_quality_point);
+  assert.equal(result.comparison.summary.highest_quality, 'google/gemini-2.5-flash');
+  assert.equal(result.comparison.summary.best_value, 'google/gemini-2.5-flash');
+  assert.deepEqual(result.comparison.quality.headers, ['Model', 'Quality', 'Price/Quality Point', 'arena_elo', 'hallucination_rate', 'mmlu']);
+  assert.equal(result.quality_note, undefined);
+});
+
+test('explains quality requests when no quality data is loaded', async () => {
+  await load('');
+  const result = await considerModels({ request: 'anything', sort_by: 'quality' });
+  assert.match(result.quality_note, /MODEL_QUALITY_FILES/);
+  assert.equal(result.models[0].quality_score, undefined);
+});
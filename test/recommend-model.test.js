@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configure, recommendModel } from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-recommend-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, policyFile: '' });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('scores candidates on the default weights', async () => {
+  const result = await recommendModel({ max_results: 10 });
+  assert.deepEqual(result.interpretation.weights, { cost: 0.4, context: 0.2, recency: 0.2, capabilities: 0.2 });
+  assert.equal(result.candidates_considered, 10);
+
+  const [top] = result.recommendations;
+  assert.equal(top.id, 'google/gemini-2.5-flash');
+  assert.equal(top.score_breakdown.context.score, 100);
+  assert.match(top.justification, /^Ranked #1 with 66\.3\/100\. Strong on context and recency: .* Trade-off on cost/);
+
+  // Each criterion is scaled relative to the candidates, and the score is the weighted sum
+  const byId = Object.fromEntries(result.recommendations.map(r => [r.id, r]));
+  assert.equal(byId['meta-llama/llama-3.3-70b-instruct:free'].score_breakdown.cost.score, 100);
+  assert.equal(byId['openai/gpt-image-1'].score_breakdown.cost.score, 0);
+  assert.equal(byId['anthropic/claude-3-haiku'].score_breakdown.recency.score, 0);
+  for (const r of result.recommendations) {
+    const sum = Object.values(r.score_breakdown).reduce((total, b) => total + b.contribution, 0);
+    assert.ok(Math.abs(sum - r.score) <= 0.2, `${r.id}: ${sum} != ${r.score}`);
+  }
+  assert.deepEqual(result.recommendations.map(r => r.rank), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('explicit weights override the defaults and are normalized', async () => {
+  const context = await recommendModel({ weights: { cost: 0, context: 2, recency: 0, capabilities: 0 }, max_results: 3 });
+  assert.deepEqual(context.interpretation.weights, { cost: 0, context: 1, recency: 0, capabilities: 0 });
+  assert.equal(context.recommendations[0].id, 'google/gemini-2.5-flash');
+  assert.equal(context.recommendations[0].score, 100);
+
+  // A price preference in the use case raises the cost weight; hard requirements narrow the candidates
+  const cheap = await recommendModel({ use_case: 'cheapest model', required_features: ['tools', 'vision'], max_results: 3 });
+  assert.deepEqual(cheap.interpretation.weights, { cost: 0.5, context: 0.17, recency: 0.17, capabilities: 0.17 });
+  assert.equal(cheap.candidates_considered, 6);
+  assert.equal(cheap.recommendations[0].id, 'mistralai/mistral-small-3.1-24b-instruct');
+  assert.ok(cheap.recommendations.every(r => r.capabilities.includes('tools') && r.capabilities.includes('vision')));
+});
+
+test('rejects invalid weights', async () => {
+  await assert.rejects(recommendModel({ weights: { cost: -1 } }), /Weight "cost" must be a non-negative number/);
+  await assert.rejects(recommendModel({ weights: { cost: 0, context: 0, recency: 0, capabilities: 0 } }), /At least one weight/);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configure, parseUsageLog, replayCosts } from '../index.js';
+import { FIXTURE, ROOT } from './helpers.js';
+
+const LOG_FIXTURE = join(ROOT, 'test', 'fixtures', 'usage-log.jsonl');
+const CSV_FIXTURE = join(ROOT, 'test', 'fixtures', 'usage-log.csv');
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-replay-'));
+  configure({ sources: `fixture=static:${FIXTURE}`, dataDir, offline: false, policyFile: '' });
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Assert two dollar amounts match to a millionth of a cent
+ */
+function assertCost(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-8, `${actual} != ${expected}`);
+}
+
+test('parses JSONL and CSV usage logs', () => {
+  const { calls, skipped } = parseUsageLog(readFileSync(LOG_FIXTURE, 'utf8'), 'jsonl');
+  assert.equal(calls.length, 5);
+  assert.deepEqual(calls[0], {
+    call: 1,
+    model: 'openai/gpt-4o',
+    prompt_tokens: 1000,
+    completion_tokens: 200,
+    cached_tokens: 400,
+    cost: 0.004,
+    timestamp: '2025-05-01T10:00:00.000Z',
+  });
+  assert.equal(calls[2].prompt_tokens, 3000);
+  assert.equal(calls[3].timestamp, '2025-05-03T09:00:00.000Z');
+  assert.deepEqual(skipped, [
+    { call: 5, reason: 'not a JSON object' },
+    { call: 6, reason: 'prompt_tokens is not a non-negative number' },
+  ]);
+
+  const csv = parseUsageLog(readFileSync(CSV_FIXTURE, 'utf8'), 'csv');
+  assert.deepEqual(csv.calls.map(c => [c.model, c.prompt_tokens, c.cost]), [['openai/gpt-4o', 1000, undefined], ['openai/gpt-4o', 3000, undefined]]);
+  assert.deepEqual(csv.skipped, [{ call: 3, reason: 'no model' }]);
+});
+
+test('replays logged traffic on candidate models', async () => {
+  const result = await replayCosts({
+    log_file: LOG_FIXTURE,
+    model_ids: ['google/gemini-2.5-flash', 'openai/gpt-4o-mini', 'anthropic/claude-3-haiku'],
+  });
+
+  assert.equal(result.log.format, 'jsonl');
+  assert.equal(result.log.calls, 5);
+  assert.equal(result.log.skipped_count, 2);
+  assert.deepEqual(result.log.period, { from: '2025-05-01T10:00:00.000Z', to: '2025-05-03T12:00:00.000Z' });
+
+  // Logged costs for GPT-4o and GPT-4o mini, catalog prices for the Claude calls
+  assertCost(result.actual.total, 0.004 + 0.57 + 0.001375 + 0.00048);
+  assert.equal(result.actual.unpriced_calls, 1);
+  const sonnet = result.actual.by_model.find(m => m.model === 'anthropic/claude-sonnet-4');
+  assert.equal(sonnet.basis, 'catalog_pricing');
+  assert.equal(result.actual.by_model.find(m => m.model === 'gpt-4o-mini').catalog_id, 'openai/gpt-4o-mini');
+  assert.equal(result.actual.by_model.find(m => m.model === 'acme/internal-model').basis, 'unpriced');
+  assert.match(result.notes[0], /1 logged call\(s\) have no logged cost/);
+
+  const byId = Object.fromEntries(result.candidates.map(c => [c.id, c]));
+  const gemini = byId['google/gemini-2.5-flash'];
+  assertCost(gemini.replayed_cost, 155700 * 0.3e-6 + 400 * 0.075e-6 + 9050 * 2.5e-6);
+  assertCost(gemini.savings, result.actual.total - gemini.replayed_cost);
+  assert.equal(gemini.calls_exceeding_context, 0);
+  assertCost(gemini.by_logged_model.find(m => m.model === 'anthropic/claude-sonnet-4').replayed, 150000 * 0.3e-6 + 8000 * 2.5e-6);
+
+  assert.equal(byId['openai/gpt-4o-mini'].calls_exceeding_context, 1);
+  assert.deepEqual(byId['openai/gpt-4o-mini'].exceeding_examples, [
+    { call: 2, model: 'anthropic/claude-sonnet-4', prompt_tokens: 150000, completion_tokens: 8000, limit: 'context_length' },
+  ]);
+  assert.equal(byId['anthropic/claude-3-haiku'].calls_exceeding_max_completion, 1);
+  assert.equal(result.cheapest_fit, 'google/gemini-2.5-flash');
+});
+
+test('picks the cheapest models that could serve every call', async () => {
+  const result = await replayCosts({ log_file: LOG_FIXTURE, max_candidates: 2 });
+  assert.deepEqual(result.candidates.map(c => c.id), ['google/gemini-2.5-flash', 'deepseek/deepseek-r1']);
+  assert.match(result.notes.join('\n'), /7 model\(s\) passing the filters were left out/);
+});
+
+test('reads inline logs and rejects unusable ones', async () => {
+  const csv = await replayCosts({ log_text: readFileSync(CSV_FIXTURE, 'utf8'), model_ids: ['openai/gpt-4o'] });
+  assert.equal(csv.log.format, 'csv');
+  assert.equal(csv.actual.by_model[0].basis, 'catalog_pricing');
+  assertCost(csv.candidates[0].savings, 0);
+
+  await assert.rejects(replayCosts({ log_text: 'not json\n', format: 'jsonl' }), /no usable calls \(first skipped: call 1, not a JSON object\)/);
+  await assert.rejects(replayCosts({ log_text: '', log_file: LOG_FIXTURE }), /Give either log_text or log_file/);
+});
+
+test('reports only excluded models that would have been replayed', async () => {
+  const policyFile = join(dataDir, 'policy.json');
+  writeFileSync(policyFile, JSON.stringify({ name: 'no-deepseek-openai', deny_models: ['deepseek/*', 'openai/*'] }));
+  configure({ policyFile });
+  try {
+    // The OpenAI models cannot serve every logged call, so only DeepSeek R1 is reported
+    const result = await replayCosts({ log_file: LOG_FIXTURE });
+    assert.ok(result.candidates.every(c => c.id !== 'deepseek/deepseek-r1'));
+    assert.deepEqual(result.policy.excluded.map(e => e.id), ['deepseek/deepseek-r1']);
+  } finally {
+    configure({ policyFile: '' });
+  }
+});
+
+test('rejects a log_file outside the allowed roots', async () => {
+  configure({ fileRoots: [dataDir] });
+  try {
+    await assert.rejects(replayCosts({ log_file: LOG_FIXTURE }), /log_file is outside the allowed file roots/);
+  } finally {
+    configure({ fileRoots: undefined });
+  }
+});
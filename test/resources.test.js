@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { configure, createServer, fetchModels } from '../index.js';
+import { FIXTURE } from './helpers.js';
+
+let dataDir;
+let catalogFile;
+let client;
+const notifications = [];
+
+before(async () => {
+  dataDir = mkdtempSync(join(tmpdir(), 'model-scout-resources-'));
+  catalogFile = join(dataDir, 'catalog.json');
+  writeFileSync(catalogFile, readFileSync(FIXTURE));
+  configure({ sources: `fixture=static:${catalogFile}`, dataDir, offline: false, policyFile: '' });
+
+  const server = createServer();
+  client = new Client({ name: 'resources-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => notifications.push(['updated', n.params.uri]));
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => notifications.push(['list_changed']));
+});
+
+after(async () => {
+  await client.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Read a resource and parse its JSON
+ */
+async function readJson(uri) {
+  const { contents } = await client.readResource({ uri });
+  assert.equal(contents[0].mimeType, 'application/json');
+  return JSON.parse(contents[0].text);
+}
+
+test('lists the catalog and one resource per provider', async () => {
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), [
+    'models://catalog',
+    'models://provider/anthropic',
+    'models://provider/deepseek',
+    'models://provider/google',
+    'models://provider/meta-llama',
+    'models://provider/mistralai',
+    'models://provider/openai',
+  ]);
+  assert.equal(resources[0].description, 'All 10 models with pricing, context length and capabilities');
+  assert.equal(resources.at(-1).description, '3 models from openai');
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates.map(t => t.uriTemplate), ['models://{id}', 'models://provider/{name}']);
+});
+
+test('reads the catalog, a provider and a model', async () => {
+  const catalog = await readJson('models://catalog');
+  assert.equal(catalog.total, 10);
+  assert.deepEqual(Object.keys(catalog.models[0]), [
+    'id', 'name', 'provider', 'source', 'context_length', 'prompt_per_1m', 'completion_per_1m', 'capabilities', 'is_free',
+  ]);
+
+  const anthropic = await readJson('models://provider/Anthropic');
+  assert.deepEqual(anthropic.models.map(m => m.id), ['anthropic/claude-sonnet-4', 'anthropic/claude-3-haiku']);
+
+  const gpt4o = await readJson('models://openai/gpt-4o');
+  assert.equal(gpt4o.pricing.prompt_per_1m, 2.5);
+  assert.equal(gpt4o.max_completion_tokens, 16384);
+  assert.ok(gpt4o.data_freshness);
+
+  await assert.rejects(client.readResource({ uri: 'models://acme/nothing' }), /Model not found: acme\/nothing/);
+  await assert.rejects(client.readResource({ uri: 'models://provider/acme' }), /No models from provider: acme/);
+  await assert.rejects(client.readResource({ uri: 'https://example.com' }), /Unknown resource/);
+});
+
+test('notifies subscribers of the resources a refresh changed', async () => {
+  await client.subscribeResource({ uri: 'models://openai/gpt-4o' });
+  await client.subscribeResource({ uri: 'models://provider/anthropic' });
+  await client.subscribeResource({ uri: 'models://google/gemini-2.5-flash' });
+  await fetchModels();
+
+  // A price change on GPT-4o and a new OpenAI model
+  const changed = JSON.parse(readFileSync(FIXTURE, 'utf8'));
+  changed.data.find(m => m.id === 'openai/gpt-4o').pricing.prompt = '0.000002';
+  changed.data.push({ ...changed.data[0], id: 'openai/gpt-5', name: 'OpenAI: GPT-5' });
+  writeFileSync(catalogFile, JSON.stringify(changed));
+  notifications.length = 0;
+  await fetchModels(true);
+
+  assert.deepEqual(notifications, [['list_changed'], ['updated', 'models://openai/gpt-4o']]);
+
+  // Unsubscribed resources are no longer announced
+  await client.unsubscribeResource({ uri: 'models://openai/gpt-4o' });
+  changed.data.find(m => m.id === 'openai/gpt-4o').pricing.prompt = '0.0000015';
+  writeFileSync(catalogFile, JSON.stringify(changed));
+  notifications.length = 0;
+  await fetchModels(true);
+  assert.deepEqual(notifications, []);
+});
+
+test('prompts attach current catalog data as context', async () => {
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map(p => p.name), ['pick_model_for_task', 'compare_models', 'find_cheaper_alternative']);
+
+  const pick = await client.getPrompt({ name: 'pick_model_for_task', arguments: { task: 'summarize emails', budget: '1' } });
+  assert.match(pick.messages[0].content.text, /^I need to choose an LLM for this task: summarize emails\. Budget: at most \$1 per 1M tokens\./);
+  const shortlist = JSON.parse(pick.messages[1].content.resource.text);
+  assert.equal(pick.messages[1].content.resource.uri, 'models://recommendations/summarize%20emails');
+  assert.equal(shortlist.interpretation.hard_requirements.max_price_per_1m, 1);
+  assert.ok(shortlist.recommendations.every(r => r.pricing.total_per_1m <= 1));
+
+  const compare = await client.getPrompt({ name: 'compare_models', arguments: { model_ids: 'gpt-4o-mini, claude 3 haiku', focus: 'cost' } });
+  assert.deepEqual(compare.messages.slice(1).map(m => m.content.resource.uri), ['models://openai/gpt-4o-mini', 'models://anthropic/claude-3-haiku']);
+  await assert.rejects(client.getPrompt({ name: 'compare_models', arguments: { model_ids: 'gpt-4o' } }), /at least two/);
+
+  const cheaper = await client.getPrompt({ name: 'find_cheaper_alternative', arguments: { model_id: 'openai/gpt-4o' } });
+  assert.equal(cheaper.description, 'Cheaper alternatives to openai/gpt-4o');
+  assert.ok(JSON.parse(cheaper.messages[1].content.resource.text).alternatives);
+
+  await assert.rejects(client.getPrompt({ name: 'write_poem', arguments: {} }), /Unknown prompt: write_poem/);
+});